@@ -0,0 +1,102 @@
+/**
+ * Service worker for working at sites without connectivity
+ * Precaches the app shell (files listed in precache-manifest.json, written
+ * by the build) and the bundled models, then serves:
+ *   - page loads network-first, falling back to the cached shell
+ *   - model files cache-first; they only change with a new download
+ *   - other same-origin files cache-first, caching whatever was fetched
+ * The page asks for a precache refresh on every online start, so a new
+ * build is picked up without waiting for the worker itself to change.
+ */
+
+const SHELL_CACHE = "archia-shell";
+const MODEL_CACHE = "archia-models";
+const MANIFEST_URL = new URL("precache-manifest.json", self.registration.scope).href;
+
+function isModelRequest(url) {
+  return url.pathname.includes("/models/") ||
+    url.pathname.endsWith("/model.json") ||
+    /group\d+-shard\d+of\d+(\.bin)?$/.test(url.pathname);
+}
+
+async function precache() {
+  const response = await fetch(MANIFEST_URL, { cache: "no-store" });
+  if (!response.ok) {
+    // Dev server: nothing was built, so there is nothing to precache
+    return;
+  }
+
+  const manifest = await response.json();
+  const scope = self.registration.scope;
+  const shellUrls = manifest.shell.map(path => new URL(path, scope).href);
+  const modelUrls = manifest.models.map(path => new URL(path, scope).href);
+
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.addAll(shellUrls);
+
+  // Hashed files of older builds are no longer referenced
+  const wanted = new Set(shellUrls);
+  for (const request of await shell.keys()) {
+    if (!wanted.has(request.url)) await shell.delete(request);
+  }
+
+  const models = await caches.open(MODEL_CACHE);
+  for (const url of modelUrls) {
+    if (!(await models.match(url))) await models.add(url);
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(new URL("./", self.registration.scope).href, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(new URL("./", self.registration.scope).href);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "refresh-precache") {
+    event.waitUntil(precache().catch(err => console.warn("Precache refresh failed:", err)));
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (isModelRequest(url)) {
+    event.respondWith(cacheFirst(request, MODEL_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
@@ -1,20 +1,47 @@
-// download-mobilenet.js
-// Purpose: Downloads MobileNet v2 (alpha 1.0, 224x224) model files from TensorFlow.js official storage
-//          to a local directory for offline use in your web app.
-//          Run once: node download-mobilenet.js
+// download-models.js
+// Purpose: Downloads the MobileNet v2 (alpha 1.0, 224x224) graph model the app classifies with
+//          to public/models/mobilenet/ so it is served with the app and works without network.
+//          Run once: npm run download-models
 // Requirements:
-// - Node.js >= 14 (for ES modules)
-// - Install dependencies: npm install @tensorflow/tfjs-node node-fetch
-// Output: Saves model.json and .bin weight files to public/models/mobilenet/
-// Usage in app: mobilenet.load({ modelUrl: '/models/mobilenet/model.json' })
+// - Node.js >= 18 (built-in fetch)
+// Output: Saves model.json and its .bin weight shards to public/models/mobilenet/
+// Usage in app: src/ai/mobilenet.js tries /models/mobilenet/model.json before any cached or
+//               remote copy, and the service worker (public/sw.js) precaches these files.
+// Other backbones: pass a MobileNet backbone id from src/ai/backbones.js, e.g.
+//   npm run download-models -- mobilenet-v1-050
+// which saves it to public/models/mobilenet-v1-050/
+// Options (environment variables):
+// - MOBILENET_URL: model.json to download instead of the TF Hub default
+// - MODELS_DIR: destination directory instead of public/models/mobilenet
 
 import fs from 'fs';              // File system module for directory creation and file operations
 import path from 'path';          // Path utilities for resolving directories
-import fetch from 'node-fetch';   // HTTP client for any potential direct fetches (unused here but kept for extensibility)
-import * as tf from '@tensorflow/tfjs-node';  // TensorFlow.js Node.js backend for loading/saving models
+import process from 'process';    // Environment variables, working directory and exit code
+import { Buffer } from 'buffer';  // Binary weight data for writing to disk
 
-// Define the destination directory: relative to current working directory (project root)
-const DEST_DIR = path.resolve(process.cwd(), 'public/models/mobilenet');
+// Optional backbone id: mobilenet-v<version>-<alpha × 100>
+const BACKBONE = process.argv[2];
+const backboneMatch = BACKBONE?.match(/^mobilenet-v([12])-(\d{3})$/);
+if (BACKBONE && !backboneMatch) {
+  console.error(`❌ Unknown backbone "${BACKBONE}"; expected e.g. mobilenet-v2-100 or mobilenet-v1-050`);
+  process.exit(1);
+}
+
+// Same models the browser falls back to (see tfhubMobileNetUrl in src/ai/mobilenet.js).
+// Files are fetched as-is: converting through tf.loadLayersModel would not work for these graph models.
+function tfhubUrl(version, size) {
+  return `https://tfhub.dev/google/imagenet/mobilenet_v${version}_${size}_224/classification/${version}/model.json?tfjs-format=file`;
+}
+
+const MODEL_URL = process.env.MOBILENET_URL ||
+  (backboneMatch ? tfhubUrl(backboneMatch[1], backboneMatch[2]) : tfhubUrl(2, '100'));
+
+// Define the destination directory: relative to current working directory (project root).
+// The default backbone keeps its original folder
+const DEST_DIR = path.resolve(
+  process.cwd(),
+  process.env.MODELS_DIR || (backboneMatch && BACKBONE !== 'mobilenet-v2-100' ? `public/models/${BACKBONE}` : 'public/models/mobilenet')
+);
 
 // Ensure the destination directory exists (recursive: creates parents if needed)
 if (!fs.existsSync(DEST_DIR)) {
@@ -24,35 +51,55 @@ if (!fs.existsSync(DEST_DIR)) {
   console.log(`📁 Using existing directory: ${DEST_DIR}`);
 }
 
+// Weight paths in model.json are relative to it; TF Hub also needs the query string on every file
+function resolveWeightUrl(modelUrl, weightPath) {
+  const url = new URL(weightPath, modelUrl);
+  url.search = new URL(modelUrl).search;
+  return url.href;
+}
+
+async function fetchOk(url) {
+  const response = await fetch(url, { redirect: 'follow' });
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
 // Main async download function
 async function downloadModel() {
   try {
-    console.log('🌐 Loading model from URL...');
-    console.log('URL: https://storage.googleapis.com/tfjs-models/savedmodel/mobilenet_v2_1.0_224/model.json');
-    
-    // Load the pre-trained LayersModel from official TF.js cloud storage
-    // This fetches model.json and automatically downloads all associated .bin weight shards
-    const model = await tf.loadLayersModel(
-      'https://storage.googleapis.com/tfjs-models/savedmodel/mobilenet_v2_1.0_224/model.json'
-    );
-    
-    console.log('💾 Saving model locally...');
-    
-    // Save the loaded model to the local file system
-    // Format: Saves model.json and groups weights into .bin files in the same dir
-    await model.save(`file://${DEST_DIR}`);
-    
+    console.log('🌐 Fetching model.json...');
+    console.log(`URL: ${MODEL_URL}`);
+
+    const modelJson = await (await fetchOk(MODEL_URL)).json();
+    if (!modelJson.modelTopology || !Array.isArray(modelJson.weightsManifest)) {
+      throw new Error('Response is not a TensorFlow.js model.json');
+    }
+
+    // Download every weight shard listed in the manifest
+    const weightPaths = modelJson.weightsManifest.flatMap(group => group.paths);
+    for (const [i, weightPath] of weightPaths.entries()) {
+      console.log(`💾 Weights ${i + 1}/${weightPaths.length}: ${weightPath}`);
+      const data = Buffer.from(await (await fetchOk(resolveWeightUrl(MODEL_URL, weightPath))).arrayBuffer());
+      fs.mkdirSync(path.dirname(path.join(DEST_DIR, weightPath)), { recursive: true });
+      fs.writeFileSync(path.join(DEST_DIR, weightPath), data);
+    }
+
+    // Written last, so an interrupted download never leaves a model.json without its weights
+    fs.writeFileSync(path.join(DEST_DIR, 'model.json'), JSON.stringify(modelJson));
+
     // List saved files for verification
     const savedFiles = fs.readdirSync(DEST_DIR).filter(file => file.endsWith('.json') || file.endsWith('.bin'));
     console.log('📋 Saved files:');
     savedFiles.forEach(file => console.log(`  - ${file}`));
-    
+
     console.log(`✅ Download complete! Model saved to: ${DEST_DIR}`);
     console.log('\nNext steps:');
-    console.log('1. Serve your app with Vite/React (models accessible via /models/mobilenet/model.json)');
-    console.log('2. In your code: const model = await mobilenet.load({ modelUrl: \'/models/mobilenet/model.json\' });');
-    console.log('3. For other variants (e.g., alpha 0.75): Replace URL with mobilenet_v2_0.75_224');
-    
+    console.log(`1. Build or serve the app; the model is served from /models/${path.basename(DEST_DIR)}/model.json`);
+    console.log('2. Open the app once while online so the service worker precaches the model and app shell');
+    console.log('3. For another location, set VITE_MOBILENET_URLS when building (see src/ai/mobilenet.js)');
+
   } catch (err) {
     console.error('❌ Download failed:');
     console.error('Error details:', err.message);
@@ -69,4 +116,4 @@ downloadModel();
 // Graceful shutdown on completion
 process.on('exit', (code) => {
   console.log(`Process exited with code ${code}`);
-});
\ No newline at end of file
+});
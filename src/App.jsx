@@ -2,21 +2,44 @@ import React, { useState, useEffect } from "react";
 import CameraCapture from "./components/CameraCapture";
 import ReconstructionViewer from "./components/ReconstructionViewer";
 import LoadingScreen from "./components/LoadingScreen";
-import { getPotteryReconstructor } from "./reconstruction/potteryRebuilder";
+import ProjectPanel from "./components/ProjectPanel";
+import FragmentGallery from "./components/FragmentGallery";
+import VesselPanel from "./components/VesselPanel";
+import TrainingStudio from "./components/TrainingStudio";
+import SaliencyImage from "./components/SaliencyImage";
+import { getFragmentColor } from "./components/fragmentColors";
+import { getPotteryReconstructor, releasePotteryReconstructor } from "./reconstruction/potteryRebuilder";
+import { estimateRimDiameter, formatRimMeasurement } from "./reconstruction/rimEstimation";
+import { measureSurfaceGeometry, formatSurfaceGeometry } from "./reconstruction/surfaceGeometry";
+import { registerFragmentsAsync, pruneRegistrationCache } from "./reconstruction/registrationService";
+import { computeColorStats } from "./ai/similarity";
 import { preloadModels } from "./ai/classifier";
+import { isRejected, isExcludedFromReconstruction } from "./ai/openSet";
 import { getDepthEstimator } from "./ai/depthEstimator";
+import { getFragmentStore } from "./data/fragmentStore";
+import { createFragmentRecord } from "./data/fragmentRecord";
+import { UNASSIGNED, createVessel, nextVesselName, groupByVessel } from "./data/vessels";
 
 // Prevent double-loading in React StrictMode
 let modelsStarted = false;
+let storeStarted = false;
 
 export default function App() {
   const [fragments, setFragments] = useState([]);
   const [currentFragment, setCurrentFragment] = useState(null);
-  const [reconstructedMesh, setReconstructedMesh] = useState(null);
+  const [vessels, setVessels] = useState([]);
+  const [activeVesselKey, setActiveVesselKey] = useState(UNASSIGNED);
+  const [reconstructions, setReconstructions] = useState([]);
   const [modelsLoaded, setModelsLoaded] = useState(false);
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [loadingStage, setLoadingStage] = useState("Initializing...");
   const [loadingError, setLoadingError] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [activeProject, setActiveProject] = useState(null);
+  const [storeBusy, setStoreBusy] = useState(false);
+  const [storeError, setStoreError] = useState(null);
+  const [showTrainingStudio, setShowTrainingStudio] = useState(false);
+  const [showSaliency, setShowSaliency] = useState(false);
 
   useEffect(() => {
     // Prevent duplicate loading in development
@@ -71,46 +94,285 @@ export default function App() {
     loadModels();
   }, []);
 
-  const handleCaptureResult = (result) => {
+  useEffect(() => {
+    // Restore the last opened project from IndexedDB
+    if (storeStarted) return;
+    storeStarted = true;
+
+    async function restoreProject() {
+      try {
+        const store = getFragmentStore();
+        const project = await store.getOrCreateActiveProject();
+        const [projectList, storedFragments] = await Promise.all([
+          store.listProjects(),
+          store.getFragments(project.id)
+        ]);
+
+        console.log(`Restored project "${project.name}" with ${storedFragments.length} fragments`);
+
+        setProjects(projectList);
+        setActiveProject(project);
+        setFragments(storedFragments);
+        setCurrentFragment(storedFragments[storedFragments.length - 1] || null);
+        setVessels(project.vessels || []);
+        setActiveVesselKey(UNASSIGNED);
+        rebuildReconstructions(storedFragments, project.vessels || [], setReconstructions);
+      } catch (err) {
+        console.error("Fragment store error:", err);
+        setStoreError(`Captures will not be saved: ${err.message}`);
+      }
+    }
+
+    restoreProject();
+  }, []);
+
+  // Falls back to the first group when the selected vessel is gone or empty
+  const vesselGroups = groupByVessel(fragments, vessels);
+  const activeGroup = vesselGroups.find(g => g.key === activeVesselKey) || vesselGroups[0];
+  const activeReconstruction = reconstructions.find(r => r.key === activeGroup.key) || null;
+
+  const handleCaptureResult = async (result) => {
+    // CameraCapture shows the failure; there is nothing to keep
+    if (result.error) {
+      console.warn("Capture failed, not saved:", result.error);
+      return;
+    }
+
     console.log("Fragment captured:", result);
-    setCurrentFragment(result);
 
-    const newFragments = [...fragments, result];
+    const previous = fragments[fragments.length - 1];
+    let fragment = { ...result, record: result.record || createFragmentRecord(previous?.record) };
+
+    // New captures go to the vessel currently shown in the viewer
+    if (activeGroup.vessel) {
+      fragment.vesselId = activeGroup.vessel.id;
+    }
+
+    // Like surface geometry below, photo measurements are relative
+    if (result.classification?.fragmentType === "rim") {
+      fragment.rim = estimateRimDiameter(result.pointCloud, result.source ? {} : { metric: false });
+    }
+
+    // Imported scans have no camera; convex then means the vessel's outside.
+    // Photo depth maps have no true scale, so their radii are relative
+    try {
+      fragment.geometry = measureSurfaceGeometry(
+        result.pointCloud,
+        result.source ? { viewpoint: null } : { metric: false }
+      );
+    } catch (err) {
+      console.error("Surface geometry failed:", err);
+      fragment.geometry = null;
+    }
+
+    fragment.colorStats = await computeColorStats(fragment).catch(err => {
+      console.error("Colour statistics failed:", err);
+      return null;
+    });
+
+    if (activeProject) {
+      try {
+        fragment = await getFragmentStore().addFragment(activeProject.id, fragment);
+      } catch (err) {
+        console.error("Failed to save fragment:", err);
+        setStoreError(`Failed to save fragment: ${err.message}`);
+      }
+    }
+
+    setCurrentFragment(fragment);
+
+    const newFragments = [...fragments, fragment];
     setFragments(newFragments);
 
     reconstructPottery(newFragments);
   };
 
-  const reconstructPottery = (fragmentsList) => {
+  const updateFragment = async (updated) => {
     try {
-      const reconstructor = getPotteryReconstructor();
-      reconstructor.clear();
-
-      fragmentsList.forEach(fragment => {
-        if (fragment.pointCloud && fragment.pointCloud.length > 0) {
-          reconstructor.addFragment(fragment.pointCloud, {
-            fragmentType: fragment.classification?.fragmentType,
-            confidence: fragment.classification?.confidence
-          });
-        }
-      });
+      if (updated.projectId) {
+        await getFragmentStore().updateFragment(updated);
+      }
+    } catch (err) {
+      console.error("Failed to update fragment:", err);
+      setStoreError(`Failed to update fragment: ${err.message}`);
+      return;
+    }
 
-      const mesh = reconstructor.reconstruct();
-      setReconstructedMesh(mesh);
+    const isSame = f => (updated.id ? f.id === updated.id : f.timestamp === updated.timestamp);
+    setFragments(prev => prev.map(f => (isSame(f) ? updated : f)));
+    setCurrentFragment(prev => (prev && isSame(prev) ? updated : prev));
+  };
+
+  const reconstructPottery = (fragmentsList, vesselList = vessels) => {
+    rebuildReconstructions(fragmentsList, vesselList, setReconstructions);
+  };
 
-      console.log("Reconstruction complete:", reconstructor.getStats());
+  const runVesselAction = async (action) => {
+    setStoreBusy(true);
+    try {
+      await action(getFragmentStore());
     } catch (err) {
-      console.error("Reconstruction error:", err);
+      console.error("Vessel action failed:", err);
+      setStoreError(err.message);
+    } finally {
+      setStoreBusy(false);
     }
   };
 
-  const clearFragments = () => {
+  const saveVessels = async (store, nextVessels) => {
+    if (activeProject) {
+      setActiveProject(await store.updateProject(activeProject.id, { vessels: nextVessels }));
+    }
+    setVessels(nextVessels);
+  };
+
+  // Store vessel changes on the given fragments and rebuild every vessel
+  const saveAssignments = async (store, changed, nextVessels) => {
+    await store.updateFragments(changed.filter(f => f.projectId));
+
+    const byKey = new Map(changed.map(f => [f.id || f.timestamp, f]));
+    const replace = f => byKey.get(f.id || f.timestamp) || f;
+    const nextFragments = fragments.map(replace);
+
+    setFragments(nextFragments);
+    setCurrentFragment(prev => (prev ? replace(prev) : prev));
+    reconstructPottery(nextFragments, nextVessels);
+  };
+
+  const createVesselEntry = (name) =>
+    runVesselAction(async store => {
+      const vessel = createVessel(name || nextVesselName(vessels));
+      const nextVessels = [...vessels, vessel];
+      await saveVessels(store, nextVessels);
+      setActiveVesselKey(vessel.id);
+    });
+
+  const renameVessel = (id, name) =>
+    runVesselAction(store =>
+      saveVessels(store, vessels.map(v => (v.id === id ? { ...v, name } : v)))
+    );
+
+  const deleteVessel = (id) =>
+    runVesselAction(async store => {
+      const nextVessels = vessels.filter(v => v.id !== id);
+      const changed = fragments
+        .filter(f => f.vesselId === id)
+        .map(f => ({ ...f, vesselId: null }));
+
+      await saveVessels(store, nextVessels);
+      await saveAssignments(store, changed, nextVessels);
+      releasePotteryReconstructor(id);
+      setActiveVesselKey(UNASSIGNED);
+    });
+
+  const assignVessel = (fragment, vesselId) =>
+    runVesselAction(store =>
+      saveAssignments(store, [{ ...fragment, vesselId: vesselId || null }], vessels)
+    );
+
+  // Captures flagged as not a sherd are left out of the reconstruction
+  // unless included here; stored and rebuilt like a vessel assignment
+  const setReconstructionOverride = (fragment, include) =>
+    runVesselAction(store =>
+      saveAssignments(store, [{ ...fragment, reconstructionOverride: include }], vessels)
+    );
+
+  // One new vessel per suggested group
+  const applyVesselGrouping = (groups) =>
+    runVesselAction(async store => {
+      const nextVessels = [...vessels];
+      const changed = [];
+      for (const group of groups) {
+        const vessel = createVessel(nextVesselName(nextVessels));
+        nextVessels.push(vessel);
+        group.forEach(f => changed.push({ ...f, vesselId: vessel.id }));
+      }
+
+      await saveVessels(store, nextVessels);
+      await saveAssignments(store, changed, nextVessels);
+    });
+
+  const clearFragments = async () => {
+    if (activeProject) {
+      if (!window.confirm(`Remove all fragments from "${activeProject.name}"?`)) return;
+
+      try {
+        await getFragmentStore().clearProject(activeProject.id);
+      } catch (err) {
+        console.error("Failed to clear project:", err);
+        setStoreError(`Failed to clear project: ${err.message}`);
+        return;
+      }
+    }
+
     setFragments([]);
     setCurrentFragment(null);
-    setReconstructedMesh(null);
+    rebuildReconstructions([], [], setReconstructions);
     getPotteryReconstructor().clear();
+    vessels.forEach(v => releasePotteryReconstructor(v.id));
+  };
+
+  const refreshProjects = async () => {
+    setProjects(await getFragmentStore().listProjects());
+  };
+
+  const openProject = async (projectId) => {
+    setStoreBusy(true);
+    try {
+      const store = getFragmentStore();
+      const project = await store.getProject(projectId);
+      if (!project) throw new Error("Project not found");
+
+      const storedFragments = await store.getFragments(project.id);
+      store.setActiveProjectId(project.id);
+
+      setActiveProject(project);
+      setFragments(storedFragments);
+      setCurrentFragment(storedFragments[storedFragments.length - 1] || null);
+      setVessels(project.vessels || []);
+      setActiveVesselKey(UNASSIGNED);
+      rebuildReconstructions(storedFragments, project.vessels || [], setReconstructions);
+      setStoreError(null);
+    } catch (err) {
+      console.error("Failed to open project:", err);
+      setStoreError(`Failed to open project: ${err.message}`);
+    } finally {
+      setStoreBusy(false);
+    }
   };
 
+  const runProjectAction = async (action) => {
+    setStoreBusy(true);
+    try {
+      const projectToOpen = await action(getFragmentStore());
+      await refreshProjects();
+      if (projectToOpen) await openProject(projectToOpen.id);
+    } catch (err) {
+      console.error("Project action failed:", err);
+      setStoreError(err.message);
+    } finally {
+      setStoreBusy(false);
+    }
+  };
+
+  const createProject = (name) =>
+    runProjectAction(store => store.createProject(name));
+
+  const renameProject = (id, name) =>
+    runProjectAction(async store => {
+      const project = await store.renameProject(id, name);
+      setActiveProject(project);
+    });
+
+  const duplicateProject = (id, name) =>
+    runProjectAction(store => store.duplicateProject(id, name));
+
+  const deleteProject = (id) =>
+    runProjectAction(async store => {
+      await store.deleteProject(id);
+      return store.getOrCreateActiveProject();
+    });
+
   // Show loading screen
   if (!modelsLoaded) {
     return (
@@ -155,6 +417,31 @@ export default function App() {
         </p>
       </header>
 
+      <ProjectPanel
+        projects={projects}
+        activeProject={activeProject}
+        onOpen={openProject}
+        onCreate={createProject}
+        onRename={renameProject}
+        onDuplicate={duplicateProject}
+        onDelete={deleteProject}
+        busy={storeBusy}
+      />
+
+      {storeError && (
+        <div style={{
+          color: "#ff6b6b",
+          backgroundColor: "rgba(255, 0, 0, 0.1)",
+          border: "1px solid rgba(255, 107, 107, 0.3)",
+          borderRadius: "8px",
+          padding: "8px 12px",
+          marginBottom: "20px",
+          fontSize: "0.9em"
+        }}>
+          ⚠️ {storeError}
+        </div>
+      )}
+
       <div style={{ 
         display: "grid", 
         gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))",
@@ -163,7 +450,11 @@ export default function App() {
       }}>
         {/* Camera Capture Section */}
         <div>
-          <CameraCapture onResult={handleCaptureResult} modelsReady={modelsLoaded} />
+          <CameraCapture
+            onResult={handleCaptureResult}
+            modelsReady={modelsLoaded}
+            previousRecord={fragments[fragments.length - 1]?.record}
+          />
         </div>
 
         {/* Current Fragment Info */}
@@ -173,18 +464,29 @@ export default function App() {
           padding: "16px",
           backgroundColor: "#1a1a1a"
         }}>
-          <h3 style={{ marginTop: 0 }}>Latest Fragment</h3>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "16px" }}>
+            <h3 style={{ margin: 0 }}>Latest Fragment</h3>
+            <label
+              style={{ fontSize: "0.85em", color: "#aaa" }}
+              title="Highlight the image regions the classifier based its answer on"
+            >
+              <input
+                type="checkbox"
+                checked={showSaliency}
+                onChange={(e) => setShowSaliency(e.target.checked)}
+              />
+              {" "}🔥 Saliency
+            </label>
+          </div>
           
           {currentFragment ? (
             <div>
-              <img 
-                src={currentFragment.image} 
-                alt="Captured fragment"
-                style={{ 
-                  width: "100%", 
-                  borderRadius: "4px",
-                  marginBottom: "12px"
-                }} 
+              <SaliencyImage
+                key={`${currentFragment.id || currentFragment.timestamp}-${currentFragment.classification?.predictedType ?? currentFragment.classification?.fragmentType}`}
+                image={currentFragment.image}
+                label={currentFragment.classification?.predictedType ?? currentFragment.classification?.fragmentType ?? null}
+                // Scans imported without a photo show a rendered thumbnail
+                enabled={showSaliency && !!currentFragment.classification && !(currentFragment.source?.type === "scan" && !currentFragment.source.hasPhoto)}
               />
               
               <div style={{ 
@@ -204,9 +506,21 @@ export default function App() {
                 
                 <div>
                   <strong>Confidence:</strong><br />
-                  {(currentFragment.classification?.confidence * 100).toFixed(1)}%
+                  {currentFragment.classification
+                    ? `${(currentFragment.classification.confidence * 100).toFixed(1)}%`
+                    : "N/A"}
+                  {currentFragment.classification?.method === "knn" && (
+                    <span style={{ color: "#888" }} title="Nearest few-shot examples"> · k-NN</span>
+                  )}
                 </div>
                 
+                <div>
+                  <strong>Ware:</strong><br />
+                  {currentFragment.classification?.wareType
+                    ? `${currentFragment.classification.wareType} (${(currentFragment.classification.wareConfidence * 100).toFixed(1)}%)`
+                    : "N/A"}
+                </div>
+
                 <div>
                   <strong>Points:</strong><br />
                   {currentFragment.pointCloud?.length || 0}
@@ -214,8 +528,70 @@ export default function App() {
                 
                 <div>
                   <strong>Symmetry:</strong><br />
-                  {currentFragment.classification?.symmetry || "N/A"}
+                  {currentFragment.geometry ? formatSurfaceGeometry(currentFragment.geometry).symmetry : "N/A"}
+                </div>
+
+                <div style={{ gridColumn: "1 / -1" }}>
+                  <strong>Curvature:</strong><br />
+                  {currentFragment.geometry ? formatSurfaceGeometry(currentFragment.geometry).curvature : "N/A"}
                 </div>
+
+                {isRejected(currentFragment.classification) && (
+                  <div style={{ gridColumn: "1 / -1", color: "#ff9800", fontSize: "0.85em" }}>
+                    ⚠️ {currentFragment.classification.openSet.status === "not-sherd" ? "Probably not a sherd" : "Too uncertain to classify"}
+                    {currentFragment.classification.predictedType && ` (best guess: ${currentFragment.classification.predictedType})`}
+                    <div style={{ color: "#aaa" }}>{currentFragment.classification.openSet.reasons.join("; ")}</div>
+                    {currentFragment.classification.openSet.status === "not-sherd" ? (
+                      <div style={{ marginTop: "4px" }}>
+                        {currentFragment.reconstructionOverride
+                          ? "Included in the reconstruction. "
+                          : "Left out of the reconstruction. "}
+                        <button
+                          onClick={() => setReconstructionOverride(currentFragment, !currentFragment.reconstructionOverride)}
+                          disabled={storeBusy}
+                          style={{ padding: "2px 8px", fontSize: "0.95em" }}
+                        >
+                          {currentFragment.reconstructionOverride ? "Leave out" : "Include anyway"}
+                        </button>
+                      </div>
+                    ) : (
+                      <div style={{ marginTop: "4px" }}>Used in the reconstruction with its best guess.</div>
+                    )}
+                  </div>
+                )}
+
+                {currentFragment.classification?.openSet?.status === "failed" && (
+                  <div style={{ gridColumn: "1 / -1", color: "#ff9800", fontSize: "0.85em" }}>
+                    ⚠️ Not classified: {currentFragment.classification.openSet.reasons.join("; ")}
+                    <div style={{ marginTop: "4px" }}>Used in the reconstruction as an unknown part.</div>
+                  </div>
+                )}
+
+                {currentFragment.classification?.fragmentType === "rim" && (
+                  currentFragment.rim ? (
+                    <>
+                      <div>
+                        <strong>Rim Ø:</strong><br />
+                        {formatRimMeasurement(currentFragment.rim).diameter}
+                      </div>
+
+                      <div>
+                        <strong>Preserved:</strong><br />
+                        {formatRimMeasurement(currentFragment.rim).preserved}
+                      </div>
+
+                      {currentFragment.rim.axisQuality === null && (
+                        <div style={{ gridColumn: "1 / -1", color: "#c2a070", fontSize: "0.85em" }}>
+                          No reliable axis; diameter assumes the rim was captured level.
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <div style={{ gridColumn: "1 / -1", color: "#999" }}>
+                      <strong>Rim Ø:</strong> could not be estimated
+                    </div>
+                  )
+                )}
               </div>
             </div>
           ) : (
@@ -272,6 +648,19 @@ export default function App() {
             </button>
           </div>
         </div>
+
+        <VesselPanel
+          fragments={fragments}
+          groups={vesselGroups}
+          reconstructions={reconstructions}
+          activeKey={activeGroup.key}
+          onSelectVessel={setActiveVesselKey}
+          onCreate={createVesselEntry}
+          onRename={renameVessel}
+          onDelete={deleteVessel}
+          onApplyGrouping={applyVesselGrouping}
+          busy={storeBusy}
+        />
         
         <div style={{ 
           height: "500px",
@@ -280,9 +669,16 @@ export default function App() {
           position: "relative"
         }}>
           <ReconstructionViewer 
-            mesh={reconstructedMesh} 
+            mesh={activeReconstruction?.mesh || null} 
             pointCloud={currentFragment?.pointCloud}
             showPointCloud={false}
+            exportName={activeGroup.vessel
+              ? `${activeProject?.name || "archia"} ${activeGroup.name}`
+              : activeProject?.name}
+            exportExtras={{
+              project: activeProject?.name || null,
+              vessel: activeGroup.vessel?.name || null
+            }}
           />
           
           {fragments.length === 0 && (
@@ -304,55 +700,29 @@ export default function App() {
 
       {/* Fragment Gallery */}
       {fragments.length > 0 && (
-        <div style={{
-          border: "2px solid #444",
-          borderRadius: "8px",
-          padding: "16px",
-          backgroundColor: "#1a1a1a"
-        }}>
-          <h3 style={{ marginTop: 0 }}>
-            Fragment Gallery ({fragments.length})
-          </h3>
-          
-          <div style={{
-            display: "grid",
-            gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
-            gap: "12px"
-          }}>
-            {fragments.map((fragment, index) => (
-              <div 
-                key={fragment.timestamp}
-                style={{
-                  border: "1px solid #444",
-                  borderRadius: "4px",
-                  padding: "8px",
-                  backgroundColor: "#222",
-                  cursor: "pointer",
-                  transition: "transform 0.2s",
-                }}
-                onClick={() => setCurrentFragment(fragment)}
-                onMouseEnter={(e) => e.currentTarget.style.transform = "scale(1.05)"}
-                onMouseLeave={(e) => e.currentTarget.style.transform = "scale(1)"}
-              >
-                <img 
-                  src={fragment.image} 
-                  alt={`Fragment ${index + 1}`}
-                  style={{ 
-                    width: "100%", 
-                    borderRadius: "2px",
-                    marginBottom: "4px"
-                  }} 
-                />
-                <div style={{
-                  fontSize: "0.75em",
-                  textAlign: "center",
-                  color: getFragmentColor(fragment.classification?.fragmentType)
-                }}>
-                  {fragment.classification?.fragmentType}
-                </div>
-              </div>
-            ))}
-          </div>
+        <FragmentGallery
+          fragments={fragments}
+          selectedFragment={currentFragment}
+          onSelect={setCurrentFragment}
+          onUpdateFragment={updateFragment}
+          vessels={vessels}
+          onAssignVessel={assignVessel}
+        />
+      )}
+
+      {showTrainingStudio ? (
+        <TrainingStudio
+          fragments={fragments}
+          onClose={() => setShowTrainingStudio(false)}
+        />
+      ) : (
+        <div style={{ textAlign: "center", marginBottom: "24px" }}>
+          <button
+            onClick={() => setShowTrainingStudio(true)}
+            style={{ padding: "8px 16px", fontSize: "0.95em" }}
+          >
+            🎓 Open training studio
+          </button>
         </div>
       )}
 
@@ -374,12 +744,73 @@ export default function App() {
   );
 }
 
-function getFragmentColor(type) {
-  const colors = {
-    rim: "#4caf50",
-    body: "#2196f3",
-    base: "#ff9800",
-    unknown: "#666"
-  };
-  return colors[type] || colors.unknown;
-}
\ No newline at end of file
+// Inputs of the latest rebuild; a registration arriving from the worker
+// rebuilds from these, not from the inputs it was requested for
+let latestReconstructionInput = { fragmentsList: [], vessels: [] };
+
+// Rebuild every vessel now with the registration its reconstructor
+// already has, and again once missing registrations arrive from the worker
+function rebuildReconstructions(fragmentsList, vessels, setReconstructions) {
+  latestReconstructionInput = { fragmentsList, vessels };
+  setReconstructions(buildReconstructions(fragmentsList, vessels));
+
+  pruneRegistrationCache(fragmentsList.map(f => f.id).filter(Boolean));
+
+  for (const group of groupByVessel(fragmentsList, vessels)) {
+    if (group.fragments.length === 0) continue;
+
+    const reconstructor = getPotteryReconstructor(group.key === UNASSIGNED ? null : group.key);
+    const request = reconstructor.registrationRequest();
+    if (!request) continue;
+
+    registerFragmentsAsync(request.fragments)
+      .then(registration => {
+        if (!reconstructor.setRegistration(request.keys, registration)) return;
+        const latest = latestReconstructionInput;
+        setReconstructions(buildReconstructions(latest.fragmentsList, latest.vessels));
+      })
+      .catch(err => console.error("Fragment registration failed:", err));
+  }
+}
+
+// One reconstruction per vessel that has fragments
+function buildReconstructions(fragmentsList, vessels) {
+  return groupByVessel(fragmentsList, vessels)
+    .filter(group => group.fragments.length > 0)
+    .map(group => ({
+      key: group.key,
+      name: group.name,
+      vessel: group.vessel,
+      ...buildReconstruction(group.fragments, group.key === UNASSIGNED ? null : group.key)
+    }));
+}
+
+function buildReconstruction(fragmentsList, vesselId = null) {
+  try {
+    const reconstructor = getPotteryReconstructor(vesselId);
+    reconstructor.clear();
+
+    fragmentsList.forEach(fragment => {
+      if (isExcludedFromReconstruction(fragment)) return;
+
+      if (fragment.pointCloud && fragment.pointCloud.length > 0) {
+        reconstructor.addFragment(fragment.pointCloud, {
+          // Uncertain captures and included rejections keep their best guess
+          fragmentType: fragment.classification?.predictedType ?? fragment.classification?.fragmentType,
+          confidence: fragment.classification?.confidence,
+          id: fragment.id,
+          record: fragment.record,
+          timestamp: fragment.timestamp
+        });
+      }
+    });
+
+    const mesh = reconstructor.reconstruct();
+    const stats = reconstructor.getStats();
+    console.log("Reconstruction complete:", stats);
+    return { mesh, stats };
+  } catch (err) {
+    console.error("Reconstruction error:", err);
+    return { mesh: null, stats: null };
+  }
+}
@@ -0,0 +1,97 @@
+import * as tf from "@tensorflow/tfjs";
+
+/**
+ * Training data augmentation
+ * Random variations of the training images, so a small labelled set does
+ * not get memorised: rotation, flips, crops, brightness/contrast and
+ * white-balance jitter, as sherds are photographed at any angle, distance
+ * and light. Works on [batch, height, width, 3] pixel tensors (0–255).
+ */
+
+export const DEFAULT_AUGMENTATION = {
+  // Augmented copies per training image (frozen-backbone training)
+  copies: 4,
+  // Maximum rotation either way, in degrees
+  rotation: 20,
+  horizontalFlip: true,
+  // Off by default: a rim photographed upside down looks like a base
+  verticalFlip: false,
+  // Smallest crop, as a share of the image side
+  minCropScale: 0.75,
+  // Maximum brightness shift, as a share of the pixel range
+  brightness: 0.15,
+  // Maximum contrast change either way (0.2: 80–120%)
+  contrast: 0.2,
+  // Maximum per-channel gain change either way
+  whiteBalance: 0.08
+};
+
+function uniform(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function randomFlips(pixels, enabled, flip) {
+  if (!enabled) return pixels;
+
+  const count = pixels.shape[0];
+  const mask = tf.tensor4d(
+    Array.from({ length: count }, () => (Math.random() < 0.5 ? 1 : 0)),
+    [count, 1, 1, 1]
+  );
+  return pixels.mul(tf.scalar(1).sub(mask)).add(flip(pixels).mul(mask));
+}
+
+/**
+ * Randomly augmented copy of a batch of images, same shape as the input
+ * @param {tf.Tensor4D} pixels
+ * @param {Object} [options] See DEFAULT_AUGMENTATION
+ * @returns {tf.Tensor4D}
+ */
+export function augmentBatch(pixels, options = DEFAULT_AUGMENTATION) {
+  const settings = { ...DEFAULT_AUGMENTATION, ...options };
+
+  return tf.tidy(() => {
+    const [count, height, width] = pixels.shape;
+    let images = pixels.toFloat();
+
+    // Rotation takes one angle per call, so images are rotated one by one
+    if (settings.rotation > 0) {
+      const maxAngle = (settings.rotation * Math.PI) / 180;
+      images = tf.concat(
+        tf.split(images, count).map(image =>
+          tf.image.rotateWithOffset(image, uniform(-maxAngle, maxAngle), 127)
+        )
+      );
+    }
+
+    images = randomFlips(images, settings.horizontalFlip, x => tf.image.flipLeftRight(x));
+    images = randomFlips(images, settings.verticalFlip, x => x.reverse(1));
+
+    // Random crop of each image, scaled back to full size
+    if (settings.minCropScale < 1) {
+      const boxes = Array.from({ length: count }, () => {
+        const scale = uniform(settings.minCropScale, 1);
+        const top = uniform(0, 1 - scale);
+        const left = uniform(0, 1 - scale);
+        return [top, left, top + scale, left + scale];
+      });
+      images = tf.image.cropAndResize(
+        images,
+        tf.tensor2d(boxes),
+        tf.tensor1d(Array.from({ length: count }, (_, i) => i), "int32"),
+        [height, width]
+      );
+    }
+
+    // Contrast around each image's mean, then brightness and per-channel gains
+    const random = (spread, shape) =>
+      tf.tensor(Array.from({ length: shape.reduce((a, b) => a * b, 1) }, () => uniform(-spread, spread)), shape);
+
+    const mean = images.mean([1, 2, 3], true);
+    const contrast = random(settings.contrast, [count, 1, 1, 1]).add(1);
+    const brightness = random(settings.brightness * 255, [count, 1, 1, 1]);
+    const gains = random(settings.whiteBalance, [count, 1, 1, 3]).add(1);
+
+    return images.sub(mean).mul(contrast).add(mean).add(brightness).mul(gains).clipByValue(0, 255);
+  });
+}
@@ -0,0 +1,105 @@
+import * as tf from "@tensorflow/tfjs";
+
+/**
+ * Fine-tuning the last MobileNet blocks
+ * MobileNet comes as a tf.js GraphModel whose weights are constants. To
+ * train its last blocks their weight tensors are swapped for variables in
+ * the graph executor's weight map (the same map GraphModel.weights
+ * exposes); everything else stays frozen. Tuned weights are stored on
+ * their own in tf.js IndexedDB storage and applied over the downloaded
+ * model at start-up.
+ */
+
+// MobileNet v2 names its inverted residual blocks expanded_conv,
+// expanded_conv_1 … expanded_conv_16, followed by the 1×1 Conv_1;
+// v1 has Conv2d_0 … Conv2d_13 (depthwise and pointwise)
+const BLOCK_PATTERN = /\/(?:expanded_conv(?:_(\d+))?\/|Conv2d_(\d+)[_/])/;
+const FINAL_CONV_PATTERN = /\/Conv_1\//;
+
+function graphExecutor(graphModel) {
+  if (!graphModel?.executor?.weightMap) {
+    throw new Error("Backbone fine-tuning needs a graph model");
+  }
+  return graphModel.executor;
+}
+
+/**
+ * Names of the weights in the last `blocks` blocks (Conv_1 counts as the last)
+ * @returns {Array<string>}
+ */
+export function tunableWeightNames(graphModel, blocks) {
+  const names = Object.keys(graphExecutor(graphModel).weightMap);
+  const blockOf = name => {
+    if (FINAL_CONV_PATTERN.test(name)) return Infinity;
+    const match = name.match(BLOCK_PATTERN);
+    return match ? Number(match[1] || match[2] || 0) : null;
+  };
+
+  const blockIds = [...new Set(names.map(blockOf).filter(id => id !== null))].sort((a, b) => b - a);
+  if (blockIds.length === 0) {
+    throw new Error("Could not find MobileNet blocks in the backbone; fine-tuning is not available for it");
+  }
+
+  const selected = new Set(blockIds.slice(0, blocks));
+  return names.filter(name => selected.has(blockOf(name)) && graphExecutor(graphModel).weightMap[name][0].dtype === "float32");
+}
+
+/**
+ * Current tensors of the given weights
+ * @returns {Object<string, tf.Tensor>}
+ */
+export function getGraphWeights(graphModel, names) {
+  const weightMap = graphExecutor(graphModel).weightMap;
+  return Object.fromEntries(names.map(name => [name, weightMap[name][0]]));
+}
+
+/**
+ * Replace weights of the graph; the replaced tensors are returned, not disposed
+ * @param {Object<string, tf.Tensor>} tensors
+ * @returns {Object<string, tf.Tensor>}
+ */
+export function setGraphWeights(graphModel, tensors) {
+  const executor = graphExecutor(graphModel);
+  const replaced = {};
+  const weightMap = { ...executor.weightMap };
+
+  for (const [name, tensor] of Object.entries(tensors)) {
+    if (!(name in weightMap)) {
+      throw new Error(`Backbone has no weight "${name}"`);
+    }
+    replaced[name] = weightMap[name][0];
+    weightMap[name] = [tensor];
+  }
+
+  // The setter also refreshes the ids the executor must never dispose
+  executor.weightMap = weightMap;
+  return replaced;
+}
+
+/**
+ * Store named weights under a tf.js storage URL
+ */
+export async function saveWeights(url, tensors) {
+  const { data, specs } = await tf.io.encodeWeights(tensors);
+  const [handler] = tf.io.getSaveHandlers(url);
+  await handler.save({
+    modelTopology: { format: "archia-backbone-weights" },
+    weightSpecs: specs,
+    weightData: data
+  });
+}
+
+/**
+ * @returns {Promise<Object<string, tf.Tensor>|null>} null when nothing is stored
+ */
+export async function loadWeights(url) {
+  if (!(url in await tf.io.listModels())) return null;
+
+  const [handler] = tf.io.getLoadHandlers(url);
+  const artifacts = await handler.load();
+  return tf.io.decodeWeights(artifacts.weightData, artifacts.weightSpecs);
+}
+
+export async function hasWeights(url) {
+  return url in await tf.io.listModels();
+}
@@ -0,0 +1,220 @@
+import * as tf from "@tensorflow/tfjs";
+import { loadMobileNet, loadWithFallback, MOBILENET_CONFIG, tfhubMobileNetUrl } from "./mobilenet";
+import { getFragmentStore, createId } from "../data/fragmentStore";
+
+/**
+ * Feature backbones
+ * The classifier heads sit on an image embedding; the network producing it
+ * is interchangeable. Every backbone takes [batch, size, size, 3] pixels
+ * (0–255) and returns [batch, embeddingSize] embeddings. Built in are the
+ * MobileNet v1/v2 builds at several widths (alphas); any other tfjs graph
+ * model served by the app can be added as a custom backbone.
+ *
+ * Heads, fine-tuned weights and stored embeddings belong to one backbone
+ * and are kept per embedding key: the backbone id, plus for MobileNet the
+ * revision of its input scaling (see MOBILENET_INPUT_REVISION).
+ */
+
+export const DEFAULT_BACKBONE_ID = "mobilenet-v2-100";
+
+const REMOTE_DISABLED = import.meta.env.VITE_MOBILENET_REMOTE_URL === "";
+
+// Raised when the pixels MobileNet sees change. Revision 1 divided by 255
+// before infer(), which scales from 0–255 itself, so the network saw
+// inputs of about [0, 0.004]; heads and embeddings from then are not used.
+const MOBILENET_INPUT_REVISION = 2;
+
+function mobileNetSpec(version, alpha) {
+  const size = String(Math.round(alpha * 100)).padStart(3, "0");
+  const id = `mobilenet-v${version}-${size}`;
+  return {
+    id,
+    name: `MobileNet v${version} (alpha ${alpha})`,
+    kind: "mobilenet",
+    version,
+    alpha,
+    inputSize: 224,
+    inputRange: [0, 1],
+    localUrls: [`${import.meta.env.BASE_URL}models/${id}/model.json`],
+    cacheUrl: `indexeddb://archia-${id}`,
+    remoteUrl: REMOTE_DISABLED ? null : tfhubMobileNetUrl(version, alpha)
+  };
+}
+
+const BUILT_IN_BACKBONES = [
+  // The original backbone keeps its configurable URLs and cache slot
+  { ...mobileNetSpec(2, 1.0), ...MOBILENET_CONFIG },
+  mobileNetSpec(2, 0.75),
+  mobileNetSpec(2, 0.5),
+  mobileNetSpec(1, 1.0),
+  mobileNetSpec(1, 0.75),
+  mobileNetSpec(1, 0.5),
+  mobileNetSpec(1, 0.25)
+];
+
+/**
+ * What embeddings of a backbone are stored and compared under
+ * @param {Object} spec Backbone description
+ */
+export function embeddingKey(spec) {
+  return spec.kind === "graph" ? spec.id : `${spec.id}@${MOBILENET_INPUT_REVISION}`;
+}
+
+/**
+ * Storage URL of something kept per embedding key (heads, tuned weights)
+ */
+export function backboneStorageUrl(url, key) {
+  return `${url}-${key}`;
+}
+
+/**
+ * Built-in and custom backbone descriptions
+ * @returns {Array<Object>}
+ */
+export function listBackbones() {
+  return [...BUILT_IN_BACKBONES, ...getFragmentStore().getCustomBackbones()];
+}
+
+export function getBackboneSpec(id) {
+  return listBackbones().find(spec => spec.id === id) || null;
+}
+
+/**
+ * Register a locally hosted tfjs graph model as a backbone
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {string} options.url model.json URL
+ * @param {number} [options.inputSize=224]
+ * @param {Array<number>} [options.inputRange=[0, 1]] Pixel range the model expects
+ * @param {string} [options.outputNode] Node to read the embedding from; the
+ *   model output when omitted. Spatial feature maps are average-pooled.
+ * @param {string} [options.id] Kept when re-adding a backbone from a model file
+ * @returns {Object} The backbone description
+ */
+export function addCustomBackbone({ name, url, inputSize = 224, inputRange = [0, 1], outputNode = null, id = null }) {
+  if (!url) {
+    throw new Error("A custom backbone needs a model.json URL");
+  }
+  if (!(inputSize > 0)) {
+    throw new Error("Input size must be positive");
+  }
+
+  const specId = id || `graph-${createId()}`;
+  const spec = {
+    id: specId,
+    name: name || url,
+    kind: "graph",
+    url,
+    inputSize,
+    inputRange,
+    outputNode,
+    cacheUrl: `indexeddb://archia-backbone-${specId}`
+  };
+
+  const store = getFragmentStore();
+  store.setCustomBackbones([...store.getCustomBackbones().filter(b => b.id !== specId), spec]);
+  return spec;
+}
+
+class MobileNetBackbone {
+  constructor(spec) {
+    this.spec = spec;
+    this.id = spec.id;
+    this.name = spec.name;
+    this.embeddingKey = embeddingKey(spec);
+    this.inputSize = spec.inputSize;
+    this.embeddingSize = null;
+    this.net = null;
+  }
+
+  async load(onSource) {
+    this.net = await loadMobileNet(onSource, this.spec);
+  }
+
+  get graphModel() {
+    return this.net.model;
+  }
+
+  // infer() scales 0–255 pixels to the model's input range itself
+  embed(pixels) {
+    return this.net.infer(pixels, true);
+  }
+
+  async classify(imgElement, topK) {
+    return this.net.classify(imgElement, topK);
+  }
+
+  dispose() {
+    this.net?.dispose();
+  }
+}
+
+class GraphModelBackbone {
+  constructor(spec) {
+    this.spec = spec;
+    this.id = spec.id;
+    this.name = spec.name;
+    this.embeddingKey = embeddingKey(spec);
+    this.inputSize = spec.inputSize;
+    this.embeddingSize = null;
+    this.model = null;
+  }
+
+  async load(onSource) {
+    this.model = await loadWithFallback(
+      { name: this.spec.name, localUrls: [this.spec.url], cacheUrl: this.spec.cacheUrl, remoteUrl: null },
+      url => tf.loadGraphModel(url),
+      undefined,
+      onSource
+    );
+  }
+
+  get graphModel() {
+    return this.model;
+  }
+
+  embed(pixels) {
+    const [min, max] = this.spec.inputRange;
+    const input = pixels.div(255.0).mul(max - min).add(min);
+    const output = this.spec.outputNode
+      ? this.model.execute(input, this.spec.outputNode)
+      : this.model.predict(input);
+
+    if (output.rank === 4) return output.mean([1, 2]);
+    return output.rank === 2 ? output : output.reshape([output.shape[0], -1]);
+  }
+
+  // No ImageNet classes to report
+  async classify() {
+    return [];
+  }
+
+  dispose() {
+    this.model?.dispose();
+  }
+}
+
+/**
+ * Load a backbone and measure its embedding size
+ * @param {string} [id=DEFAULT_BACKBONE_ID]
+ * @param {Function} [onSource] See loadWithFallback
+ * @returns {Promise<Object>} `{ id, name, embeddingKey, inputSize, embeddingSize,
+ *   graphModel, embed(pixels), classify(img, topK), dispose() }`
+ */
+export async function loadBackbone(id = DEFAULT_BACKBONE_ID, onSource = null) {
+  const spec = getBackboneSpec(id);
+  if (!spec) {
+    throw new Error(`Unknown backbone "${id}"`);
+  }
+
+  const backbone = spec.kind === "graph" ? new GraphModelBackbone(spec) : new MobileNetBackbone(spec);
+  await backbone.load(onSource);
+
+  backbone.embeddingSize = tf.tidy(() => {
+    const size = spec.inputSize;
+    return backbone.embed(tf.zeros([1, size, size, 3])).shape[1];
+  });
+  console.log(`✅ ${spec.name}: ${backbone.embeddingSize}-dimensional embeddings`);
+
+  return backbone;
+}
@@ -1,17 +1,125 @@
 import * as tf from "@tensorflow/tfjs";
-import * as mobilenet from "@tensorflow-models/mobilenet";
+import { DEFAULT_LABELS, DEFAULT_WARE_LABELS, normalizeLabels, sameLabels, labelIndex } from "./taxonomy";
+import { applyTemperature } from "./evaluation";
+import { loadBackbone, getBackboneSpec, backboneStorageUrl, DEFAULT_BACKBONE_ID } from "./backbones";
+import { knnPredict, normalizeEmbedding } from "./knn";
+import { assessOpenSet } from "./openSet";
+import { augmentBatch, DEFAULT_AUGMENTATION } from "./augmentation";
+import { learningRateAt, createEarlyStopping } from "./trainingSchedule";
+import {
+  tunableWeightNames, getGraphWeights, setGraphWeights, saveWeights, loadWeights, hasWeights
+} from "./backboneTuning";
+import { shuffled } from "./trainingSet";
+import { getFragmentStore } from "../data/fragmentStore";
+
+// Classification heads on the shared backbone embedding: vessel part and
+// ware/fabric. `sampleKey` is the training sample field holding the label.
+const HEADS = {
+  type: { url: "indexeddb://fragment-classifier", defaultLabels: DEFAULT_LABELS, sampleKey: "label" },
+  ware: { url: "indexeddb://fragment-ware-classifier", defaultLabels: DEFAULT_WARE_LABELS, sampleKey: "ware" }
+};
+
+export const HEAD_NAMES = Object.keys(HEADS);
+
+// "dense": the trained heads; "knn": nearest labelled embeddings in the
+// few-shot library, falling back to the dense head for a field the
+// library has no examples of
+export const CLASSIFIER_MODES = ["dense", "knn"];
+
+// ImageNet classes checked by open-set rejection
+const IMAGENET_TOP_K = 5;
+
+// Fine-tuned backbone weights, applied over the downloaded model
+const BACKBONE_URL = "indexeddb://fragment-backbone-tuning";
+
+const DEFAULT_LEARNING_RATE = 0.0001;
+
+// Copy from before the last training run, for rollback
+function previousUrl(url) {
+  return `${url}-previous`;
+}
+
+// Library entries keep one embedding per embedding key (see backbones.js);
+// a single `embedding` from before that came from the original backbone
+// with its old input scaling and is only kept, not used
+function exampleEmbedding(example, key) {
+  return example.embeddings?.[key] ?? null;
+}
+
+function withEmbedding(example, key, embedding) {
+  const { embedding: legacy, ...rest } = example;
+  return {
+    ...rest,
+    embeddings: {
+      ...(legacy && { [DEFAULT_BACKBONE_ID]: legacy }),
+      ...example.embeddings,
+      [key]: embedding
+    }
+  };
+}
+
+// Random train/validation split of sample indices
+function splitValidation(count, share) {
+  const indices = shuffled(Array.from({ length: count }, (_, i) => i));
+  const validationCount = count > 1 ? Math.min(count - 1, Math.round(count * share)) : 0;
+  return {
+    validation: indices.slice(0, validationCount),
+    train: indices.slice(validationCount)
+  };
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load example image"));
+    img.src = src;
+  });
+}
 
 export class FragmentClassifier {
   constructor() {
-    this.mobileNet = null;
-    this.classifier = null;
-    this.labels = ["rim", "body", "base"];
+    this.backbone = null;
+    this.heads = Object.fromEntries(
+      HEAD_NAMES.map(head => [head, { model: null, labels: [...HEADS[head].defaultLabels], temperature: 1, trained: false }])
+    );
     this.loading = false;
     this.loaded = false;
     this.embeddingSize = null;
+    // Downloaded backbone tensors replaced by fine-tuned ones, by weight name
+    this.originalBackboneWeights = {};
+    this.mode = "dense";
+    this.library = [];
+    this.training = false;
+    this.trainingCancelled = false;
     this.onProgress = null; // Progress callback
   }
 
+  // Vessel part head, kept under its original names
+  get classifier() {
+    return this.heads.type.model;
+  }
+
+  get labels() {
+    return this.heads.type.labels;
+  }
+
+  get wareLabels() {
+    return this.heads.ware.labels;
+  }
+
+  get backboneTuned() {
+    return Object.keys(this.originalBackboneWeights).length > 0;
+  }
+
+  headUrl(head) {
+    return backboneStorageUrl(HEADS[head].url, this.backbone.embeddingKey);
+  }
+
+  get tuningUrl() {
+    return backboneStorageUrl(BACKBONE_URL, this.backbone.embeddingKey);
+  }
+
   setProgressCallback(callback) {
     this.onProgress = callback;
   }
@@ -42,38 +150,44 @@ export class FragmentClassifier {
       await tf.ready();
       this.reportProgress("TensorFlow.js ready (backend: " + tf.getBackend() + ")", 25);
 
-      // Stage 2: MobileNet Download (25-75%)
-      this.reportProgress("Downloading MobileNet (~16MB)...", 30);
-      
-      // Use lighter model for faster loading
-this.mobileNet = await mobilenet.load({
-  version: 2,
-  alpha: 1.0,
-});
-
+      // Stage 2: Backbone (25-75%), from bundled files when available
+      const stored = getFragmentStore().getBackboneId();
+      const backboneId = getBackboneSpec(stored) ? stored : DEFAULT_BACKBONE_ID;
+      const name = getBackboneSpec(backboneId).name;
+      const sourceMessages = {
+        local: `Loading bundled ${name}...`,
+        cache: `Loading cached ${name}...`,
+        remote: `Downloading ${name}...`
+      };
+      this.backbone = await loadBackbone(backboneId, source => this.reportProgress(sourceMessages[source], 30));
 
-      this.reportProgress("MobileNet loaded successfully", 75);
+      this.reportProgress(`${name} loaded successfully`, 75);
 
-      // Stage 3: Detect embedding size (75-80%)
+      // Stage 3: Embedding size and tuned weights (75-80%)
       this.reportProgress("Detecting model configuration...", 76);
-      await this.detectEmbeddingSize();
-      this.reportProgress("Model configured", 80);
+      this.embeddingSize = this.backbone.embeddingSize;
+      await this.loadBackboneTuning(this.tuningUrl);
+      this.reportProgress(this.backboneTuned ? "Fine-tuned backbone applied" : "Model configured", 80);
+
+      // Stage 4: Load/Create Classifiers (80-100%)
+      this.reportProgress("Loading classifiers...", 85);
+      const cached = [];
+      for (const head of HEAD_NAMES) {
+        cached.push(await this.loadHead(head));
+      }
+      this.reportProgress(
+        cached.every(Boolean) ? "Classifiers loaded from cache" : "Created new classifiers",
+        90
+      );
 
-      // Stage 4: Load/Create Classifier (80-100%)
-      this.reportProgress("Loading classifier...", 85);
+      this.reportProgress("Loading few-shot examples...", 92);
+      await this.loadLibrary();
       try {
-        this.classifier = await tf.loadLayersModel("indexeddb://fragment-classifier");
-        this.reportProgress("Classifier loaded from cache", 95);
-        
-        const expectedShape = this.classifier.layers[0].getInputAt(0).shape[1];
-        if (expectedShape !== this.embeddingSize) {
-          console.warn(`Cached classifier mismatch, creating new one`);
-          this.createClassifier();
-        }
+        await this.reembedLibrary({ missingOnly: true });
       } catch (err) {
-        this.reportProgress("Creating new classifier...", 90);
-        this.createClassifier();
+        console.warn("Could not embed few-shot examples for this backbone:", err);
       }
+      this.reportProgress(`${this.library.length} few-shot examples loaded`, 95);
 
       this.reportProgress("All models ready!", 100);
       this.loaded = true;
@@ -88,23 +202,57 @@ this.mobileNet = await mobilenet.load({
     }
   }
 
-  async detectEmbeddingSize() {
-    const dummyImage = tf.zeros([224, 224, 3]);
-    
-    return tf.tidy(() => {
-      const batch = dummyImage.expandDims(0);
-      const normalized = batch.div(255.0);
-      const embedding = this.mobileNet.infer(normalized, true);
-      
-      this.embeddingSize = embedding.shape[1];
-      console.log(`✅ Embedding size: ${this.embeddingSize}`);
-      
-      return this.embeddingSize;
-    });
+  /**
+   * Load a head from IndexedDB, or create a fresh one when there is none or
+   * it does not fit the current embedding
+   * @returns {Promise<boolean>} Whether the cached head was used
+   */
+  async loadHead(head) {
+    let model;
+    try {
+      model = await tf.loadLayersModel(this.headUrl(head));
+    } catch {
+      this.createHead(head);
+      return false;
+    }
+
+    // Models saved before the label set was stored use the defaults; those
+    // saved before `trained` was stored count as trained once a registry
+    // version exists
+    const metadata = model.getUserDefinedMetadata() || {};
+    const trained = metadata.trained ?? getFragmentStore().getActiveModelId() !== null;
+    const labels = metadata.labels || [...HEADS[head].defaultLabels];
+    const expectedShape = model.layers[0].getInputAt(0).shape[1];
+    const outputUnits = model.outputs[0].shape[1];
+    if (expectedShape !== this.embeddingSize || outputUnits !== labels.length) {
+      console.warn(`Cached ${head} classifier mismatch, creating new one`);
+      model.dispose();
+      this.createHead(head);
+      return false;
+    }
+
+    // Loaded models come back uncompiled and could not be trained otherwise
+    this.compileHead(model);
+    this.heads[head].model?.dispose();
+    this.heads[head] = { model, labels, temperature: metadata.temperature || 1, trained };
+    return true;
+  }
+
+  createHead(head, labels = this.heads[head].labels) {
+    if (this.heads[head].model) this.heads[head].model.dispose();
+
+    const model = this.buildHeadModel(labels);
+    this.heads[head] = { model, labels, temperature: 1, trained: false };
+    console.log(`✅ ${head} classifier created (${labels.join(", ")})`);
+    return model;
   }
 
-  createClassifier() {
-    this.classifier = tf.sequential({
+  /**
+   * Untrained, compiled head for the current embedding size; also used by
+   * cross-validation to train throwaway copies
+   */
+  buildHeadModel(labels) {
+    const model = tf.sequential({
       layers: [
         tf.layers.dense({
           inputShape: [this.embeddingSize],
@@ -119,34 +267,76 @@ this.mobileNet = await mobilenet.load({
         }),
         tf.layers.dropout({ rate: 0.2 }),
         tf.layers.dense({
-          units: 3,
+          units: labels.length,
           activation: "softmax"
         })
       ]
     });
+    model.setUserDefinedMetadata({ labels });
+    this.compileHead(model);
+    return model;
+  }
+
+  // Training sample field holding this head's label
+  headSampleKey(head) {
+    return HEADS[head].sampleKey;
+  }
 
-    this.classifier.compile({
-      optimizer: tf.train.adam(0.0001),
+  compileHead(model) {
+    model.compile({
+      optimizer: tf.train.adam(DEFAULT_LEARNING_RATE),
       loss: "categoricalCrossentropy",
       metrics: ["accuracy"]
     });
+  }
+
+  /**
+   * Switch a head to a different class taxonomy
+   * The hidden layers keep their weights; the output layer is rebuilt for
+   * the new classes and has to be trained before its predictions mean
+   * anything.
+   * @param {Array<string>} labels
+   * @param {string} [head="type"] "type" (vessel part) or "ware"
+   * @returns {Promise<Array<string>>} The normalized label set
+   */
+  async setLabels(labels, head = "type") {
+    await this.ensureLoaded();
+
+    const next = normalizeLabels(labels);
+    const current = this.heads[head];
+    if (sameLabels(next, current.labels)) return current.labels;
+
+    const previous = current.model;
+    const hiddenWeights = previous.layers.slice(0, -1).map(layer => layer.getWeights());
+    this.heads[head] = { model: null, labels: next, temperature: 1, trained: false };
+    const model = this.createHead(head);
 
-    console.log("✅ Classifier created");
+    model.layers.slice(0, -1).forEach((layer, i) => layer.setWeights(hiddenWeights[i]));
+    previous.dispose();
+
+    await this.saveHead(head);
+    return next;
   }
 
   extractFeatures(imgElement) {
-    return tf.tidy(() => {
-      const img = tf.browser.fromPixels(imgElement)
-        .resizeBilinear([224, 224])
-        .toFloat()
-        .div(255.0)
-        .expandDims(0);
-
-      return this.mobileNet.infer(img, true);
-    });
+    return tf.tidy(() => this.embedPixels(this.inputPixels(imgElement).expandDims(0)));
   }
 
-  async classify(imgElement) {
+  // Image resized to the backbone input, 0–255
+  inputPixels(imgElement) {
+    const size = this.backbone.inputSize;
+    return tf.browser.fromPixels(imgElement)
+      .resizeBilinear([size, size])
+      .toFloat();
+  }
+
+  // Embeddings of a [batch, size, size, 3] pixel tensor; differentiable, so
+  // saliency() can take gradients through it
+  embedPixels(pixels) {
+    return this.backbone.embed(pixels);
+  }
+
+  async ensureLoaded() {
     if (!this.loaded) {
       if (this.loading) {
         await new Promise((resolve, reject) => {
@@ -165,92 +355,901 @@ this.mobileNet = await mobilenet.load({
       }
     }
 
-    if (!this.mobileNet || !this.classifier) {
+    if (!this.backbone || HEAD_NAMES.some(head => !this.heads[head].model)) {
       throw new Error("Models not initialized");
     }
+  }
+
+  /**
+   * Backbone embedding of an image, for similarity search
+   * @returns {Promise<Float32Array>}
+   */
+  async embed(imgElement) {
+    await this.ensureLoaded();
+    return this.embedImage(imgElement);
+  }
+
+  async embedImage(imgElement) {
+    const features = this.extractFeatures(imgElement);
+    const embedding = Float32Array.from(await features.data());
+    features.dispose();
+    return embedding;
+  }
 
-    return tf.tidy(() => {
+  // Most likely class of one head, inside a tidy
+  predictHead(head, features, embedding = null) {
+    const { model, labels, temperature } = this.heads[head];
+
+    if (this.mode === "knn" && embedding) {
+      const nearest = knnPredict(this.backboneLibrary(), embedding, { key: HEADS[head].sampleKey, labels });
+      if (nearest) return { ...nearest, method: "knn" };
+    }
+
+    const probabilities = applyTemperature(model.predict(features).dataSync(), temperature);
+
+    let maxIndex = 0;
+    for (let i = 1; i < probabilities.length; i++) {
+      if (probabilities[i] > probabilities[maxIndex]) maxIndex = i;
+    }
+
+    return {
+      label: labels[maxIndex],
+      confidence: probabilities[maxIndex],
+      probabilities: Object.fromEntries(labels.map((label, i) => [label, probabilities[i]])),
+      method: "dense"
+    };
+  }
+
+  async classify(imgElement) {
+    await this.ensureLoaded();
+
+    const result = tf.tidy(() => {
       const features = this.extractFeatures(imgElement);
-      const predictions = this.classifier.predict(features);
-      
-      const probabilities = predictions.dataSync();
-      const maxIndex = predictions.argMax(-1).dataSync()[0];
+      const embedding = Float32Array.from(features.dataSync());
+      const type = this.predictHead("type", features, embedding);
+      const ware = this.predictHead("ware", features, embedding);
 
       return {
-        fragmentType: this.labels[maxIndex],
-        confidence: probabilities[maxIndex],
-        probabilities: {
-          rim: probabilities[0],
-          body: probabilities[1],
-          base: probabilities[2]
-        },
-        symmetry: "radial",
-        curvature: maxIndex === 0 ? "outward" : maxIndex === 2 ? "flat" : "cylindrical"
+        // Kept on the fragment for "find similar sherds"
+        embedding,
+        embeddingBackbone: this.backbone.embeddingKey,
+        fragmentType: type.label,
+        confidence: type.confidence,
+        probabilities: type.probabilities,
+        method: type.method,
+        wareType: ware.label,
+        wareConfidence: ware.confidence,
+        wareProbabilities: ware.probabilities,
+        wareMethod: ware.method
       };
     });
+
+    const openSet = assessOpenSet({
+      probabilities: result.probabilities,
+      confidence: result.confidence,
+      embedding: result.embedding,
+      // An untrained head's spread says nothing about the image
+      trained: result.method === "knn" || this.heads.type.trained,
+      library: this.backboneLibrary(),
+      imagenet: await this.backbone.classify(imgElement, IMAGENET_TOP_K)
+    });
+
+    if (openSet.status === "accepted") {
+      return { ...result, openSet };
+    }
+
+    // Keep the forced answer for review instead of claiming a class
+    console.log(`Classification rejected (${openSet.status}): ${openSet.reasons.join("; ")}`);
+    return {
+      ...result,
+      fragmentType: "unknown",
+      predictedType: result.fragmentType,
+      wareType: "unknown",
+      predictedWare: result.wareType,
+      openSet
+    };
+  }
+
+  /**
+   * Gradient saliency of a prediction (SmoothGrad)
+   * Gradients of the class score through the head and backbone back to
+   * the input pixels, averaged over noisy copies of the image and blurred
+   * into a Grad-CAM-like heatmap of the regions that drove the prediction.
+   * The score is the log-probability of the dense head, or in k-NN mode
+   * the similarity to the library examples of the class.
+   * @param {HTMLImageElement} imgElement
+   * @param {Object} [options]
+   * @param {string} [options.head="type"]
+   * @param {string} [options.label] Class to explain; the top prediction by default
+   * @param {number} [options.samples=8] Noisy copies averaged
+   * @param {number} [options.noise=0.1] Noise level, as a share of the pixel range
+   * @returns {Promise<{width: number, height: number, data: Float32Array, label: string}>}
+   *   Heatmap over the (square) network input, scaled to [0, 1]
+   */
+  async saliency(imgElement, { head = "type", label = null, samples = 8, noise = 0.1 } = {}) {
+    await this.ensureLoaded();
+
+    const { model, labels } = this.heads[head];
+    const pixels = tf.tidy(() => this.inputPixels(imgElement));
+    const size = this.backbone.inputSize;
+
+    // The class to explain, predicted the way classify() does unless given
+    const target = label !== null && labels.includes(label)
+      ? label
+      : tf.tidy(() => {
+        const features = this.embedPixels(pixels.expandDims(0));
+        return this.predictHead(head, features, Float32Array.from(features.dataSync())).label;
+      });
+    const classIndex = labels.indexOf(target);
+
+    const examples = this.mode === "knn"
+      ? this.backboneLibrary().filter(e => e[HEADS[head].sampleKey] === target)
+      : [];
+    // Sum of the class's unit embeddings, as a column
+    const centroid = examples.length > 0
+      ? tf.tidy(() => tf.tensor2d(examples.map(e => Array.from(e.embedding))).sum(0).expandDims(1))
+      : null;
+
+    const heatmap = tf.tidy(() => {
+      const batch = pixels.expandDims(0).tile([samples, 1, 1, 1])
+        .add(tf.randomNormal([samples, size, size, 3], 0, noise * 255));
+
+      const score = centroid
+        ? (x) => {
+          // Cosine similarity to the class's examples, summed
+          const embedding = this.embedPixels(x);
+          return embedding.div(embedding.norm("euclidean", 1, true)).matMul(centroid).sum();
+        }
+        : (x) => model.predict(this.embedPixels(x))
+          .slice([0, classIndex], [-1, 1])
+          .add(1e-7)
+          .log()
+          .sum();
+
+      const gradients = tf.grad(score)(batch);
+
+      // Strongest channel per pixel, averaged over the noisy copies, then
+      // blurred so the map shows regions rather than edge pixels
+      const map = gradients.abs().max(3).mean(0).expandDims(0).expandDims(3);
+      const blurred = tf.avgPool(map, 15, 1, "same").squeeze();
+      return blurred.div(blurred.max().add(1e-12));
+    });
+    pixels.dispose();
+    centroid?.dispose();
+
+    const data = await heatmap.data();
+    heatmap.dispose();
+    return { width: size, height: size, data, label: target };
   }
 
+  /**
+   * Train the heads from labelled images
+   * Each sample is `{ image, label?, ware? }` with labels given as class
+   * names or indices; a head is trained on the samples that carry its label.
+   * Validation images are set aside before augmentation, so copies of one
+   * photo never end up on both sides. With `fineTune` the last MobileNet
+   * blocks are trained together with both heads; otherwise the backbone
+   * stays frozen and the heads are fitted on its embeddings.
+   * The heads (and tuned backbone weights) are only saved once training
+   * has finished; the stored model they replace is kept as the backup for
+   * rollback then, so a cancelled run leaves both untouched.
+   * @param {Array<Object>} trainingData
+   * @param {Object} options
+   * @param {number} [options.epochs=20]
+   * @param {number} [options.batchSize=16]
+   * @param {number} [options.validationSplit=0.2] Share of the images used for validation
+   * @param {Object} [options.augmentation] Augmentation settings (see DEFAULT_AUGMENTATION); none when omitted
+   * @param {number} [options.learningRate=DEFAULT_LEARNING_RATE]
+   * @param {string} [options.schedule="constant"] One of LR_SCHEDULES
+   * @param {Object} [options.earlyStopping] `{ patience, minDelta }` on validation
+   *   loss; the weights of the best epoch are kept
+   * @param {Object} [options.fineTune] `{ blocks = 2, learningRateScale = 0.1 }`:
+   *   MobileNet blocks to unfreeze and their learning rate relative to the heads'
+   * @param {Function} [options.onEpochEnd] Called with (epoch, logs, head)
+   * @returns {Promise<{cancelled: boolean, history: Object, stoppedEarly: boolean}>}
+   *   Per-head epoch logs
+   */
   async train(trainingData, options = {}) {
-    if (!this.mobileNet || !this.classifier) {
+    if (!this.backbone || !this.classifier) {
       throw new Error("Classifier not initialized");
     }
+    if (this.training) {
+      throw new Error("Training is already running");
+    }
 
-    const { epochs = 20, batchSize = 16, validationSplit = 0.2, onEpochEnd = null } = options;
+    const settings = {
+      epochs: 20,
+      batchSize: 16,
+      validationSplit: 0.2,
+      augmentation: null,
+      learningRate: DEFAULT_LEARNING_RATE,
+      schedule: "constant",
+      earlyStopping: null,
+      fineTune: null,
+      onEpochEnd: null,
+      ...options
+    };
+
+    this.training = true;
+    this.trainingCancelled = false;
+
+    try {
+      const split = splitValidation(trainingData.length, settings.validationSplit);
+      const { history, stoppedEarly } = settings.fineTune
+        ? await this.trainWithBackbone(trainingData, split, settings)
+        : await this.trainHeads(trainingData, split, settings);
+
+      if (this.trainingCancelled) {
+        // Throw away the partly trained weights
+        for (const head of HEAD_NAMES) {
+          await this.loadHead(head);
+        }
+        if (settings.fineTune) await this.loadBackboneTuning(this.tuningUrl);
+        console.log("Training cancelled, stored classifier restored");
+        return { cancelled: true, history, stoppedEarly: false };
+      }
+
+      // Calibration was fitted to the old weights
+      Object.keys(history).forEach(head => {
+        this.heads[head].temperature = 1;
+        this.heads[head].trained = true;
+      });
 
-    const features = [];
-    const labels = [];
+      // Library embeddings came from the backbone before tuning
+      if (settings.fineTune) await this.reembedLibrary();
 
-    for (const sample of trainingData) {
-      const feature = this.extractFeatures(sample.image);
-      features.push(feature);
-      labels.push(tf.oneHot(sample.label, 3));
+      await this.backupHeads();
+      await this.save();
+      return { cancelled: false, history, stoppedEarly };
+    } finally {
+      this.training = false;
     }
+  }
+
+  // Frozen backbone: each head is fitted on precomputed embeddings, plus
+  // embeddings of augmented copies of the training images
+  async trainHeads(trainingData, split, settings) {
+    const { epochs, batchSize, augmentation, learningRate, schedule, onEpochEnd } = settings;
+    const history = {};
+    let stoppedEarly = false;
 
-    const xs = tf.concat(features);
-    const ys = tf.concat(labels);
+    const features = trainingData.map(sample => this.extractFeatures(sample.image));
+    const augmented = new Map();
 
-    await this.classifier.fit(xs, ys, {
-      epochs,
-      batchSize,
-      validationSplit,
-      shuffle: true,
-      callbacks: {
-        onEpochEnd: (epoch, logs) => {
-          console.log(`Epoch ${epoch + 1}/${epochs}:`, logs);
-          if (onEpochEnd) onEpochEnd(epoch, logs);
+    try {
+      if (augmentation) {
+        const copies = augmentation.copies ?? DEFAULT_AUGMENTATION.copies;
+        for (const i of split.train) {
+          if (this.trainingCancelled || copies < 1) break;
+          augmented.set(i, tf.tidy(() => {
+            const pixels = this.inputPixels(trainingData[i].image).expandDims(0).tile([copies, 1, 1, 1]);
+            return this.embedPixels(augmentBatch(pixels, augmentation));
+          }));
+          await tf.nextFrame();
         }
       }
-    });
 
-    features.forEach(f => f.dispose());
-    labels.forEach(l => l.dispose());
-    xs.dispose();
-    ys.dispose();
+      for (const head of HEAD_NAMES) {
+        if (this.trainingCancelled) break;
+
+        const { model, labels } = this.heads[head];
+        const { sampleKey } = HEADS[head];
+        const isLabelled = i => ![undefined, null, ""].includes(trainingData[i][sampleKey]);
+        const classOf = i => labelIndex(labels, trainingData[i][sampleKey]);
+
+        const trainIndices = split.train.filter(isLabelled);
+        const validationIndices = split.validation.filter(isLabelled);
+        if (trainIndices.length === 0) continue;
+
+        const xs = tf.concat(trainIndices.flatMap(i => (augmented.has(i) ? [features[i], augmented.get(i)] : [features[i]])));
+        const ys = tf.tidy(() => tf.oneHot(
+          tf.tensor1d(trainIndices.flatMap(i => Array(1 + (augmented.get(i)?.shape[0] || 0)).fill(classOf(i))), "int32"),
+          labels.length
+        ));
+        const validationData = validationIndices.length > 0
+          ? [
+            tf.concat(validationIndices.map(i => features[i])),
+            tf.tidy(() => tf.oneHot(tf.tensor1d(validationIndices.map(classOf), "int32"), labels.length))
+          ]
+          : undefined;
+
+        const stopping = settings.earlyStopping && validationData ? createEarlyStopping(settings.earlyStopping) : null;
+        let bestWeights = null;
+        history[head] = [];
+
+        try {
+          await model.fit(xs, ys, {
+            epochs,
+            batchSize,
+            validationData,
+            shuffle: true,
+            callbacks: {
+              onEpochBegin: (epoch) => {
+                model.optimizer.learningRate = learningRateAt(schedule, epoch, epochs, learningRate);
+              },
+              onBatchEnd: () => {
+                if (this.trainingCancelled) model.stopTraining = true;
+              },
+              onEpochEnd: (epoch, logs) => {
+                const entry = { epoch, ...logs, lr: model.optimizer.learningRate };
+                console.log(`[${head}] Epoch ${epoch + 1}/${epochs}:`, entry);
+                history[head].push(entry);
+                if (onEpochEnd) onEpochEnd(epoch, entry, head);
+
+                if (stopping) {
+                  const { improved, stop } = stopping.update(logs.val_loss, epoch);
+                  if (improved) {
+                    bestWeights?.forEach(w => w.dispose());
+                    bestWeights = model.getWeights().map(w => w.clone());
+                  }
+                  if (stop) {
+                    console.log(`[${head}] Validation loss stopped improving, best epoch ${stopping.best().epoch + 1}`);
+                    model.stopTraining = true;
+                    stoppedEarly = true;
+                  }
+                }
+              }
+            }
+          });
+
+          if (bestWeights && !this.trainingCancelled) model.setWeights(bestWeights);
+        } finally {
+          xs.dispose();
+          ys.dispose();
+          validationData?.forEach(t => t.dispose());
+          bestWeights?.forEach(w => w.dispose());
+          // Compiled rate for the next run
+          model.optimizer.learningRate = learningRate;
+        }
+      }
+    } finally {
+      features.forEach(f => f.dispose());
+      augmented.forEach(t => t.dispose());
+    }
+
+    return { history, stoppedEarly };
+  }
+
+  // Backbone fine-tuning: the last MobileNet blocks and both heads are
+  // trained on the images together, with one loss summed over the heads
+  async trainWithBackbone(trainingData, split, settings) {
+    const { epochs, batchSize, augmentation, learningRate, schedule, onEpochEnd } = settings;
+    const { blocks = 2, learningRateScale = 0.1 } = settings.fineTune;
+
+    // Continue from the current (possibly already tuned) weights
+    const names = tunableWeightNames(this.backbone.graphModel, blocks);
+    const current = getGraphWeights(this.backbone.graphModel, names);
+    const backboneVariables = names.map(name => tf.variable(current[name]));
+    this.applyBackboneWeights(Object.fromEntries(names.map((name, i) => [name, backboneVariables[i]])));
+    console.log(`Fine-tuning ${names.length} backbone weights in the last ${blocks} blocks`);
+
+    const headVariables = HEAD_NAMES.flatMap(head => this.heads[head].model.trainableWeights.map(w => w.read()));
+    const headOptimizer = tf.train.adam(learningRate);
+    const backboneOptimizer = tf.train.adam(learningRate * learningRateScale);
+
+    // Class index per image and head, -1 where the image has no such label
+    const targets = Object.fromEntries(HEAD_NAMES.map(head => [head, trainingData.map(sample => {
+      const label = sample[HEADS[head].sampleKey];
+      return [undefined, null, ""].includes(label) ? -1 : labelIndex(this.heads[head].labels, label);
+    })]));
+    const pixels = trainingData.map(sample => tf.tidy(() => this.inputPixels(sample.image)));
+
+    // Summed masked cross-entropy of the heads for a batch; per-head loss
+    // and correct counts are kept out of the tidy for the logs
+    const batchLosses = (indices, images, training, metrics) => {
+      const embeddings = this.embedPixels(images);
+      const losses = [];
+
+      for (const head of HEAD_NAMES) {
+        const classes = indices.map(i => targets[head][i]);
+        const count = classes.filter(c => c >= 0).length;
+        if (count === 0) continue;
 
-    await this.save();
+        const { model, labels } = this.heads[head];
+        const mask = tf.tensor1d(classes.map(c => (c >= 0 ? 1 : 0)));
+        const oneHot = tf.oneHot(tf.tensor1d(classes.map(c => Math.max(c, 0)), "int32"), labels.length).toFloat();
+        const probabilities = model.apply(embeddings, { training });
+
+        const loss = oneHot.mul(probabilities.add(1e-7).log()).sum(1).neg().mul(mask).sum().div(count);
+        const correct = probabilities.argMax(1).equal(tf.tensor1d(classes, "int32")).toFloat().mul(mask).sum();
+        losses.push(loss);
+
+        const entry = metrics[head] || (metrics[head] = { loss: 0, correct: 0, count: 0, pending: [] });
+        entry.pending.push([tf.keep(loss.mul(count)), tf.keep(correct)]);
+        entry.count += count;
+      }
+      return losses.length > 0 ? tf.addN(losses) : null;
+    };
+
+    // Turn kept tensors into totals once per batch
+    const settle = async (metrics) => {
+      for (const entry of Object.values(metrics)) {
+        for (const [loss, correct] of entry.pending) {
+          entry.loss += (await loss.data())[0];
+          entry.correct += (await correct.data())[0];
+          loss.dispose();
+          correct.dispose();
+        }
+        entry.pending = [];
+      }
+    };
+
+    const snapshot = () => [
+      ...HEAD_NAMES.flatMap(head => this.heads[head].model.getWeights()),
+      ...backboneVariables
+    ].map(t => t.clone());
+    const restore = (weights) => {
+      let offset = 0;
+      for (const head of HEAD_NAMES) {
+        const model = this.heads[head].model;
+        const count = model.getWeights().length;
+        model.setWeights(weights.slice(offset, offset + count));
+        offset += count;
+      }
+      backboneVariables.forEach((variable, i) => variable.assign(weights[offset + i]));
+    };
+
+    const history = {};
+    const stopping = settings.earlyStopping && split.validation.length > 0
+      ? createEarlyStopping(settings.earlyStopping)
+      : null;
+    let bestWeights = null;
+    let stoppedEarly = false;
+
+    try {
+      for (let epoch = 0; epoch < epochs && !this.trainingCancelled; epoch++) {
+        const rate = learningRateAt(schedule, epoch, epochs, learningRate);
+        headOptimizer.learningRate = rate;
+        backboneOptimizer.learningRate = rate * learningRateScale;
+
+        const order = shuffled(split.train.filter(i => HEAD_NAMES.some(head => targets[head][i] >= 0)));
+        const trainMetrics = {};
+
+        for (let start = 0; start < order.length && !this.trainingCancelled; start += batchSize) {
+          const indices = order.slice(start, start + batchSize);
+
+          tf.tidy(() => {
+            let images = tf.stack(indices.map(i => pixels[i]));
+            if (augmentation) images = augmentBatch(images, augmentation);
+
+            const { grads } = tf.variableGrads(
+              () => batchLosses(indices, images, true, trainMetrics) || tf.scalar(0),
+              [...backboneVariables, ...headVariables]
+            );
+            const pick = variables => Object.fromEntries(
+              variables.filter(v => grads[v.name]).map(v => [v.name, grads[v.name]])
+            );
+            headOptimizer.applyGradients(pick(headVariables));
+            backboneOptimizer.applyGradients(pick(backboneVariables));
+          });
+
+          await settle(trainMetrics);
+          await tf.nextFrame();
+        }
+
+        const validationMetrics = {};
+        for (let start = 0; start < split.validation.length; start += batchSize) {
+          const indices = split.validation.slice(start, start + batchSize);
+          tf.tidy(() => {
+            batchLosses(indices, tf.stack(indices.map(i => pixels[i])), false, validationMetrics);
+          });
+          await settle(validationMetrics);
+        }
+
+        let validationLoss = 0;
+        for (const head of Object.keys(trainMetrics)) {
+          const train = trainMetrics[head];
+          const validation = validationMetrics[head];
+          const entry = {
+            epoch,
+            loss: train.loss / train.count,
+            acc: train.correct / train.count,
+            ...(validation && {
+              val_loss: validation.loss / validation.count,
+              val_acc: validation.correct / validation.count
+            }),
+            lr: rate
+          };
+          if (validation) validationLoss += entry.val_loss;
+
+          console.log(`[${head}] Epoch ${epoch + 1}/${epochs} (fine-tuning):`, entry);
+          (history[head] = history[head] || []).push(entry);
+          if (onEpochEnd) onEpochEnd(epoch, entry, head);
+        }
+
+        if (stopping && !this.trainingCancelled) {
+          const { improved, stop } = stopping.update(validationLoss, epoch);
+          if (improved) {
+            bestWeights?.forEach(w => w.dispose());
+            bestWeights = snapshot();
+          }
+          if (stop) {
+            console.log(`Validation loss stopped improving, best epoch ${stopping.best().epoch + 1}`);
+            stoppedEarly = true;
+            break;
+          }
+        }
+      }
+
+      if (bestWeights && !this.trainingCancelled) restore(bestWeights);
+    } finally {
+      pixels.forEach(t => t.dispose());
+      bestWeights?.forEach(w => w.dispose());
+      headOptimizer.dispose();
+      backboneOptimizer.dispose();
+    }
+
+    return { history, stoppedEarly };
+  }
+
+  /**
+   * Stop a running train() after the current batch
+   */
+  cancelTraining() {
+    if (this.training) this.trainingCancelled = true;
+  }
+
+  /**
+   * Copy the stored heads and tuning to the rollback backup before a
+   * finished run overwrites them; a classifier never saved has no backup
+   */
+  async backupHeads() {
+    const models = await tf.io.listModels();
+    for (const url of [...HEAD_NAMES.map(head => this.headUrl(head)), this.tuningUrl]) {
+      if (url in models) {
+        await tf.io.copyModel(url, previousUrl(url));
+      } else if (previousUrl(url) in models) {
+        await tf.io.removeModel(previousUrl(url));
+      }
+    }
+  }
+
+  async discardBackup() {
+    const models = await tf.io.listModels();
+    const urls = [...HEAD_NAMES.map(head => this.headUrl(head)), this.tuningUrl].map(previousUrl);
+    for (const url of urls) {
+      if (url in models) await tf.io.removeModel(url);
+    }
+  }
+
+  async hasBackup() {
+    const models = await tf.io.listModels();
+    return HEAD_NAMES.every(head => previousUrl(this.headUrl(head)) in models);
+  }
+
+  /**
+   * Restore the heads the last finished training run replaced
+   * The backup is used up, so a second rollback is not possible.
+   */
+  async rollback() {
+    await this.ensureLoaded();
+    if (this.training) {
+      throw new Error("Cannot roll back while training");
+    }
+    if (!(await this.hasBackup())) {
+      throw new Error("No previous classifier to roll back to");
+    }
+
+    for (const head of HEAD_NAMES) {
+      await tf.io.copyModel(previousUrl(this.headUrl(head)), this.headUrl(head));
+      await tf.io.removeModel(previousUrl(this.headUrl(head)));
+      await this.loadHead(head);
+    }
+
+    const previousTuning = previousUrl(this.tuningUrl);
+    const hadTuning = this.backboneTuned;
+    await this.loadBackboneTuning(previousTuning);
+    await this.saveBackboneTo(this.tuningUrl);
+    if (await hasWeights(previousTuning)) await tf.io.removeModel(previousTuning);
+    if (hadTuning || this.backboneTuned) await this.reembedLibrary();
+
+    console.log("✅ Classifier rolled back to the previous version");
+  }
+
+  /**
+   * Store a softmax temperature fitted by evaluation.fitTemperature, so
+   * reported confidences match observed accuracy
+   */
+  async setTemperature(head, temperature) {
+    if (!(temperature > 0)) {
+      throw new Error("Temperature must be positive");
+    }
+    this.heads[head].temperature = temperature;
+    await this.saveHead(head);
+  }
+
+  // ---- Few-shot library ----
+
+  async loadLibrary() {
+    const store = getFragmentStore();
+    try {
+      this.library = await store.listEmbeddingExamples();
+      this.mode = store.getClassifierMode() === "knn" ? "knn" : "dense";
+    } catch (err) {
+      // Without IndexedDB the dense heads still work
+      console.warn("Could not load few-shot examples:", err);
+      this.library = [];
+    }
+  }
+
+  setMode(mode) {
+    if (!CLASSIFIER_MODES.includes(mode)) {
+      throw new Error(`Unknown classifier mode "${mode}"`);
+    }
+    this.mode = mode;
+    getFragmentStore().setClassifierMode(mode);
+  }
+
+  /**
+   * Add labelled images to the few-shot library; they are used by the
+   * next k-NN prediction
+   * @param {Array<Object>} items `{ image, label?, ware?, thumbnail?, sampleId? }`
+   *   with `image` a loaded image element
+   * @returns {Promise<Array<Object>>} The stored library entries
+   */
+  async addExamples(items) {
+    await this.ensureLoaded();
+
+    const entries = [];
+    for (const item of items) {
+      entries.push({
+        embeddings: { [this.backbone.embeddingKey]: normalizeEmbedding(await this.embed(item.image)) },
+        label: item.label ?? null,
+        ware: item.ware ?? null,
+        thumbnail: item.thumbnail ?? null,
+        sampleId: item.sampleId ?? null
+      });
+    }
+
+    const stored = await getFragmentStore().addEmbeddingExamples(entries);
+    this.library = [...this.library, ...stored];
+    return stored;
+  }
+
+  /**
+   * Store changed labels of existing library entries
+   */
+  async updateExamples(examples) {
+    const stored = await getFragmentStore().addEmbeddingExamples(examples);
+    const byId = new Map(stored.map(e => [e.id, e]));
+    this.library = this.library.map(e => byId.get(e.id) || e);
+    return stored;
+  }
+
+  async removeExample(id) {
+    await getFragmentStore().deleteEmbeddingExample(id);
+    this.library = this.library.filter(e => e.id !== id);
+  }
+
+  /**
+   * Remove the library entries made from these training samples, e.g.
+   * when the samples are deleted or held out for testing
+   * @returns {Promise<number>} Entries removed
+   */
+  async removeSampleExamples(sampleIds) {
+    const ids = new Set(sampleIds);
+    const stale = this.library.filter(e => e.sampleId && ids.has(e.sampleId));
+    for (const example of stale) await this.removeExample(example.id);
+    return stale.length;
+  }
+
+  async clearLibrary() {
+    await getFragmentStore().clearEmbeddingExamples();
+    this.library = [];
+  }
+
+  async saveHead(head) {
+    const { model, labels, temperature, trained } = this.heads[head];
+    if (model) {
+      model.setUserDefinedMetadata({ labels, temperature, trained });
+      await model.save(this.headUrl(head));
+      console.log(`✅ ${head} classifier saved`);
+    }
   }
 
   async save() {
-    if (this.classifier) {
-      await this.classifier.save("indexeddb://fragment-classifier");
-      console.log("✅ Classifier saved");
+    for (const head of HEAD_NAMES) {
+      await this.saveHead(head);
+    }
+    await this.saveBackboneTo(this.tuningUrl);
+  }
+
+  // ---- Backbone ----
+
+  /**
+   * Classify with another feature backbone (see backbones.js)
+   * The heads and tuned weights stored for that backbone are loaded, or
+   * fresh heads with the current label sets are created; the few-shot
+   * library is embedded by the new backbone where it has not been yet.
+   * @param {string} id Backbone id
+   */
+  async setBackbone(id) {
+    await this.ensureLoaded();
+    if (this.training) {
+      throw new Error("Cannot switch backbones while training");
+    }
+    if (id === this.backbone.id) return;
+
+    const name = getBackboneSpec(id)?.name || id;
+    this.reportProgress(`Loading ${name}...`, 30);
+    const backbone = await loadBackbone(id);
+
+    this.resetBackbone();
+    this.backbone.dispose();
+    this.backbone = backbone;
+    this.embeddingSize = backbone.embeddingSize;
+    await this.loadBackboneTuning(this.tuningUrl);
+
+    for (const head of HEAD_NAMES) {
+      await this.loadHead(head);
+    }
+    await this.reembedLibrary({ missingOnly: true });
+
+    getFragmentStore().setBackboneId(id);
+    this.reportProgress(`${name} ready`, 100);
+  }
+
+  // ---- Backbone fine-tuning ----
+
+  /**
+   * Put fine-tuned weights into the backbone; the downloaded tensors are kept
+   * so the backbone can be reset
+   * @param {Object<string, tf.Tensor>} tensors
+   */
+  applyBackboneWeights(tensors) {
+    const replaced = setGraphWeights(this.backbone.graphModel, tensors);
+    for (const [name, tensor] of Object.entries(replaced)) {
+      if (!(name in this.originalBackboneWeights)) {
+        this.originalBackboneWeights[name] = tensor;
+      } else if (tensor !== tensors[name]) {
+        tensor.dispose();
+      }
     }
   }
 
+  // Back to the downloaded backbone weights
+  resetBackbone() {
+    if (!this.backboneTuned) return;
+    const replaced = setGraphWeights(this.backbone.graphModel, this.originalBackboneWeights);
+    Object.values(replaced).forEach(t => t.dispose());
+    this.originalBackboneWeights = {};
+  }
+
+  tunedBackboneWeights() {
+    return getGraphWeights(this.backbone.graphModel, Object.keys(this.originalBackboneWeights));
+  }
+
+  /**
+   * Use the backbone weights stored at a URL, or the downloaded weights
+   * when nothing is stored there
+   */
+  async loadBackboneTuning(url) {
+    const tensors = await loadWeights(url);
+    this.resetBackbone();
+    if (!tensors) return false;
+
+    try {
+      this.applyBackboneWeights(tensors);
+    } catch (err) {
+      // Weights tuned for another build of the model
+      Object.values(tensors).forEach(t => t.dispose());
+      console.warn(`Stored backbone weights do not fit ${this.backbone.name}, using it unchanged:`, err);
+      return false;
+    }
+    return true;
+  }
+
+  // Store the tuned weights at a URL, or clear it for an untouched backbone
+  async saveBackboneTo(url) {
+    if (this.backboneTuned) {
+      await saveWeights(url, this.tunedBackboneWeights());
+    } else if (await hasWeights(url)) {
+      await tf.io.removeModel(url);
+    }
+  }
+
+  /**
+   * Embed the few-shot library again after the backbone changed, from the
+   * images kept with its entries
+   */
+  async reembedLibrary({ missingOnly = false } = {}) {
+    const key = this.backbone.embeddingKey;
+    const pending = this.library.filter(example => !missingOnly || !exampleEmbedding(example, key));
+
+    const updated = [];
+    for (const example of pending) {
+      if (!example.thumbnail) continue;
+      try {
+        const embedding = normalizeEmbedding(await this.embedImage(await loadImage(example.thumbnail)));
+        updated.push(withEmbedding(example, key, embedding));
+      } catch (err) {
+        console.warn(`Could not re-embed few-shot example ${example.id}:`, err);
+      }
+    }
+    if (updated.length > 0) await this.updateExamples(updated);
+    if (updated.length < pending.length) {
+      console.warn(`${pending.length - updated.length} few-shot examples have no up-to-date embedding for ${this.backbone.name}`);
+    }
+  }
+
+  /**
+   * Library entries with their embedding from the current backbone
+   * (`embedding`); entries without one are left out
+   */
+  backboneLibrary() {
+    const key = this.backbone.embeddingKey;
+    return this.library
+      .map(example => ({ ...example, embedding: exampleEmbedding(example, key) }))
+      .filter(example => example.embedding);
+  }
+
+  /**
+   * Label sets and calibration of every head, for the model registry
+   */
+  describeHeads() {
+    return Object.fromEntries(HEAD_NAMES.map(head => [head, {
+      labels: this.heads[head].labels,
+      temperature: this.heads[head].temperature
+    }]));
+  }
+
+  /**
+   * Store a copy of every head under other URLs (registry snapshots)
+   * Fine-tuned backbone weights go to `urlFor("backbone")`.
+   * @param {Function} urlFor head name → tf.js storage URL
+   */
+  async saveHeadsTo(urlFor) {
+    for (const head of HEAD_NAMES) {
+      const { model, labels, temperature, trained } = this.heads[head];
+      model.setUserDefinedMetadata({ labels, temperature, trained });
+      await model.save(urlFor(head));
+    }
+    await this.saveBackboneTo(urlFor("backbone"));
+  }
+
+  /**
+   * Make heads stored elsewhere the working (and saved) classifier
+   * @param {Function} urlFor head name → tf.js storage URL
+   */
+  async loadHeadsFrom(urlFor) {
+    if (this.training) {
+      throw new Error("Cannot switch models while training");
+    }
+    for (const head of HEAD_NAMES) {
+      await tf.io.copyModel(urlFor(head), this.headUrl(head));
+      await this.loadHead(head);
+    }
+
+    const hadTuning = this.backboneTuned;
+    await this.loadBackboneTuning(urlFor("backbone"));
+    await this.saveBackboneTo(this.tuningUrl);
+    if ((hadTuning || this.backboneTuned) && this.library.length > 0) await this.reembedLibrary();
+
+    // The backup belongs to the model that was just replaced
+    await this.discardBackup();
+  }
+
   getInfo() {
     if (!this.classifier) return null;
     return {
       layers: this.classifier.layers.length,
-      trainableParams: this.classifier.countParams(),
+      trainableParams: HEAD_NAMES.reduce((sum, head) => sum + (this.heads[head].model?.countParams() || 0), 0),
       labels: this.labels,
+      wareLabels: this.wareLabels,
       loaded: this.loaded,
-      embeddingSize: this.embeddingSize
+      embeddingSize: this.embeddingSize,
+      backbone: this.backbone && { id: this.backbone.id, name: this.backbone.name },
+      backboneTuned: this.backboneTuned,
+      mode: this.mode,
+      libraryExamples: this.library.length
     };
   }
 
   dispose() {
-    if (this.classifier) this.classifier.dispose();
-    if (this.mobileNet) this.mobileNet.dispose();
+    HEAD_NAMES.forEach(head => this.heads[head].model?.dispose());
+    // Hand the downloaded tensors back so the graph model disposes them
+    this.resetBackbone();
+    if (this.backbone) this.backbone.dispose();
     this.loaded = false;
   }
 }
@@ -164,6 +164,39 @@ export class DepthEstimator {
     });
   }
 
+  /**
+   * Camera intrinsics for a depth map of the given size
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} cameraIntrinsics Optional calibrated {fx, fy, cx, cy}
+   * @returns {{fx, fy, cx, cy}}
+   */
+  getIntrinsics(width, height, cameraIntrinsics = null) {
+    // Default camera intrinsics (can be calibrated)
+    return {
+      fx: cameraIntrinsics?.fx || width / 2,
+      fy: cameraIntrinsics?.fy || height / 2,
+      cx: cameraIntrinsics?.cx || width / 2,
+      cy: cameraIntrinsics?.cy || height / 2
+    };
+  }
+
+  /**
+   * Project a point cloud point back to its source pixel (inverse of depthToPointCloud)
+   * @param {{x, y, z}} point
+   * @param {number} width Depth map width
+   * @param {number} height Depth map height
+   * @param {Object} cameraIntrinsics Optional calibrated {fx, fy, cx, cy}
+   * @returns {{u, v}} Pixel coordinates
+   */
+  projectToPixel(point, width, height, cameraIntrinsics = null) {
+    const { fx, fy, cx, cy } = this.getIntrinsics(width, height, cameraIntrinsics);
+    return {
+      u: point.x * fx / point.z + cx,
+      v: point.y * fy / point.z + cy
+    };
+  }
+
   /**
    * Convert depth map to point cloud
    * @param {tf.Tensor3D} depthMap [H, W, 1]
@@ -175,11 +208,7 @@ export class DepthEstimator {
     const height = depthData.length;
     const width = depthData[0].length;
 
-    // Default camera intrinsics (can be calibrated)
-    const fx = cameraIntrinsics?.fx || width / 2;
-    const fy = cameraIntrinsics?.fy || height / 2;
-    const cx = cameraIntrinsics?.cx || width / 2;
-    const cy = cameraIntrinsics?.cy || height / 2;
+    const { fx, fy, cx, cy } = this.getIntrinsics(width, height, cameraIntrinsics);
 
     const points = [];
 
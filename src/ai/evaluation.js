@@ -0,0 +1,298 @@
+import * as tf from "@tensorflow/tfjs";
+import { labelIndex } from "./taxonomy";
+
+/**
+ * Classifier evaluation: confusion matrix with per-class precision, recall
+ * and F1, reliability diagram, and temperature scaling so that reported
+ * confidences match observed accuracy.
+ *
+ * Evaluation runs either on a held-out labelled set with the current head,
+ * or as stratified k-fold cross-validation with throwaway copies of the
+ * head (the stored classifier is not touched).
+ */
+
+function argMax(values) {
+  let best = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[best]) best = i;
+  }
+  return best;
+}
+
+/**
+ * Rescale softmax probabilities with a temperature (T > 1 softens,
+ * T < 1 sharpens); the probabilities stand in for logits, which only
+ * differ from their logs by a constant
+ * @returns {Array<number>}
+ */
+export function applyTemperature(probabilities, temperature = 1) {
+  if (temperature === 1) return Array.from(probabilities);
+
+  const logits = Array.from(probabilities, p => Math.log(Math.max(p, 1e-12)) / temperature);
+  const max = Math.max(...logits);
+  const exps = logits.map(l => Math.exp(l - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(e => e / sum);
+}
+
+/**
+ * @returns {Array<Array<number>>} matrix[actual][predicted]
+ */
+export function confusionMatrix(actual, predicted, classCount) {
+  const matrix = Array.from({ length: classCount }, () => new Array(classCount).fill(0));
+  actual.forEach((a, i) => { matrix[a][predicted[i]]++; });
+  return matrix;
+}
+
+/**
+ * Per-class precision/recall/F1 from a confusion matrix
+ * Undefined ratios (no predictions or no samples of a class) are null; the
+ * macro F1 averages the classes that have samples.
+ */
+export function classMetrics(matrix, labels) {
+  let correct = 0;
+  let total = 0;
+
+  const perClass = labels.map((label, c) => {
+    const truePositives = matrix[c][c];
+    const support = matrix[c].reduce((a, b) => a + b, 0);
+    const predictedCount = matrix.reduce((sum, row) => sum + row[c], 0);
+
+    correct += truePositives;
+    total += support;
+
+    const precision = predictedCount > 0 ? truePositives / predictedCount : null;
+    const recall = support > 0 ? truePositives / support : null;
+    const f1 = precision !== null && recall !== null
+      ? (precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0)
+      : null;
+
+    return { label, precision, recall, f1, support };
+  });
+
+  const scored = perClass.filter(c => c.support > 0);
+  const macroF1 = scored.length > 0
+    ? scored.reduce((sum, c) => sum + (c.f1 ?? 0), 0) / scored.length
+    : null;
+
+  return { perClass, accuracy: total > 0 ? correct / total : null, macroF1 };
+}
+
+/**
+ * Reliability diagram: accuracy against mean confidence in equal-width
+ * confidence bins, with the expected calibration error (ECE)
+ * @param {Array<Array<number>>} probabilities One row per sample
+ * @param {Array<number>} actual True class indices
+ */
+export function reliabilityDiagram(probabilities, actual, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, b) => ({
+    lower: b / binCount,
+    upper: (b + 1) / binCount,
+    count: 0,
+    confidence: 0,
+    accuracy: 0
+  }));
+
+  probabilities.forEach((row, i) => {
+    const predicted = argMax(row);
+    const confidence = row[predicted];
+    const bin = bins[Math.min(Math.floor(confidence * binCount), binCount - 1)];
+    bin.count++;
+    bin.confidence += confidence;
+    bin.accuracy += predicted === actual[i] ? 1 : 0;
+  });
+
+  let ece = 0;
+  for (const bin of bins) {
+    if (bin.count === 0) continue;
+    bin.confidence /= bin.count;
+    bin.accuracy /= bin.count;
+    ece += (bin.count / probabilities.length) * Math.abs(bin.accuracy - bin.confidence);
+  }
+
+  return { bins, ece };
+}
+
+export function negativeLogLikelihood(probabilities, actual, temperature = 1) {
+  let sum = 0;
+  probabilities.forEach((row, i) => {
+    sum -= Math.log(Math.max(applyTemperature(row, temperature)[actual[i]], 1e-12));
+  });
+  return sum / probabilities.length;
+}
+
+/**
+ * Temperature minimising the negative log-likelihood, by golden-section
+ * search on log T over [0.05, 20]
+ */
+export function fitTemperature(probabilities, actual) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  const loss = logT => negativeLogLikelihood(probabilities, actual, Math.exp(logT));
+
+  let a = Math.log(0.05);
+  let b = Math.log(20);
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = loss(c);
+  let fd = loss(d);
+
+  for (let iteration = 0; iteration < 50 && b - a > 1e-4; iteration++) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - ratio * (b - a);
+      fc = loss(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + ratio * (b - a);
+      fd = loss(d);
+    }
+  }
+
+  return Math.exp((a + b) / 2);
+}
+
+/**
+ * Temperature-scaled rows for judging calibration: each half of the
+ * images (alternating) is scaled with the temperature fitted on the other
+ * half, so the calibrated ECE is not measured on the images it was fitted to
+ */
+function crossFittedCalibration(probabilities, actual) {
+  const halves = [0, 1].map(parity => probabilities.map((_, i) => i).filter(i => i % 2 === parity));
+  const temperatures = halves.map(half => fitTemperature(half.map(i => probabilities[i]), half.map(i => actual[i])));
+  return probabilities.map((row, i) => applyTemperature(row, temperatures[1 - (i % 2)]));
+}
+
+function predictRows(model, features) {
+  return tf.tidy(() => model.predict(tf.concat(features)).arraySync());
+}
+
+// Fold per sample, spreading each class evenly over the folds
+function stratifiedFolds(actual, folds) {
+  const assignment = new Array(actual.length);
+  const byClass = new Map();
+  actual.forEach((c, i) => {
+    if (!byClass.has(c)) byClass.set(c, []);
+    byClass.get(c).push(i);
+  });
+
+  let offset = 0;
+  for (const indices of byClass.values()) {
+    for (let i = indices.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    indices.forEach((sampleIndex, k) => { assignment[sampleIndex] = (offset + k) % folds; });
+    offset += indices.length;
+  }
+  return assignment;
+}
+
+async function crossValidate(classifier, features, actual, labels, options) {
+  const { folds, epochs, batchSize, onProgress } = options;
+  const assignment = stratifiedFolds(actual, folds);
+  const rows = new Array(actual.length);
+
+  for (let fold = 0; fold < folds; fold++) {
+    const trainIndices = [];
+    const testIndices = [];
+    assignment.forEach((f, i) => (f === fold ? testIndices : trainIndices).push(i));
+    if (testIndices.length === 0 || trainIndices.length === 0) continue;
+
+    const model = classifier.buildHeadModel(labels);
+    const xs = tf.concat(trainIndices.map(i => features[i]));
+    const ys = tf.tidy(() =>
+      tf.oneHot(tf.tensor1d(trainIndices.map(i => actual[i]), "int32"), labels.length)
+    );
+
+    try {
+      await model.fit(xs, ys, { epochs, batchSize, shuffle: true, verbose: 0 });
+      const predictions = predictRows(model, testIndices.map(i => features[i]));
+      testIndices.forEach((sampleIndex, k) => { rows[sampleIndex] = predictions[k]; });
+    } finally {
+      xs.dispose();
+      ys.dispose();
+      model.dispose();
+    }
+
+    if (onProgress) onProgress({ fold: fold + 1, folds });
+  }
+
+  return rows;
+}
+
+/**
+ * Evaluate one classifier head
+ * @param {FragmentClassifier} classifier Loaded classifier
+ * @param {Array<Object>} data `{ image, label?, ware? }` as for train()
+ * @param {Object} options
+ * @param {string} [options.head="type"]
+ * @param {"holdout"|"kfold"} [options.mode="holdout"] Held-out set with the
+ *   current head, or cross-validation with freshly trained copies
+ * @param {number} [options.folds=5]
+ * @param {number} [options.epochs=20] Training epochs per fold
+ * @param {number} [options.batchSize=16]
+ * @param {number} [options.bins=10] Reliability diagram bins
+ * @param {Function} [options.onProgress] Called with { fold, folds }
+ * @returns {Promise<Object>} Report with labels, count, confusion matrix,
+ *   perClass, accuracy, macroF1, reliability, temperature (fitted on all
+ *   images) and calibratedReliability (cross-fitted, see
+ *   crossFittedCalibration)
+ */
+export async function evaluateClassifier(classifier, data, options = {}) {
+  const {
+    head = "type",
+    mode = "holdout",
+    folds = 5,
+    epochs = 20,
+    batchSize = 16,
+    bins = 10,
+    onProgress = null
+  } = options;
+
+  const { model, labels } = classifier.heads[head];
+  const sampleKey = classifier.headSampleKey(head);
+  const labelled = data.filter(sample => sample[sampleKey] !== undefined && sample[sampleKey] !== null && sample[sampleKey] !== "");
+
+  if (labelled.length < 2) {
+    throw new Error("Need at least two labelled images to evaluate");
+  }
+  if (mode === "kfold" && (folds < 2 || folds > labelled.length)) {
+    throw new Error(`Cross-validation needs between 2 and ${labelled.length} folds`);
+  }
+
+  const actual = labelled.map(sample => labelIndex(labels, sample[sampleKey]));
+  const features = labelled.map(sample => classifier.extractFeatures(sample.image));
+
+  let rows;
+  try {
+    rows = mode === "kfold"
+      ? await crossValidate(classifier, features, actual, labels, { folds, epochs, batchSize, onProgress })
+      : predictRows(model, features);
+  } finally {
+    features.forEach(f => f.dispose());
+  }
+
+  const matrix = confusionMatrix(actual, rows.map(argMax), labels.length);
+  const temperature = fitTemperature(rows, actual);
+  const calibrated = crossFittedCalibration(rows, actual);
+
+  const report = {
+    head,
+    mode,
+    folds: mode === "kfold" ? folds : null,
+    labels,
+    count: labelled.length,
+    confusion: matrix,
+    ...classMetrics(matrix, labels),
+    reliability: reliabilityDiagram(rows, actual, bins),
+    temperature,
+    calibratedReliability: reliabilityDiagram(calibrated, actual, bins)
+  };
+
+  console.log(`✅ ${head} evaluation (${mode}): accuracy ${(report.accuracy * 100).toFixed(1)}%, ECE ${report.reliability.ece.toFixed(3)} → ${report.calibratedReliability.ece.toFixed(3)} at T=${temperature.toFixed(2)}`);
+  return report;
+}
@@ -0,0 +1,61 @@
+/**
+ * k-nearest-neighbour classification against a library of labelled
+ * MobileNet embeddings
+ * Few-shot alternative to the dense heads: an example added to the library
+ * counts from the next prediction on, without training. Library entries
+ * are `{ id, embedding, label, ware, ... }` with unit-length embeddings.
+ */
+
+export const DEFAULT_K = 5;
+
+export function normalizeEmbedding(embedding) {
+  let norm = 0;
+  for (let i = 0; i < embedding.length; i++) norm += embedding[i] * embedding[i];
+  norm = Math.sqrt(norm) || 1;
+
+  const unit = new Float32Array(embedding.length);
+  for (let i = 0; i < embedding.length; i++) unit[i] = embedding[i] / norm;
+  return unit;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Predict one label field from the nearest library entries
+ * Neighbours vote with their cosine similarity, so with a single example
+ * per class the closest one wins.
+ * @param {Array<Object>} library
+ * @param {Float32Array} embedding Query embedding (need not be normalised)
+ * @param {Object} options
+ * @param {string} options.key Entry field holding the label ("label" or "ware")
+ * @param {Array<string>} options.labels Classes to consider
+ * @param {number} [options.k=DEFAULT_K]
+ * @returns {Object|null} `{ label, confidence, probabilities, neighbours }`,
+ *   null when no entry carries one of the labels
+ */
+export function knnPredict(library, embedding, { key, labels, k = DEFAULT_K }) {
+  const candidates = library.filter(entry =>
+    labels.includes(entry[key]) && entry.embedding.length === embedding.length
+  );
+  if (candidates.length === 0) return null;
+
+  const query = normalizeEmbedding(embedding);
+  const neighbours = candidates
+    .map(entry => ({ id: entry.id, label: entry[key], similarity: dot(query, entry.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+
+  const votes = Object.fromEntries(labels.map(label => [label, 0]));
+  // Similarities of unrelated images can be negative; they still count a little
+  neighbours.forEach(n => { votes[n.label] += Math.max(n.similarity, 0) + 1e-6; });
+
+  const total = Object.values(votes).reduce((sum, v) => sum + v, 0);
+  const probabilities = Object.fromEntries(labels.map(label => [label, votes[label] / total]));
+  const label = labels.reduce((best, l) => (probabilities[l] > probabilities[best] ? l : best), labels[0]);
+
+  return { label, confidence: probabilities[label], probabilities, neighbours };
+}
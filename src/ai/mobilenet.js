@@ -1,13 +1,123 @@
 import * as tf from "@tensorflow/tfjs";
 import * as mobilenet from "@tensorflow-models/mobilenet";
 
+/**
+ * MobileNet loading that works without network
+ * MOBILENET_CONFIG is the default build (v2, alpha 1.0, 224×224); the
+ * other feature backbones are described in backbones.js. Sources are
+ * tried in order:
+ *   1. locally served files (`npm run download-models` puts them in
+ *      public/models/mobilenet/, the service worker keeps them offline)
+ *   2. the copy cached in IndexedDB by an earlier successful load
+ *   3. the remote URL
+ * URLs are configurable through Vite env variables: `VITE_MOBILENET_URLS`
+ * (comma-separated local URLs) and `VITE_MOBILENET_REMOTE_URL` (empty to
+ * never go online).
+ */
+
+// TF Hub classification model of a MobileNet build
+export function tfhubMobileNetUrl(version, alpha) {
+  const size = String(Math.round(alpha * 100)).padStart(3, "0");
+  return `https://tfhub.dev/google/imagenet/mobilenet_v${version}_${size}_224/classification/${version}/model.json?tfjs-format=file`;
+}
+
+function urlList(value) {
+  return value
+    ?.split(",")
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+export const MOBILENET_CONFIG = {
+  version: 2,
+  alpha: 1.0,
+  // The TF Hub v2 models take pixels scaled to [0, 1]; mobilenet.load()
+  // assumes [-1, 1] whenever a modelUrl is given
+  inputRange: [0, 1],
+  localUrls: urlList(import.meta.env.VITE_MOBILENET_URLS) ?? [`${import.meta.env.BASE_URL}models/mobilenet/model.json`],
+  cacheUrl: "indexeddb://archia-mobilenet-v2-100",
+  remoteUrl: import.meta.env.VITE_MOBILENET_REMOTE_URL ?? tfhubMobileNetUrl(2, 1.0)
+};
+
 let model;
 
-export async function loadMobileNet() {
-  model = await mobilenet.load({
-    version: 2,
-    alpha: 1.0
+async function isCached(cacheUrl) {
+  try {
+    return cacheUrl in await tf.io.listModels();
+  } catch {
+    return false;
+  }
+}
+
+// Keep a copy in IndexedDB; failing to (e.g. storage quota) only costs the
+// offline fallback
+async function cacheModel(graphModel, { name, cacheUrl }) {
+  try {
+    await graphModel.save(cacheUrl);
+    console.log(`✅ ${name} cached for offline use`);
+  } catch (err) {
+    console.warn(`Could not cache ${name}:`, err);
+  }
+}
+
+/**
+ * Load a graph model from the first of its sources that works: local URLs,
+ * then the IndexedDB copy, then the remote URL. A copy loaded from
+ * elsewhere is cached for next time.
+ * @param {Object} config `{ name, localUrls, cacheUrl, remoteUrl }`
+ * @param {Function} load url → loaded model
+ * @param {Function} [graphModelOf] loaded model → its tf.GraphModel (for caching)
+ * @param {Function} [onSource] Called with ("local"|"cache"|"remote", url)
+ *   before each attempt
+ */
+export async function loadWithFallback(config, load, graphModelOf = loaded => loaded, onSource = null) {
+  const attempts = [
+    ...config.localUrls.map(url => ({ source: "local", url })),
+    { source: "cache", url: config.cacheUrl },
+    ...(config.remoteUrl ? [{ source: "remote", url: config.remoteUrl }] : [])
+  ];
+  const cached = await isCached(config.cacheUrl);
+  const errors = [];
+
+  for (const { source, url } of attempts) {
+    if (source === "cache" && !cached) continue;
+    if (onSource) onSource(source, url);
+
+    let loaded;
+    try {
+      loaded = await load(url);
+    } catch (err) {
+      console.warn(`${config.name} not available from ${url}:`, err.message);
+      errors.push(`${source}: ${err.message}`);
+      continue;
+    }
+
+    console.log(`✅ ${config.name} loaded from ${source} (${url})`);
+    if (source !== "cache" && !cached) await cacheModel(graphModelOf(loaded), config);
+    return loaded;
+  }
+
+  throw new Error(
+    `${config.name} could not be loaded from any source. Run "npm run download-models" to bundle it. (${errors.join("; ")})`
+  );
+}
+
+/**
+ * Load MobileNet from the first source that works
+ * @param {Function} [onSource] Called with ("local"|"cache"|"remote", url)
+ *   before each attempt
+ * @param {Object} [config] Another MobileNet build, same fields as MOBILENET_CONFIG
+ * @returns {Promise<Object>} The mobilenet model
+ */
+export async function loadMobileNet(onSource, config = MOBILENET_CONFIG) {
+  const load = modelUrl => mobilenet.load({
+    version: config.version,
+    alpha: config.alpha,
+    modelUrl,
+    inputRange: config.inputRange
   });
+
+  model = await loadWithFallback({ name: "MobileNet", ...config }, load, net => net.model, onSource);
   return model;
 }
 
@@ -16,10 +126,9 @@ export function extractFeatures(video) {
     const img = tf.browser.fromPixels(video)
       .resizeBilinear([224, 224])
       .toFloat()
-      .div(255.0)
       .expandDims(0);
 
-    // embedding from MobileNet
+    // embedding from MobileNet, which scales the 0–255 pixels itself
     return model.infer(img, true); // shape: [1, 1024]
   });
 }
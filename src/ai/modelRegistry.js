@@ -0,0 +1,315 @@
+import * as tf from "@tensorflow/tfjs";
+import { HEAD_NAMES } from "./classifier";
+import { getBackboneSpec, addCustomBackbone, embeddingKey, DEFAULT_BACKBONE_ID } from "./backbones";
+import { getFragmentStore, createId } from "../data/fragmentStore";
+
+/**
+ * Classifier model registry
+ * Named, numbered versions of the classifier heads with their label sets,
+ * calibration, feature backbone and training metadata. Registry entries live in the fragment
+ * store; each version's weights are kept in tf.js IndexedDB storage. The
+ * working copy the classifier loads at start-up stays at its usual slot,
+ * and switching versions copies a version into it.
+ *
+ * Versions can be downloaded as one JSON file (topology, weights and
+ * metadata of every head, plus fine-tuned backbone weights) and imported
+ * on another machine.
+ */
+
+const FILE_FORMAT = "archia-classifier";
+const FILE_FORMAT_VERSION = 1;
+
+export const DEFAULT_MODEL_NAME = "Fragment classifier";
+
+// `head` is a head name, or "backbone" for fine-tuned MobileNet weights
+function versionUrl(id, head) {
+  return `indexeddb://archia-model-${id}-${head}`;
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+function describeBackbone(classifier) {
+  const spec = getBackboneSpec(classifier.backbone.id);
+  return {
+    id: spec.id,
+    name: spec.name,
+    embeddingKey: classifier.backbone.embeddingKey,
+    fineTuned: classifier.backboneTuned,
+    // Custom graph models travel with the version, so another machine
+    // serving the same model can use it
+    ...(spec.kind === "graph" && { spec })
+  };
+}
+
+/**
+ * Backbone a version was trained on; versions from before backbones were
+ * recorded used the original one
+ * @returns {{id: string, name: string}}
+ */
+export function versionBackbone(entry) {
+  const id = entry.backbone?.id || DEFAULT_BACKBONE_ID;
+  return { id, name: entry.backbone?.name || getBackboneSpec(id)?.name || id };
+}
+
+function nextVersionNumber(versions, name) {
+  return versions
+    .filter(v => v.name === name)
+    .reduce((max, v) => Math.max(max, v.version), 0) + 1;
+}
+
+export async function listModelVersions() {
+  return getFragmentStore().listModelVersions();
+}
+
+export function getActiveModelId() {
+  return getFragmentStore().getActiveModelId();
+}
+
+/**
+ * Snapshot the working classifier as a new version and make it active
+ * @param {FragmentClassifier} classifier
+ * @param {Object} options
+ * @param {string} [options.name] Defaults to the active version's name
+ * @param {Object} [options.training] Training metadata (images, epochs, final logs)
+ * @param {string} [options.source="trained"]
+ * @returns {Promise<Object>} The registry entry
+ */
+export async function saveModelVersion(classifier, { name = null, training = null, source = "trained" } = {}) {
+  const store = getFragmentStore();
+  const versions = await store.listModelVersions();
+  const active = versions.find(v => v.id === store.getActiveModelId());
+  const modelName = name || active?.name || DEFAULT_MODEL_NAME;
+
+  const entry = {
+    id: createId(),
+    name: modelName,
+    version: nextVersionNumber(versions, modelName),
+    createdAt: Date.now(),
+    source,
+    parentId: active?.id || null,
+    embeddingSize: classifier.embeddingSize,
+    heads: classifier.describeHeads(),
+    backbone: describeBackbone(classifier),
+    training
+  };
+
+  await classifier.saveHeadsTo(head => versionUrl(entry.id, head));
+  await store.putModelVersion(entry);
+  store.setActiveModelId(entry.id);
+
+  console.log(`✅ Saved classifier "${entry.name}" v${entry.version}`);
+  return entry;
+}
+
+/**
+ * Switch the classifier to a stored version, and to its backbone
+ * The classifier stays on its backbone when the version does not fit it.
+ */
+export async function activateModelVersion(classifier, id) {
+  const store = getFragmentStore();
+  const entry = await store.getModelVersion(id);
+  if (!entry) {
+    throw new Error("Model version not found");
+  }
+
+  const backbone = versionBackbone(entry);
+  if (!getBackboneSpec(backbone.id)) {
+    if (!entry.backbone?.spec) {
+      throw new Error(`"${entry.name}" needs the backbone "${backbone.name}", which is not available here`);
+    }
+    addCustomBackbone(entry.backbone.spec);
+  }
+  // Versions from before embedding keys were recorded were trained under the backbone id
+  if ((entry.backbone?.embeddingKey ?? backbone.id) !== embeddingKey(getBackboneSpec(backbone.id))) {
+    throw new Error(`"${entry.name}" was trained on an older input scaling of ${backbone.name}; train it again`);
+  }
+
+  await classifier.ensureLoaded();
+  const previousBackbone = classifier.backbone.id;
+  await classifier.setBackbone(backbone.id);
+
+  if (entry.embeddingSize !== classifier.embeddingSize) {
+    const embeddingSize = classifier.embeddingSize;
+    await classifier.setBackbone(previousBackbone);
+    throw new Error(
+      `"${entry.name}" expects ${entry.embeddingSize}-dimensional embeddings, ${backbone.name} gives ${embeddingSize}`
+    );
+  }
+
+  await classifier.loadHeadsFrom(head => versionUrl(entry.id, head));
+  store.setActiveModelId(entry.id);
+
+  console.log(`✅ Switched to classifier "${entry.name}" v${entry.version}`);
+  return entry;
+}
+
+/**
+ * Switch the classifier to another backbone outside of any version; the
+ * working copy kept for that backbone is not a registry version anymore
+ */
+export async function switchBackbone(classifier, backboneId) {
+  await classifier.setBackbone(backboneId);
+
+  const store = getFragmentStore();
+  const activeId = store.getActiveModelId();
+  const active = activeId && await store.getModelVersion(activeId);
+  if (active && versionBackbone(active).id !== backboneId) {
+    store.setActiveModelId(null);
+  }
+}
+
+/**
+ * Point the registry back at the version a training run started from,
+ * after FragmentClassifier.rollback() restored its weights
+ */
+export async function restoreParentVersion() {
+  const store = getFragmentStore();
+  const active = await store.getModelVersion(store.getActiveModelId());
+  store.setActiveModelId(active?.parentId || null);
+}
+
+export async function deleteModelVersion(id) {
+  const store = getFragmentStore();
+  if (store.getActiveModelId() === id) {
+    throw new Error("The active model cannot be deleted");
+  }
+
+  const stored = await tf.io.listModels();
+  for (const head of [...HEAD_NAMES, "backbone"]) {
+    if (versionUrl(id, head) in stored) await tf.io.removeModel(versionUrl(id, head));
+  }
+  await store.deleteModelVersion(id);
+}
+
+// Topology, weight manifest and weights of a stored model
+async function readArtifacts(url) {
+  const model = await tf.loadLayersModel(url);
+  let artifacts = null;
+  await model.save(tf.io.withSaveHandler(async modelArtifacts => {
+    artifacts = modelArtifacts;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: "JSON" } };
+  }));
+  model.dispose();
+  return artifacts;
+}
+
+// Backbone weights are stored without a layers topology, so they are
+// read and written through the storage handlers directly
+async function readBackbone(id) {
+  const [handler] = tf.io.getLoadHandlers(versionUrl(id, "backbone"));
+  const artifacts = await handler.load();
+  return {
+    weightSpecs: artifacts.weightSpecs,
+    weightData: toBase64(tf.io.CompositeArrayBuffer.join(artifacts.weightData))
+  };
+}
+
+async function writeBackbone(id, backbone) {
+  const [handler] = tf.io.getSaveHandlers(versionUrl(id, "backbone"));
+  await handler.save({
+    modelTopology: { format: "archia-backbone-weights" },
+    weightSpecs: backbone.weightSpecs,
+    weightData: fromBase64(backbone.weightData)
+  });
+}
+
+/**
+ * One-file download of a version
+ * @returns {Promise<Blob>}
+ */
+export async function exportModelVersion(id) {
+  const entry = await getFragmentStore().getModelVersion(id);
+  if (!entry) {
+    throw new Error("Model version not found");
+  }
+
+  const weights = {};
+  for (const head of HEAD_NAMES) {
+    const artifacts = await readArtifacts(versionUrl(id, head));
+    weights[head] = {
+      modelTopology: artifacts.modelTopology,
+      weightSpecs: artifacts.weightSpecs,
+      weightData: toBase64(tf.io.CompositeArrayBuffer.join(artifacts.weightData)),
+      userDefinedMetadata: artifacts.userDefinedMetadata
+    };
+  }
+
+  const backboneWeights = entry.backbone?.fineTuned ? await readBackbone(id) : undefined;
+
+  // Ids are local to this registry
+  const { id: _id, parentId: _parentId, ...metadata } = entry;
+  const file = { format: FILE_FORMAT, formatVersion: FILE_FORMAT_VERSION, ...metadata, weights, backboneWeights };
+  return new Blob([JSON.stringify(file)], { type: "application/json" });
+}
+
+/**
+ * Add a downloaded version to the registry (it does not become active)
+ * @param {File} file
+ * @returns {Promise<Object>} The new registry entry
+ */
+export async function importModelFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error("Not a classifier file");
+  }
+  if (data.format !== FILE_FORMAT || !data.weights) {
+    throw new Error("Not a classifier file");
+  }
+  if (data.formatVersion > FILE_FORMAT_VERSION) {
+    throw new Error("This classifier file was made by a newer version of the app");
+  }
+
+  const missing = HEAD_NAMES.filter(head => !data.weights[head]);
+  if (missing.length > 0) {
+    throw new Error(`Classifier file has no ${missing.join(", ")} head`);
+  }
+
+  const store = getFragmentStore();
+  const versions = await store.listModelVersions();
+  const entry = {
+    id: createId(),
+    name: data.name || DEFAULT_MODEL_NAME,
+    version: nextVersionNumber(versions, data.name || DEFAULT_MODEL_NAME),
+    createdAt: Date.now(),
+    source: "imported",
+    importedFrom: { fileName: file.name, version: data.version, createdAt: data.createdAt },
+    parentId: null,
+    embeddingSize: data.embeddingSize,
+    heads: data.heads,
+    backbone: data.backbone ? { ...data.backbone, fineTuned: !!data.backboneWeights } : null,
+    training: data.training || null
+  };
+
+  for (const head of HEAD_NAMES) {
+    const weights = data.weights[head];
+    const model = await tf.loadLayersModel(tf.io.fromMemory({
+      modelTopology: weights.modelTopology,
+      weightSpecs: weights.weightSpecs,
+      weightData: fromBase64(weights.weightData),
+      userDefinedMetadata: weights.userDefinedMetadata
+    }));
+    await model.save(versionUrl(entry.id, head));
+    model.dispose();
+  }
+  if (data.backboneWeights) await writeBackbone(entry.id, data.backboneWeights);
+  await store.putModelVersion(entry);
+
+  console.log(`✅ Imported classifier "${entry.name}" v${entry.version}`);
+  return entry;
+}
@@ -0,0 +1,137 @@
+/**
+ * Open-set rejection
+ * The heads always name one of their classes, even for a photo of a hand
+ * or an empty table. Three signals decide whether to trust that answer:
+ *   - entropy and top probability of the fragment type prediction, once
+ *     the head has been trained ("uncertain")
+ *   - cosine similarity to the nearest few-shot library example, once the
+ *     library is big enough to describe what sherds look like ("not-sherd")
+ *   - MobileNet's ImageNet top-k: sherds give diffuse ImageNet predictions,
+ *     so a confident non-ceramic class means something else is in view
+ *     ("not-sherd")
+ */
+
+export const DEFAULT_OPEN_SET_THRESHOLDS = {
+  // Entropy divided by log(number of classes): 0 certain, 1 uniform
+  maxEntropy: 0.85,
+  minConfidence: 0.4,
+  // Below this similarity to every library example the image is unlike the training data
+  minLibrarySimilarity: 0.45,
+  // Fewer examples than this say too little about the data to reject on
+  minLibrarySize: 5,
+  // A non-ceramic ImageNet class this likely is taken as what the photo shows
+  maxForeignImagenetProbability: 0.5
+};
+
+// ImageNet class name words that a sherd (or other ceramic/stone find) may
+// reasonably be mistaken for
+const CERAMIC_IMAGENET_WORDS = new Set([
+  "pot", "flowerpot", "vase", "pitcher", "ewer", "jug", "bowl", "cup", "mug",
+  "teapot", "plate", "tile", "brick", "stone", "rock", "shell", "ocarina",
+  "earthenware", "jar", "crock", "pottery"
+]);
+
+export function isCeramicImagenetClass(className) {
+  return className.toLowerCase().split(/[\s,]+/).some(word => CERAMIC_IMAGENET_WORDS.has(word));
+}
+
+/**
+ * Entropy of a class → probability map, scaled to [0, 1]
+ */
+export function normalizedEntropy(probabilities) {
+  const values = Object.values(probabilities);
+  if (values.length < 2) return 0;
+
+  const entropy = values.reduce((sum, p) => (p > 0 ? sum - p * Math.log(p) : sum), 0);
+  return entropy / Math.log(values.length);
+}
+
+/**
+ * Highest cosine similarity between an embedding and the library entries
+ * (stored unit-length)
+ * @returns {number|null} null when no entry has a comparable embedding
+ */
+export function nearestLibrarySimilarity(library, embedding) {
+  let norm = 0;
+  for (let i = 0; i < embedding.length; i++) norm += embedding[i] * embedding[i];
+  norm = Math.sqrt(norm) || 1;
+
+  let best = null;
+  for (const entry of library) {
+    if (entry.embedding.length !== embedding.length) continue;
+    let dot = 0;
+    for (let i = 0; i < embedding.length; i++) dot += embedding[i] * entry.embedding[i];
+    best = Math.max(best ?? -1, dot / norm);
+  }
+  return best;
+}
+
+/**
+ * Decide whether a prediction can be trusted
+ * @param {Object} input
+ * @param {Object} input.probabilities Fragment type class → probability
+ * @param {number} input.confidence Top probability
+ * @param {Float32Array} input.embedding
+ * @param {boolean} [input.trained=true] Whether the prediction came from a
+ *   trained head (or the library); without training the spread is
+ *   meaningless and no uncertainty is reported
+ * @param {Array<Object>} [input.library] Few-shot library entries
+ * @param {Array<{className, probability}>} [input.imagenet] MobileNet top-k
+ * @param {Object} [thresholds]
+ * @returns {{status: "accepted"|"uncertain"|"not-sherd", reasons: Array<string>,
+ *   entropy: number, librarySimilarity: number|null, imagenet: Array}}
+ */
+export function assessOpenSet(
+  { probabilities, confidence, embedding, trained = true, library = [], imagenet = [] },
+  thresholds = DEFAULT_OPEN_SET_THRESHOLDS
+) {
+  const notSherd = [];
+  const uncertain = [];
+
+  const entropy = normalizedEntropy(probabilities);
+  if (trained && entropy > thresholds.maxEntropy) {
+    uncertain.push(`prediction entropy ${(entropy * 100).toFixed(0)}% of maximum`);
+  }
+  if (trained && confidence < thresholds.minConfidence) {
+    uncertain.push(`top class only ${(confidence * 100).toFixed(0)}% likely`);
+  }
+
+  const librarySimilarity = library.length >= thresholds.minLibrarySize
+    ? nearestLibrarySimilarity(library, embedding)
+    : null;
+  if (librarySimilarity !== null && librarySimilarity < thresholds.minLibrarySimilarity) {
+    notSherd.push(`unlike every library example (similarity ${librarySimilarity.toFixed(2)})`);
+  }
+
+  const [top] = imagenet;
+  if (top && top.probability >= thresholds.maxForeignImagenetProbability && !isCeramicImagenetClass(top.className)) {
+    notSherd.push(`looks like "${top.className.split(",")[0]}" (${(top.probability * 100).toFixed(0)}%)`);
+  }
+
+  const status = notSherd.length > 0 ? "not-sherd" : uncertain.length > 0 ? "uncertain" : "accepted";
+  return {
+    status,
+    reasons: [...notSherd, ...uncertain],
+    entropy,
+    librarySimilarity,
+    imagenet
+  };
+}
+
+/**
+ * Whether a classification was flagged as not a sherd or too uncertain
+ */
+export function isRejected(classification) {
+  const status = classification?.openSet?.status;
+  return status === "not-sherd" || status === "uncertain";
+}
+
+/**
+ * Captures flagged as not a sherd stay out of the reconstruction until the
+ * user includes them anyway. Uncertain ones still have sherd geometry and
+ * go in with their best guess; failed classifications (status "failed")
+ * go in as "unknown", since the classifier never looked at them.
+ */
+export function isExcludedFromReconstruction(fragment) {
+  return fragment.classification?.openSet?.status === "not-sherd" && !fragment.reconstructionOverride;
+}
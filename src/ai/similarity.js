@@ -0,0 +1,218 @@
+import { getFragmentClassifier } from "./classifier";
+import { DEFAULT_BACKBONE_ID } from "./backbones";
+
+/**
+ * "Find similar sherds": ranks fragments by backbone embedding similarity
+ * combined with colour statistics of the sherd surface, to group sherds
+ * likely from the same vessel or fabric.
+ *
+ * Colour statistics are CIELAB mean and standard deviation, taken from the
+ * scan's vertex colours when present, otherwise from the photo pixels that
+ * produced the point cloud (depth above the background cut-off).
+ */
+
+const STATS_SIZE = 96;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load fragment image"));
+    img.src = src;
+  });
+}
+
+// Fragments from before backbones were recorded were embedded by the original one
+function embeddingBackbone(fragment) {
+  return fragment.embeddingBackbone || DEFAULT_BACKBONE_ID;
+}
+
+function srgbToLinear(value) {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+// Imported scans without a photo show a rendered thumbnail instead
+function hasPhotograph(fragment) {
+  return !!fragment.image && !(fragment.source?.type === "scan" && !fragment.source.hasPhoto);
+}
+
+/**
+ * sRGB (0–255) to CIELAB, D65 white
+ */
+export function rgbToLab(r, g, b) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function summarizeLab(labs) {
+  const mean = [0, 0, 0];
+  for (const lab of labs) {
+    for (let c = 0; c < 3; c++) mean[c] += lab[c];
+  }
+  for (let c = 0; c < 3; c++) mean[c] /= labs.length;
+
+  const std = [0, 0, 0];
+  for (const lab of labs) {
+    for (let c = 0; c < 3; c++) std[c] += (lab[c] - mean[c]) ** 2;
+  }
+  for (let c = 0; c < 3; c++) std[c] = Math.sqrt(std[c] / labs.length);
+
+  return { mean, std, samples: labs.length };
+}
+
+/**
+ * Colour statistics of a fragment
+ * @returns {Promise<{mean: number[], std: number[], samples: number}|null>} Lab values
+ */
+export async function computeColorStats(fragment) {
+  if (fragment.pointColors?.length >= 3) {
+    const colors = fragment.pointColors;
+    const count = colors.length / 3;
+    const step = Math.max(1, Math.floor(count / 5000));
+    const labs = [];
+    for (let i = 0; i < count; i += step) {
+      labs.push(rgbToLab(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]));
+    }
+    return summarizeLab(labs);
+  }
+
+  if (!hasPhotograph(fragment)) return null;
+
+  const img = await loadImage(fragment.image);
+  const canvas = document.createElement("canvas");
+  canvas.width = STATS_SIZE;
+  canvas.height = STATS_SIZE;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0, STATS_SIZE, STATS_SIZE);
+  const pixels = ctx.getImageData(0, 0, STATS_SIZE, STATS_SIZE).data;
+
+  // Same background cut-off as DepthEstimator.depthToPointCloud
+  const depthMap = fragment.depthMap;
+  const isForeground = (x, y) => {
+    if (!depthMap) return true;
+    const row = depthMap[Math.floor(y / STATS_SIZE * depthMap.length)];
+    return row[Math.floor(x / STATS_SIZE * row.length)][0] * 10 > 0.1;
+  };
+
+  const labs = [];
+  for (let y = 0; y < STATS_SIZE; y++) {
+    for (let x = 0; x < STATS_SIZE; x++) {
+      if (!isForeground(x, y)) continue;
+      const offset = (y * STATS_SIZE + x) * 4;
+      labs.push(rgbToLab(pixels[offset], pixels[offset + 1], pixels[offset + 2]));
+    }
+  }
+
+  return labs.length > 0 ? summarizeLab(labs) : null;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return null;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dotProduct / Math.sqrt(normA * normB) : null;
+}
+
+/**
+ * Colour similarity in [0, 1]: ΔE between means plus the difference in
+ * spread, so a plain and a mottled fabric of the same hue still differ
+ */
+export function colorSimilarity(a, b) {
+  if (!a || !b) return null;
+
+  const deltaE = Math.hypot(a.mean[0] - b.mean[0], a.mean[1] - b.mean[1], a.mean[2] - b.mean[2]);
+  const deltaSpread = Math.hypot(a.std[0] - b.std[0], a.std[1] - b.std[1], a.std[2] - b.std[2]);
+  return Math.exp(-(deltaE + 0.5 * deltaSpread) / 15);
+}
+
+/**
+ * Embedding and colour similarity blended into one score; falls back to
+ * whichever cue is available
+ * @returns {{score: number|null, embedding: number|null, color: number|null}}
+ */
+export function appearanceSimilarity(a, b, { embeddingWeight = 0.6 } = {}) {
+  const embedding = embeddingBackbone(a) === embeddingBackbone(b)
+    ? cosineSimilarity(a.embedding, b.embedding)
+    : null;
+  const color = colorSimilarity(a.colorStats, b.colorStats);
+
+  let score;
+  if (embedding !== null && color !== null) {
+    score = embeddingWeight * embedding + (1 - embeddingWeight) * color;
+  } else {
+    score = embedding ?? color;
+  }
+  return { score, embedding, color };
+}
+
+/**
+ * Fill in embedding and colour statistics for fragments captured before
+ * they were recorded, and embed again those embedded by another backbone
+ * (or an older input scaling of it)
+ * @returns {Promise<Object>} The fragment, or an updated copy
+ */
+export async function ensureSimilarityFeatures(fragment) {
+  let updated = fragment;
+
+  if (hasPhotograph(fragment)) {
+    const classifier = await getFragmentClassifier();
+    const key = classifier.backbone.embeddingKey;
+    if (!fragment.embedding || embeddingBackbone(fragment) !== key) {
+      updated = {
+        ...updated,
+        embedding: await classifier.embed(await loadImage(fragment.image)),
+        embeddingBackbone: key
+      };
+    }
+  }
+
+  if (fragment.colorStats === undefined) {
+    updated = { ...updated, colorStats: await computeColorStats(updated) };
+  }
+
+  return updated;
+}
+
+/**
+ * Rank fragments by similarity to a reference fragment
+ * @param {Object} reference
+ * @param {Array<Object>} fragments Candidates (the reference itself is skipped)
+ * @param {Object} options
+ * @param {number} [options.embeddingWeight=0.6] Share of the embedding in the combined score
+ * @returns {Array<{
+ *   fragment: Object, score: number,
+ *   embeddingSimilarity: number|null, colorSimilarity: number|null
+ * }>} Most similar first
+ */
+export function findSimilarFragments(reference, fragments, options = {}) {
+  const key = fragment => fragment.id || fragment.timestamp;
+
+  return fragments
+    .filter(fragment => key(fragment) !== key(reference))
+    .map(fragment => {
+      const { score, embedding, color } = appearanceSimilarity(reference, fragment, options);
+      return { fragment, score, embeddingSimilarity: embedding, colorSimilarity: color };
+    })
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,41 @@
+/**
+ * Fragment class taxonomies (vessel part and ware/fabric)
+ * Each label set is stored with its classifier head (model user-defined
+ * metadata), so the output layer and the saved weights always agree.
+ */
+
+export const DEFAULT_LABELS = ["rim", "body", "base"];
+
+export const DEFAULT_WARE_LABELS = ["coarse ware", "fine ware", "slipped", "glazed"];
+
+/**
+ * Clean up a user-entered label list: trimmed, lower case, no duplicates
+ * @throws {Error} When fewer than two labels remain
+ */
+export function normalizeLabels(labels) {
+  const cleaned = [];
+  for (const label of labels) {
+    const name = String(label).trim().toLowerCase();
+    if (name && name !== "unknown" && !cleaned.includes(name)) cleaned.push(name);
+  }
+
+  if (cleaned.length < 2) {
+    throw new Error("A label set needs at least two classes");
+  }
+  return cleaned;
+}
+
+export function sameLabels(a, b) {
+  return a.length === b.length && a.every((label, i) => label === b[i]);
+}
+
+/**
+ * Index of a training label given either as class index or class name
+ */
+export function labelIndex(labels, label) {
+  const index = typeof label === "number" ? label : labels.indexOf(String(label).toLowerCase());
+  if (!Number.isInteger(index) || index < 0 || index >= labels.length) {
+    throw new Error(`Unknown label "${label}" (classes: ${labels.join(", ")})`);
+  }
+  return index;
+}
@@ -1,30 +1,31 @@
 import * as tf from "@tensorflow/tfjs";
-import * as mobilenet from "@tensorflow-models/mobilenet";
+import { loadBackbone, backboneStorageUrl, DEFAULT_BACKBONE_ID } from "./backbones";
+import { DEFAULT_LABELS, labelIndex } from "./taxonomy";
 
-export async function trainClassifier(samples) {
-  const mobilenetModel = await mobilenet.load({ version: 2, alpha: 1.0 });
+export async function trainClassifier(samples, labels = DEFAULT_LABELS, backboneId = DEFAULT_BACKBONE_ID) {
+  const backbone = await loadBackbone(backboneId);
 
   const xs = [];
   const ys = [];
 
   for (const sample of samples) {
     const img = tf.browser.fromPixels(sample.image)
-      .resizeBilinear([224, 224])
+      .resizeBilinear([backbone.inputSize, backbone.inputSize])
       .toFloat()
-      .div(255)
       .expandDims(0);
 
-    const embedding = mobilenetModel.infer(img, true);
+    const embedding = backbone.embed(img);
     xs.push(embedding);
-    ys.push(tf.oneHot(sample.label, 3));
+    ys.push(tf.oneHot([labelIndex(labels, sample.label)], labels.length));
   }
 
   const xTensor = tf.concat(xs);
   const yTensor = tf.concat(ys);
 
   const classifier = tf.sequential();
-  classifier.add(tf.layers.dense({ inputShape: [1024], units: 128, activation: "relu" }));
-  classifier.add(tf.layers.dense({ units: 3, activation: "softmax" }));
+  classifier.add(tf.layers.dense({ inputShape: [backbone.embeddingSize], units: 128, activation: "relu" }));
+  classifier.add(tf.layers.dense({ units: labels.length, activation: "softmax" }));
+  classifier.setUserDefinedMetadata({ labels, trained: true });
 
   classifier.compile({
     optimizer: tf.train.adam(0.0005),
@@ -37,5 +38,5 @@ export async function trainClassifier(samples) {
     shuffle: true
   });
 
-  await classifier.save("indexeddb://fragment-classifier");
+  await classifier.save(backboneStorageUrl("indexeddb://fragment-classifier", backbone.embeddingKey));
 }
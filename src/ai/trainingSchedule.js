@@ -0,0 +1,61 @@
+/**
+ * Learning-rate schedules and early stopping for FragmentClassifier.train
+ */
+
+export const LR_SCHEDULES = ["constant", "cosine", "step"];
+
+/**
+ * Learning rate for an epoch
+ * "cosine" decays smoothly to 5% of the base rate by the last epoch,
+ * "step" halves the rate after each third of the run.
+ * @param {string} schedule One of LR_SCHEDULES
+ * @param {number} epoch 0-based
+ * @param {number} epochs
+ * @param {number} baseRate
+ */
+export function learningRateAt(schedule, epoch, epochs, baseRate) {
+  switch (schedule) {
+    case "cosine": {
+      const progress = epochs > 1 ? epoch / (epochs - 1) : 0;
+      const floor = 0.05;
+      return baseRate * (floor + (1 - floor) * 0.5 * (1 + Math.cos(Math.PI * progress)));
+    }
+    case "step":
+      return baseRate * 0.5 ** Math.floor(epoch / Math.max(1, Math.floor(epochs / 3)));
+    default:
+      return baseRate;
+  }
+}
+
+/**
+ * Tracks validation loss and says when it stopped improving
+ * @param {Object} options
+ * @param {number} [options.patience=5] Epochs without improvement before stopping
+ * @param {number} [options.minDelta=1e-3] Smallest decrease that counts as improvement
+ * @returns {{update: Function, best: Function}} `update(valLoss, epoch)`
+ *   returns `{ improved, stop }`; `best()` gives `{ epoch, loss }`
+ */
+export function createEarlyStopping({ patience = 5, minDelta = 1e-3 } = {}) {
+  let bestLoss = Infinity;
+  let bestEpoch = -1;
+  let waited = 0;
+
+  return {
+    update(valLoss, epoch) {
+      if (!Number.isFinite(valLoss)) return { improved: false, stop: false };
+
+      if (valLoss < bestLoss - minDelta) {
+        bestLoss = valLoss;
+        bestEpoch = epoch;
+        waited = 0;
+        return { improved: true, stop: false };
+      }
+
+      waited++;
+      return { improved: false, stop: waited >= patience };
+    },
+    best() {
+      return { epoch: bestEpoch, loss: bestLoss };
+    }
+  };
+}
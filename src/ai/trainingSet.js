@@ -0,0 +1,178 @@
+/**
+ * Labelled images for the training studio
+ * A sample is `{ id, image, label, ware, heldOut, source, fragmentId, createdAt }`
+ * with `image` a data URL downscaled to the classifier input size,
+ * `label`/`ware` class names (null while unlabelled) and `heldOut` marking
+ * test images that are never trained on.
+ */
+
+const SAMPLE_SIZE = 224;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load training image"));
+    img.src = src;
+  });
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// MobileNet sees 224×224 anyway, so larger images only cost storage
+async function downscale(src) {
+  const img = await loadImage(src);
+  const canvas = document.createElement("canvas");
+  canvas.width = SAMPLE_SIZE;
+  canvas.height = SAMPLE_SIZE;
+  canvas.getContext("2d").drawImage(img, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  return canvas.toDataURL("image/jpeg", 0.9);
+}
+
+/**
+ * Samples from uploaded image files, all given the same labels
+ */
+export async function samplesFromFiles(files, { label = null, ware = null } = {}) {
+  const samples = [];
+  for (const file of files) {
+    samples.push({
+      image: await downscale(await readFile(file)),
+      label,
+      ware,
+      heldOut: false,
+      source: "upload",
+      fragmentId: null
+    });
+  }
+  return samples;
+}
+
+/**
+ * Samples from captured fragments, pre-labelled with the current
+ * predictions for the user to check; fragments already in the set and
+ * imported scans without a photo are skipped
+ */
+export async function samplesFromFragments(fragments, existingSamples = []) {
+  const known = new Set(existingSamples.map(s => s.fragmentId).filter(Boolean));
+  const samples = [];
+
+  for (const fragment of fragments) {
+    const hasPhoto = fragment.image && !(fragment.source?.type === "scan" && !fragment.source.hasPhoto);
+    if (!hasPhoto || known.has(fragment.id)) continue;
+
+    const { fragmentType, wareType } = fragment.classification || {};
+    samples.push({
+      image: await downscale(fragment.image),
+      label: fragmentType && fragmentType !== "unknown" ? fragmentType : null,
+      ware: wareType && wareType !== "unknown" ? wareType : null,
+      heldOut: false,
+      source: "capture",
+      fragmentId: fragment.id || null
+    });
+  }
+  return samples;
+}
+
+/**
+ * Turn stored samples into FragmentClassifier.train() input
+ * Labels outside the current class lists are dropped, so a sample labelled
+ * under an older taxonomy only trains the head it still fits.
+ * @param {boolean} [heldOut=false] Load the held-out test images instead
+ */
+export async function loadTrainingData(samples, { labels, wareLabels }, heldOut = false) {
+  const data = [];
+  for (const sample of samples) {
+    if (!!sample.heldOut !== heldOut) continue;
+
+    const label = labels.includes(sample.label) ? sample.label : null;
+    const ware = wareLabels.includes(sample.ware) ? sample.ware : null;
+    if (label === null && ware === null) continue;
+
+    data.push({ image: await loadImage(sample.image), label, ware });
+  }
+  return data;
+}
+
+/**
+ * Bring the few-shot library in line with the labelled training images
+ * Held-out images stay out of the library so they remain test images.
+ * @param {Array<Object>} library FragmentClassifier.library
+ * @returns {Promise<{added: Array<Object>, relabelled: Array<Object>, removed: Array<string>}>}
+ *   `added` ready for FragmentClassifier.addExamples(), `relabelled` the
+ *   library entries whose sample labels changed since they were added,
+ *   `removed` the ids of samples that were deleted or held out since
+ */
+export async function examplesFromSamples(samples, library, { labels, wareLabels }) {
+  const bySample = new Map(library.filter(e => e.sampleId).map(e => [e.sampleId, e]));
+  const added = [];
+  const relabelled = [];
+
+  for (const sample of samples) {
+    if (sample.heldOut) continue;
+
+    const label = labels.includes(sample.label) ? sample.label : null;
+    const ware = wareLabels.includes(sample.ware) ? sample.ware : null;
+    const entry = bySample.get(sample.id);
+
+    if (entry) {
+      if (entry.label !== label || entry.ware !== ware) relabelled.push({ ...entry, label, ware });
+    } else if (label !== null || ware !== null) {
+      added.push({ image: await loadImage(sample.image), label, ware, thumbnail: sample.image, sampleId: sample.id });
+    }
+  }
+
+  const kept = new Set(samples.filter(sample => !sample.heldOut).map(sample => sample.id));
+  const removed = [...bySample.keys()].filter(id => !kept.has(id));
+  return { added, relabelled, removed };
+}
+
+/**
+ * Uniformly shuffled copy (Fisher–Yates)
+ */
+export function shuffled(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Pick a stratified share of the training images (by fragment type) to
+ * hold out for testing
+ * @returns {Array<Object>} The samples whose heldOut flag should be set
+ */
+export function chooseHeldOut(samples, fraction = 0.2) {
+  const byLabel = new Map();
+  for (const sample of samples) {
+    if (sample.heldOut) continue;
+    const key = sample.label ?? sample.ware ?? "";
+    if (!byLabel.has(key)) byLabel.set(key, []);
+    byLabel.get(key).push(sample);
+  }
+
+  const chosen = [];
+  for (const group of byLabel.values()) {
+    chosen.push(...shuffled(group).slice(0, Math.round(group.length * fraction)));
+  }
+  return chosen;
+}
+
+/**
+ * Samples per class for one label field
+ */
+export function countLabels(samples, key, labels) {
+  const counts = Object.fromEntries(labels.map(label => [label, 0]));
+  for (const sample of samples) {
+    if (sample[key] in counts) counts[sample[key]]++;
+  }
+  return counts;
+}
@@ -0,0 +1,96 @@
+import { appearanceSimilarity } from "./similarity";
+
+/**
+ * Vessel grouping suggestions
+ * Average-linkage agglomerative clustering on pairwise affinities from
+ * appearance (MobileNet embedding + colour statistics). Rim sherds whose
+ * diameter intervals do not overlap cannot come from the same pot, so
+ * that pair's affinity is pushed down.
+ */
+
+/**
+ * Affinity in [0, 1] between two fragments, or null when neither
+ * appearance cue is available
+ */
+export function fragmentAffinity(a, b, options = {}) {
+  let affinity = appearanceSimilarity(a, b, options).score;
+  if (affinity === null) return null;
+
+  // Only millimetre intervals compare; relative (photo) ones depend on each sherd's size
+  if (a.rim?.confidenceInterval && b.rim?.confidenceInterval) {
+    const [lowA, highA] = a.rim.confidenceInterval;
+    const [lowB, highB] = b.rim.confidenceInterval;
+    // 10% slack for the axis/scale uncertainty the bootstrap does not see
+    const slack = 0.1 * Math.max(a.rim.diameterMm, b.rim.diameterMm);
+    if (lowA > highB + slack || lowB > highA + slack) affinity *= 0.2;
+  }
+
+  return affinity;
+}
+
+/**
+ * Suggest which fragments belong to the same vessel
+ * @param {Array<Object>} fragments
+ * @param {Object} options
+ * @param {number} [options.threshold=0.75] Minimum average affinity for a merge
+ * @returns {Array<{fragments: Array<Object>, cohesion: number|null}>} Largest
+ *   groups first; fragments without appearance data end up on their own
+ */
+export function suggestVesselGroups(fragments, options = {}) {
+  const { threshold = 0.75 } = options;
+  const n = fragments.length;
+
+  const affinity = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      // Unknown pairs count as dissimilar so they never pull clusters together
+      const value = fragmentAffinity(fragments[i], fragments[j], options) ?? 0;
+      affinity[i][j] = value;
+      affinity[j][i] = value;
+    }
+  }
+
+  let clusters = fragments.map((_, i) => [i]);
+  const linkage = (a, b) => {
+    let sum = 0;
+    for (const i of a) {
+      for (const j of b) sum += affinity[i][j];
+    }
+    return sum / (a.length * b.length);
+  };
+
+  for (;;) {
+    let best = null;
+    for (let x = 0; x < clusters.length; x++) {
+      for (let y = x + 1; y < clusters.length; y++) {
+        const value = linkage(clusters[x], clusters[y]);
+        if (value >= threshold && (!best || value > best.value)) {
+          best = { x, y, value };
+        }
+      }
+    }
+    if (!best) break;
+
+    const merged = [...clusters[best.x], ...clusters[best.y]];
+    clusters = clusters.filter((_, k) => k !== best.x && k !== best.y);
+    clusters.push(merged);
+  }
+
+  return clusters
+    .map(members => {
+      let cohesion = null;
+      if (members.length > 1) {
+        let sum = 0;
+        let pairs = 0;
+        for (let a = 0; a < members.length; a++) {
+          for (let b = a + 1; b < members.length; b++) {
+            sum += affinity[members[a]][members[b]];
+            pairs++;
+          }
+        }
+        cohesion = sum / pairs;
+      }
+      return { fragments: members.sort((a, b) => a - b).map(i => fragments[i]), cohesion };
+    })
+    .sort((a, b) => b.fragments.length - a.fragments.length);
+}
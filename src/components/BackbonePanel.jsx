@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from "react";
+import { getFragmentClassifier } from "../ai/classifier";
+import { listBackbones, addCustomBackbone } from "../ai/backbones";
+import { switchBackbone } from "../ai/modelRegistry";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+/**
+ * Feature backbone the classifier heads sit on: built-in MobileNet builds
+ * or locally hosted tfjs graph models. `onChanged` is called after a switch,
+ * as the heads (and their label sets) change with the backbone.
+ */
+export default function BackbonePanel({ revision = 0, onChanged, disabled = false }) {
+  const [backbones, setBackbones] = useState(() => listBackbones());
+  const [current, setCurrent] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getFragmentClassifier()
+      .then(classifier => {
+        if (!cancelled) setCurrent({ id: classifier.backbone.id, embeddingSize: classifier.embeddingSize });
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [revision]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Backbone action failed:", err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+      setBackbones(listBackbones());
+    }
+  };
+
+  const select = (id) => {
+    const spec = backbones.find(b => b.id === id);
+    if (!window.confirm(`Classify with ${spec.name}? Its own heads are loaded, or new untrained ones are created.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      const classifier = await getFragmentClassifier();
+      await switchBackbone(classifier, id);
+      setCurrent({ id, embeddingSize: classifier.embeddingSize });
+      if (onChanged) onChanged(id);
+    });
+  };
+
+  const addGraphModel = () => {
+    const url = window.prompt("URL of the model.json of a tfjs graph model served by this app", `${import.meta.env.BASE_URL}models/`);
+    if (!url?.trim()) return;
+    const name = window.prompt("Backbone name", url.trim().split("/").slice(-2, -1)[0] || "Custom model");
+    if (name === null) return;
+    const inputSize = parseInt(window.prompt("Input image size in pixels", "224"), 10);
+
+    runAction(async () => {
+      addCustomBackbone({ name: name.trim(), url: url.trim(), inputSize });
+    });
+  };
+
+  const locked = disabled || busy || !current;
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "12px" }}>
+      <h4 style={{ margin: 0 }}>Backbone</h4>
+      <select
+        value={current?.id || ""}
+        onChange={(e) => select(e.target.value)}
+        disabled={locked}
+        style={{ padding: "6px", fontSize: "0.9em" }}
+      >
+        {!current && <option value="">Loading...</option>}
+        {backbones.map(backbone => (
+          <option key={backbone.id} value={backbone.id}>{backbone.name}</option>
+        ))}
+      </select>
+      {current && (
+        <span style={{ color: "#aaa", fontSize: "0.85em" }}>{current.embeddingSize}-dimensional embeddings</span>
+      )}
+      {busy && <span style={{ color: "#aaa", fontSize: "0.85em" }}>Loading backbone...</span>}
+      <span style={{ flex: 1 }} />
+      <button onClick={addGraphModel} disabled={locked} style={{ ...buttonStyle, opacity: locked ? 0.5 : 1 }}>
+        ➕ Graph model
+      </button>
+      {error && <div style={{ width: "100%", color: "#ff6b6b", fontSize: "0.85em" }}>{error}</div>}
+    </div>
+  );
+}
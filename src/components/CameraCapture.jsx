@@ -1,11 +1,36 @@
 import React, { useRef, useState, useEffect } from "react";
 import { classifyFragment } from "../ai/classifier";
 import { getDepthEstimator } from "../ai/depthEstimator";
+import { importScanFile, getScanFormat, renderScanThumbnail } from "../import/scanImport";
+import { createFragmentRecord } from "../data/fragmentRecord";
 
-export default function CameraCapture({ onResult, modelsReady }) {
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error("Failed to read file"));
+    reader.readAsDataURL(file);
+  });
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load image"));
+    img.src = src;
+  });
+}
+
+/**
+ * `previousRecord` is the recording of the last capture; its location
+ * fields are carried over into the record of the next one
+ */
+export default function CameraCapture({ onResult, modelsReady, previousRecord = null }) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const fileInputRef = useRef(null);
+  const scanInputRef = useRef(null);
   const containerRef = useRef(null);
   
   const [streamStarted, setStreamStarted] = useState(false);
@@ -180,15 +205,18 @@ export default function CameraCapture({ onResult, modelsReady }) {
         throw new Error("Failed to load depth estimation model");
       });
 
-      const [classification, depthTensor] = await Promise.all([
+      const [classificationResult, depthTensor] = await Promise.all([
         classifyFragment(imgElement).catch(err => {
           console.error("Classification error:", err);
           return {
             fragmentType: "unknown",
             confidence: 0,
-            probabilities: { rim: 0, body: 0, base: 0 },
-            symmetry: "unknown",
-            curvature: "unknown"
+            probabilities: {},
+            wareType: "unknown",
+            wareConfidence: 0,
+            wareProbabilities: {},
+            // Flagged rather than passed off as a prediction
+            openSet: { status: "failed", reasons: [`classification failed: ${err.message}`] }
           };
         }),
         depthEstimator.estimateDepth(imgElement).catch(err => {
@@ -197,6 +225,7 @@ export default function CameraCapture({ onResult, modelsReady }) {
         })
       ]);
 
+      const { embedding = null, embeddingBackbone = null, ...classification } = classificationResult;
       console.log("✅ Classification result:", classification);
       console.log("✅ Depth map computed:", depthTensor.shape);
 
@@ -214,8 +243,11 @@ export default function CameraCapture({ onResult, modelsReady }) {
       onResult({
         image: dataUrl,
         classification,
+        embedding,
+        embeddingBackbone,
         depthMap: await depthTensor.array(),
         pointCloud,
+        record: createFragmentRecord(previousRecord),
         timestamp: Date.now()
       });
 
@@ -277,6 +309,69 @@ export default function CameraCapture({ onResult, modelsReady }) {
     reader.readAsDataURL(file);
   };
 
+  // Import a PLY/OBJ/STL scan, optionally with a photo of the sherd for classification
+  const importScan = async (event) => {
+    const files = [...(event.target.files || [])];
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    const scanFile = files.find(file => getScanFormat(file.name));
+    const photoFile = files.find(file => file.type.startsWith("image/"));
+
+    if (!scanFile) {
+      setError("Select a PLY, OBJ or STL scan (optionally together with a photo)");
+      return;
+    }
+
+    setProcessing(true);
+    setError(null);
+    setCameraStatus(`Importing ${scanFile.name}...`);
+
+    try {
+      const scan = await importScanFile(scanFile);
+
+      let image = null;
+      let classification = null;
+      let embedding = null;
+      let embeddingBackbone = null;
+
+      if (photoFile) {
+        image = await readFileAsDataURL(photoFile);
+        if (modelsReady) {
+          const img = await loadImage(image);
+          const result = await classifyFragment(img).catch(err => {
+            console.error("Classification error:", err);
+            return null;
+          });
+          if (result) {
+            ({ embedding, embeddingBackbone, ...classification } = result);
+          }
+        }
+      }
+
+      onResult({
+        image: image || renderScanThumbnail(scan.pointCloud, scan.pointColors),
+        classification,
+        embedding,
+        embeddingBackbone,
+        depthMap: null,
+        pointCloud: scan.pointCloud,
+        pointColors: scan.pointColors,
+        source: { ...scan.source, hasPhoto: !!photoFile },
+        record: createFragmentRecord(previousRecord),
+        timestamp: Date.now()
+      });
+
+      setCameraStatus(`Imported scan (${scan.pointCloud.length.toLocaleString()} points)`);
+    } catch (err) {
+      console.error("❌ Scan import error:", err);
+      setError(`Scan import failed: ${err.message}`);
+      setCameraStatus("Error during import");
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const stopCamera = () => {
     if (videoRef.current?.srcObject) {
       const tracks = videoRef.current.srcObject.getTracks();
@@ -555,6 +650,38 @@ export default function CameraCapture({ onResult, modelsReady }) {
             style={{ display: 'none' }}
             capture={isMobile ? 'environment' : undefined}
           />
+
+          <button
+            onClick={() => scanInputRef.current?.click()}
+            disabled={processing}
+            title="Import a PLY/OBJ/STL scan; select a photo along with it to classify the sherd"
+            style={{
+              padding: '0.65rem 1.25rem',
+              backgroundColor: '#555',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              fontSize: isMobile ? '0.9rem' : '0.85rem',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.5rem',
+              opacity: processing ? 0.7 : 1,
+              transition: 'all 0.2s',
+              flex: isMobile ? '1 1 100%' : '0 0 auto',
+              justifyContent: 'center'
+            }}
+          >
+            <span>🧊 Import 3D Scan</span>
+          </button>
+          <input
+            type="file"
+            ref={scanInputRef}
+            accept=".ply,.obj,.stl,image/*"
+            multiple
+            onChange={importScan}
+            style={{ display: 'none' }}
+          />
           
           {isMobile && streamStarted && (
             <button
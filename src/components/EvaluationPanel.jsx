@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import { getFragmentClassifier } from "../ai/classifier";
+import { evaluateClassifier } from "../ai/evaluation";
+import { loadTrainingData } from "../ai/trainingSet";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+const DIAGRAM_SIZE = 180;
+
+function percent(value) {
+  return value === null ? "–" : `${(value * 100).toFixed(0)}%`;
+}
+
+// Accuracy per confidence bin against the diagonal of perfect calibration
+function ReliabilityDiagram({ reliability, calibrated }) {
+  const barWidth = DIAGRAM_SIZE / reliability.bins.length;
+
+  const bars = (diagram, color, inset) => diagram.bins.map((bin, b) => bin.count > 0 && (
+    <rect
+      key={b}
+      x={b * barWidth + inset}
+      y={DIAGRAM_SIZE - bin.accuracy * DIAGRAM_SIZE}
+      width={barWidth - 2 * inset}
+      height={bin.accuracy * DIAGRAM_SIZE}
+      fill={color}
+    >
+      <title>
+        {`${percent(bin.lower)}–${percent(bin.upper)}: ${bin.count} images, accuracy ${percent(bin.accuracy)}, mean confidence ${percent(bin.confidence)}`}
+      </title>
+    </rect>
+  ));
+
+  return (
+    <div>
+      <svg width={DIAGRAM_SIZE} height={DIAGRAM_SIZE} style={{ backgroundColor: "#0a0a0a", borderRadius: "4px" }}>
+        {bars(reliability, "rgba(194, 160, 112, 0.6)", 1)}
+        {bars(calibrated, "rgba(33, 150, 243, 0.7)", barWidth * 0.3)}
+        <line x1="0" y1={DIAGRAM_SIZE} x2={DIAGRAM_SIZE} y2="0" stroke="#888" strokeDasharray="4 3" />
+      </svg>
+      <div style={{ fontSize: "0.75em", color: "#aaa", width: DIAGRAM_SIZE }}>
+        Confidence → accuracy per bin;{" "}
+        <span style={{ color: "#c2a070" }}>raw</span>,{" "}
+        <span style={{ color: "#2196f3" }}>calibrated</span>
+      </div>
+    </div>
+  );
+}
+
+function ConfusionTable({ report }) {
+  const cell = { padding: "3px 6px", textAlign: "right" };
+
+  return (
+    <table style={{ fontSize: "0.8em", borderCollapse: "collapse" }}>
+      <thead>
+        <tr style={{ color: "#aaa" }}>
+          <th style={{ ...cell, textAlign: "left" }}>actual ↓ / predicted →</th>
+          {report.labels.map(label => <th key={label} style={cell}>{label}</th>)}
+          <th style={cell}>Precision</th>
+          <th style={cell}>Recall</th>
+          <th style={cell}>F1</th>
+          <th style={cell}>n</th>
+        </tr>
+      </thead>
+      <tbody>
+        {report.labels.map((label, row) => {
+          const metrics = report.perClass[row];
+          return (
+            <tr key={label} style={{ borderTop: "1px solid #333" }}>
+              <td style={{ ...cell, textAlign: "left", color: "#aaa" }}>{label}</td>
+              {report.confusion[row].map((count, col) => (
+                <td
+                  key={col}
+                  style={{
+                    ...cell,
+                    color: count === 0 ? "#555" : row === col ? "#4caf50" : "#ff6b6b"
+                  }}
+                >
+                  {count}
+                </td>
+              ))}
+              <td style={cell}>{percent(metrics.precision)}</td>
+              <td style={cell}>{percent(metrics.recall)}</td>
+              <td style={cell}>{percent(metrics.f1)}</td>
+              <td style={cell}>{metrics.support}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default function EvaluationPanel({ samples, disabled = false }) {
+  const [head, setHead] = useState("type");
+  const [mode, setMode] = useState("holdout");
+  const [folds, setFolds] = useState(5);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const [currentTemperature, setCurrentTemperature] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runEvaluation = async () => {
+    setRunning(true);
+    setError(null);
+    setMessage(null);
+    setProgress(null);
+
+    try {
+      const classifier = await getFragmentClassifier();
+      const data = await loadTrainingData(
+        samples,
+        { labels: classifier.labels, wareLabels: classifier.wareLabels },
+        mode === "holdout"
+      );
+
+      setReport(await evaluateClassifier(classifier, data, {
+        head,
+        mode,
+        folds,
+        onProgress: setProgress
+      }));
+      setCurrentTemperature(classifier.heads[head].temperature);
+    } catch (err) {
+      console.error("Evaluation failed:", err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const applyCalibration = async () => {
+    setError(null);
+    try {
+      const classifier = await getFragmentClassifier();
+      await classifier.setTemperature(report.head, report.temperature);
+      setCurrentTemperature(report.temperature);
+      setMessage(`Confidences are now scaled with T = ${report.temperature.toFixed(2)}`);
+    } catch (err) {
+      console.error("Calibration failed:", err);
+      setError(err.message);
+    }
+  };
+
+  const selectStyle = { padding: "6px", fontSize: "0.9em" };
+
+  return (
+    <div style={{ marginTop: "16px", paddingTop: "12px", borderTop: "1px solid #444" }}>
+      <h4 style={{ margin: "0 0 8px 0" }}>Evaluation</h4>
+
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "12px" }}>
+        <select value={head} onChange={(e) => setHead(e.target.value)} disabled={running} style={selectStyle}>
+          <option value="type">Fragment type</option>
+          <option value="ware">Ware</option>
+        </select>
+        <select value={mode} onChange={(e) => setMode(e.target.value)} disabled={running} style={selectStyle}>
+          <option value="holdout">Held-out test images</option>
+          <option value="kfold">k-fold cross-validation</option>
+        </select>
+        {mode === "kfold" && (
+          <label style={{ fontSize: "0.9em" }}>
+            k{" "}
+            <input
+              type="number"
+              min="2"
+              max="20"
+              value={folds}
+              onChange={(e) => setFolds(Math.max(2, parseInt(e.target.value, 10) || 2))}
+              disabled={running}
+              style={{ width: "50px", padding: "4px" }}
+            />
+          </label>
+        )}
+        <button
+          onClick={runEvaluation}
+          disabled={disabled || running || !samples?.length}
+          style={{ ...buttonStyle, opacity: disabled || running || !samples?.length ? 0.5 : 1 }}
+        >
+          {running
+            ? (progress ? `Fold ${progress.fold}/${progress.folds}...` : "Evaluating...")
+            : "📊 Evaluate"}
+        </button>
+      </div>
+
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em", marginBottom: "8px" }}>{error}</div>}
+
+      {report && (
+        <div>
+          <div style={{ fontSize: "0.9em", marginBottom: "8px" }}>
+            <strong>{report.mode === "kfold" ? `${report.folds}-fold cross-validation` : "Held-out set"}</strong>
+            {" · "}{report.count} images
+            {" · "}accuracy {percent(report.accuracy)}
+            {" · "}macro F1 {percent(report.macroF1)}
+          </div>
+
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "24px", alignItems: "flex-start" }}>
+            <ConfusionTable report={report} />
+
+            <div>
+              <ReliabilityDiagram reliability={report.reliability} calibrated={report.calibratedReliability} />
+              <div style={{ fontSize: "0.8em", marginTop: "6px" }}>
+                ECE {report.reliability.ece.toFixed(3)} → {report.calibratedReliability.ece.toFixed(3)}
+                {" "}at T = {report.temperature.toFixed(2)}
+                {currentTemperature !== null && (
+                  <span style={{ color: "#aaa" }}> (in use: {currentTemperature.toFixed(2)})</span>
+                )}
+              </div>
+              <div style={{ fontSize: "0.75em", color: "#888", marginTop: "4px", maxWidth: DIAGRAM_SIZE }}>
+                Calibrated ECE: each half of the images scaled with T fitted on the other half
+              </div>
+              {report.mode === "holdout" ? (
+                <button onClick={applyCalibration} disabled={running} style={{ ...buttonStyle, marginTop: "6px" }}>
+                  🌡 Apply calibration
+                </button>
+              ) : (
+                <div style={{ fontSize: "0.75em", color: "#888", marginTop: "6px", maxWidth: DIAGRAM_SIZE }}>
+                  Calibrate on held-out images to change the displayed confidence
+                </div>
+              )}
+            </div>
+          </div>
+
+          {message && <div style={{ color: "#4caf50", fontSize: "0.85em", marginTop: "8px" }}>{message}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
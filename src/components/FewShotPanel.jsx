@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from "react";
+import { getFragmentClassifier } from "../ai/classifier";
+import { examplesFromSamples } from "../ai/trainingSet";
+import { getFragmentColor } from "./fragmentColors";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+/**
+ * Few-shot (k-NN) classification: the mode switch and the library of
+ * labelled embeddings it classifies against
+ */
+export default function FewShotPanel({ samples, labels, wareLabels, disabled = false }) {
+  const [mode, setMode] = useState(null);
+  const [library, setLibrary] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Read again when the samples change: the studio removes the entries of
+  // deleted and held-out samples from the library
+  useEffect(() => {
+    let cancelled = false;
+    getFragmentClassifier()
+      .then(classifier => {
+        if (cancelled) return;
+        setMode(classifier.mode);
+        setLibrary(classifier.library);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [samples]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const classifier = await getFragmentClassifier();
+      await action(classifier);
+      setLibrary(classifier.library);
+    } catch (err) {
+      console.error("Few-shot library action failed:", err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const changeMode = (next) =>
+    runAction(async (classifier) => {
+      classifier.setMode(next);
+      setMode(next);
+    });
+
+  const addLabelled = () =>
+    runAction(async (classifier) => {
+      const { added, relabelled, removed } = await examplesFromSamples(samples, classifier.library, { labels, wareLabels });
+      const removedCount = await classifier.removeSampleExamples(removed);
+      if (relabelled.length > 0) await classifier.updateExamples(relabelled);
+      if (added.length > 0) await classifier.addExamples(added);
+      setMessage(added.length + relabelled.length + removedCount > 0
+        ? `Added ${added.length} example${added.length === 1 ? "" : "s"}, updated ${relabelled.length}, removed ${removedCount}`
+        : "The library already holds every labelled training image");
+    });
+
+  const removeExample = (example) =>
+    runAction(classifier => classifier.removeExample(example.id));
+
+  const clearLibrary = () => {
+    if (!window.confirm("Remove every example from the few-shot library?")) return;
+    runAction(classifier => classifier.clearLibrary());
+  };
+
+  const locked = disabled || busy || mode === null;
+  const usable = library.filter(e => labels.includes(e.label) || wareLabels.includes(e.ware));
+
+  return (
+    <div style={{ marginTop: "16px", paddingTop: "12px", borderTop: "1px solid #444" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
+        <h4 style={{ margin: 0 }}>Few-shot examples</h4>
+        <span style={{ color: "#aaa", fontSize: "0.85em" }}>
+          {usable.length} of {library.length} examples match the current classes
+        </span>
+        <span style={{ flex: 1 }} />
+        <label style={{ fontSize: "0.9em" }}>
+          Classify with{" "}
+          <select
+            value={mode || "dense"}
+            onChange={(e) => changeMode(e.target.value)}
+            disabled={locked}
+            style={{ padding: "6px", fontSize: "0.9em" }}
+          >
+            <option value="dense">Trained classifier</option>
+            <option value="knn">Nearest examples (k-NN)</option>
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
+        <button
+          onClick={addLabelled}
+          disabled={locked || !samples?.length}
+          title="Held-out test images are left out"
+          style={{ ...buttonStyle, opacity: locked || !samples?.length ? 0.5 : 1 }}
+        >
+          📌 Add labelled images to library
+        </button>
+        <button
+          onClick={clearLibrary}
+          disabled={locked || library.length === 0}
+          style={{ ...buttonStyle, opacity: locked || library.length === 0 ? 0.5 : 1 }}
+        >
+          🗑 Clear library
+        </button>
+        {busy && <span style={{ color: "#aaa", fontSize: "0.85em" }}>Embedding...</span>}
+      </div>
+
+      {message && <div style={{ color: "#4caf50", fontSize: "0.85em", marginBottom: "8px" }}>{message}</div>}
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em", marginBottom: "8px" }}>{error}</div>}
+
+      {library.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", maxHeight: "180px", overflowY: "auto" }}>
+          {library.map(example => (
+            <div
+              key={example.id}
+              title={[example.label, example.ware].filter(Boolean).join(" · ")}
+              style={{ position: "relative", width: "64px", fontSize: "0.7em", textAlign: "center" }}
+            >
+              {example.thumbnail ? (
+                <img src={example.thumbnail} alt="Example" style={{ width: "64px", height: "64px", objectFit: "cover", borderRadius: "2px" }} />
+              ) : (
+                <div style={{ width: "64px", height: "64px", backgroundColor: "#222" }} />
+              )}
+              <div style={{ color: getFragmentColor(example.label), overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                {example.label || example.ware || "–"}
+              </div>
+              <button
+                onClick={() => removeExample(example)}
+                disabled={locked}
+                title="Remove from library"
+                style={{ position: "absolute", top: "2px", right: "2px", padding: "0 4px", fontSize: "0.9em" }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {mode === "knn" && usable.length === 0 && (
+        <div style={{ color: "#c2a070", fontSize: "0.85em", marginTop: "6px" }}>
+          The library has no examples of the current classes, so the trained classifier is used.
+        </div>
+      )}
+    </div>
+  );
+}
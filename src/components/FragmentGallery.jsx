@@ -0,0 +1,245 @@
+import React, { useMemo, useState } from "react";
+import FragmentRecordForm from "./FragmentRecordForm";
+import PointCloudExportControls from "./PointCloudExportControls";
+import JoinSuggestions from "./JoinSuggestions";
+import SimilarFragments from "./SimilarFragments";
+import { getFragmentColor } from "./fragmentColors";
+import { filterFragments, getDistinctValues, getFragmentRecord } from "../data/fragmentRecord";
+import { isExcludedFromReconstruction } from "../ai/openSet";
+
+const FILTER_FIELDS = [
+  { key: "siteCode", label: "All sites" },
+  { key: "trench", label: "All trenches" },
+  { key: "context", label: "All contexts" }
+];
+
+const controlStyle = {
+  padding: "6px",
+  fontSize: "0.9em"
+};
+
+export default function FragmentGallery({
+  fragments,
+  selectedFragment,
+  onSelect,
+  onUpdateFragment,
+  vessels = [],
+  onAssignVessel
+}) {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const filteredFragments = useMemo(
+    () => filterFragments(fragments, { query, filters }),
+    [fragments, query, filters]
+  );
+
+  const fragmentTypes = useMemo(() => {
+    const types = new Set(fragments.map(f => f.classification?.fragmentType || "unknown"));
+    return [...types].sort();
+  }, [fragments]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async (fragment) => {
+    setSaving(true);
+    try {
+      await onUpdateFragment(fragment);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isFiltered = query || Object.values(filters).some(Boolean);
+  const selectedIndex = selectedFragment ? fragments.indexOf(selectedFragment) : -1;
+
+  return (
+    <div style={{
+      border: "2px solid #444",
+      borderRadius: "8px",
+      padding: "16px",
+      backgroundColor: "#1a1a1a"
+    }}>
+      <h3 style={{ marginTop: 0 }}>
+        Fragment Gallery ({isFiltered ? `${filteredFragments.length} of ${fragments.length}` : fragments.length})
+      </h3>
+
+      {/* Search & filters */}
+      <div style={{
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "8px",
+        marginBottom: "12px"
+      }}>
+        <input
+          type="search"
+          placeholder="Search site, context, find no., notes..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          style={{ ...controlStyle, flex: "1 1 220px" }}
+        />
+
+        {FILTER_FIELDS.map(({ key, label }) => (
+          <select
+            key={key}
+            value={filters[key] || ""}
+            onChange={(e) => setFilter(key, e.target.value)}
+            style={controlStyle}
+          >
+            <option value="">{label}</option>
+            {getDistinctValues(fragments, key).map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        ))}
+
+        <select
+          value={filters.fragmentType || ""}
+          onChange={(e) => setFilter("fragmentType", e.target.value)}
+          style={controlStyle}
+        >
+          <option value="">All types</option>
+          {fragmentTypes.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+
+        {isFiltered && (
+          <button
+            onClick={() => { setQuery(""); setFilters({}); }}
+            style={controlStyle}
+          >
+            ✖ Reset
+          </button>
+        )}
+      </div>
+
+      <div style={{
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
+        gap: "12px"
+      }}>
+        {filteredFragments.map((fragment) => {
+          const record = getFragmentRecord(fragment);
+          const isSelected = fragment === selectedFragment;
+          const isExcluded = isExcludedFromReconstruction(fragment);
+
+          return (
+            <div
+              key={fragment.id || fragment.timestamp}
+              style={{
+                border: isSelected ? "1px solid #c2a070" : "1px solid #444",
+                borderRadius: "4px",
+                padding: "8px",
+                backgroundColor: "#222",
+                cursor: "pointer",
+                transition: "transform 0.2s",
+                opacity: isExcluded ? 0.6 : 1
+              }}
+              title={isExcluded ? "Rejected by the classifier; left out of the reconstruction" : undefined}
+              onClick={() => onSelect(fragment)}
+              onMouseEnter={(e) => e.currentTarget.style.transform = "scale(1.05)"}
+              onMouseLeave={(e) => e.currentTarget.style.transform = "scale(1)"}
+            >
+              <img
+                src={fragment.image}
+                alt={`Fragment ${fragments.indexOf(fragment) + 1}`}
+                style={{
+                  width: "100%",
+                  borderRadius: "2px",
+                  marginBottom: "4px"
+                }}
+              />
+              <div style={{
+                fontSize: "0.75em",
+                textAlign: "center",
+                color: getFragmentColor(fragment.classification?.fragmentType)
+              }}>
+                {isExcluded && "⚠️ "}{fragment.classification?.fragmentType}
+              </div>
+              {(record.findNumber || record.context) && (
+                <div style={{
+                  fontSize: "0.7em",
+                  textAlign: "center",
+                  color: "#aaa",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap"
+                }}>
+                  {[record.findNumber, record.context].filter(Boolean).join(" · ")}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {filteredFragments.length === 0 && (
+        <div style={{ padding: "20px", textAlign: "center", color: "#666" }}>
+          No fragments match the current search
+        </div>
+      )}
+
+      <JoinSuggestions
+        fragments={fragments}
+        selectedFragment={selectedFragment}
+        onSelect={onSelect}
+      />
+
+      {/* Record editor for the selected fragment */}
+      {selectedIndex >= 0 && (
+        <div style={{
+          marginTop: "16px",
+          paddingTop: "12px",
+          borderTop: "1px solid #444"
+        }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "12px", marginBottom: "8px" }}>
+            <h4 style={{ margin: 0 }}>
+              Fragment {selectedIndex + 1} record
+            </h4>
+            <label style={{ fontSize: "0.85em", color: "#aaa" }}>
+              Vessel:{" "}
+              <select
+                value={vessels.some(v => v.id === selectedFragment.vesselId) ? selectedFragment.vesselId : ""}
+                onChange={(e) => onAssignVessel(selectedFragment, e.target.value || null)}
+                disabled={vessels.length === 0}
+                style={{ padding: "4px", fontSize: "1em" }}
+              >
+                <option value="">Unassigned</option>
+                {vessels.map(vessel => (
+                  <option key={vessel.id} value={vessel.id}>{vessel.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <FragmentRecordForm
+            key={selectedFragment.id || selectedFragment.timestamp}
+            fragment={selectedFragment}
+            onSave={handleSave}
+            saving={saving}
+          />
+
+          <div style={{ marginTop: "12px" }}>
+            <PointCloudExportControls
+              key={selectedFragment.id || selectedFragment.timestamp}
+              fragment={selectedFragment}
+            />
+          </div>
+
+          <div style={{ marginTop: "12px" }}>
+            <SimilarFragments
+              key={selectedFragment.id || selectedFragment.timestamp}
+              fragment={selectedFragment}
+              fragments={fragments}
+              onSelect={onSelect}
+              onUpdateFragment={onUpdateFragment}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { RECORD_FIELDS, getFragmentRecord, normalizeRecord } from "../data/fragmentRecord";
+
+const inputStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "6px",
+  fontSize: "0.9em",
+  backgroundColor: "#111",
+  color: "#eee",
+  border: "1px solid #444",
+  borderRadius: "4px"
+};
+
+export default function FragmentRecordForm({ fragment, onSave, saving = false }) {
+  // Parent remounts the form (via key) when another fragment is selected
+  const [values, setValues] = useState(() => {
+    const record = getFragmentRecord(fragment);
+    const initial = {};
+    for (const field of RECORD_FIELDS) {
+      initial[field.key] = record[field.key] ?? "";
+    }
+    return initial;
+  });
+  const [dirty, setDirty] = useState(false);
+
+  const handleChange = (key, value) => {
+    setValues(prev => ({ ...prev, [key]: value }));
+    setDirty(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSave({ ...fragment, record: normalizeRecord(values) });
+    setDirty(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={{
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fill, minmax(160px, 1fr))",
+        gap: "8px",
+        fontSize: "0.85em"
+      }}>
+        {RECORD_FIELDS.map(field => (
+          <label
+            key={field.key}
+            style={{ gridColumn: field.type === "textarea" ? "1 / -1" : undefined }}
+          >
+            <span style={{ color: "#aaa" }}>{field.label}</span>
+            {field.type === "textarea" ? (
+              <textarea
+                value={values[field.key]}
+                onChange={(e) => handleChange(field.key, e.target.value)}
+                rows={3}
+                style={inputStyle}
+              />
+            ) : (
+              <input
+                type={field.type}
+                min={field.type === "number" ? 0 : undefined}
+                step={field.type === "number" ? "any" : undefined}
+                value={values[field.key]}
+                onChange={(e) => handleChange(field.key, e.target.value)}
+                style={inputStyle}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "flex-end", marginTop: "8px" }}>
+        <button
+          type="submit"
+          disabled={!dirty || saving}
+          style={{
+            padding: "6px 12px",
+            fontSize: "0.9em",
+            opacity: !dirty || saving ? 0.5 : 1
+          }}
+        >
+          {saving ? "Saving..." : "💾 Save record"}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useState } from "react";
+import { suggestJoins } from "../reconstruction/joinMatching";
+import { getFragmentRecord } from "../data/fragmentRecord";
+import { DEFAULT_MM_PER_UNIT } from "../reconstruction/units";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+function fragmentLabel(fragment, fragments) {
+  const record = getFragmentRecord(fragment);
+  const number = fragments.indexOf(fragment) + 1;
+  return record.findNumber ? `#${number} (${record.findNumber})` : `#${number}`;
+}
+
+export default function JoinSuggestions({ fragments, selectedFragment, onSelect }) {
+  // Results remember the fragment list they were computed for, so they
+  // disappear as soon as fragments are added, removed or edited
+  const [results, setResults] = useState(null);
+  const [matching, setMatching] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const current = results?.fragments === fragments ? results.joins : null;
+
+  const scanCount = fragments.filter(f => f.source?.type === "scan").length;
+
+  const runMatching = async () => {
+    setMatching(true);
+    setProgress(null);
+    setError(null);
+
+    try {
+      const joins = await suggestJoins(fragments, {
+        onProgress: (done, total) => setProgress(total > 0 ? done / total : null)
+      });
+      setResults({ fragments, joins });
+    } catch (err) {
+      console.error("Join matching failed:", err);
+      setError(err.message);
+    } finally {
+      setMatching(false);
+    }
+  };
+
+  const linkStyle = (fragment) => ({
+    background: "none",
+    border: "none",
+    padding: 0,
+    cursor: "pointer",
+    color: fragment === selectedFragment ? "#c2a070" : "#ddd",
+    textDecoration: "underline",
+    font: "inherit"
+  });
+
+  return (
+    <div style={{
+      marginTop: "16px",
+      paddingTop: "12px",
+      borderTop: "1px solid #444"
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "12px", marginBottom: "8px" }}>
+        <h4 style={{ margin: 0 }}>Join Suggestions</h4>
+        <button
+          onClick={runMatching}
+          disabled={matching || scanCount < 2}
+          style={{ ...buttonStyle, opacity: matching || scanCount < 2 ? 0.5 : 1 }}
+        >
+          {matching
+            ? `Matching...${progress !== null ? ` ${Math.round(progress * 100)}%` : ""}`
+            : "🧩 Suggest joins"}
+        </button>
+      </div>
+
+      <div style={{ color: "#666", fontSize: "0.85em", marginBottom: "8px" }}>
+        Compares the break edges of imported scans ({scanCount} of {fragments.length} fragments);
+        photo captures have no measured outline.
+      </div>
+
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em" }}>{error}</div>}
+
+      {current && current.length === 0 && (
+        <div style={{ color: "#666", fontSize: "0.85em" }}>
+          No likely joins found between these fragments
+        </div>
+      )}
+
+      {current && current.length > 0 && (
+        <table style={{ width: "100%", fontSize: "0.85em", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ color: "#aaa", textAlign: "left" }}>
+              <th>Fragments</th>
+              <th>Score</th>
+              <th>Edge fit</th>
+              <th>Thickness Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {current.map(join => (
+              <tr
+                key={`${join.a.id || join.a.timestamp}-${join.b.id || join.b.timestamp}`}
+                style={{ borderTop: "1px solid #333" }}
+              >
+                <td style={{ padding: "4px 0" }}>
+                  <button onClick={() => onSelect(join.a)} style={linkStyle(join.a)}>
+                    {fragmentLabel(join.a, fragments)}
+                  </button>
+                  {" ↔ "}
+                  <button onClick={() => onSelect(join.b)} style={linkStyle(join.b)}>
+                    {fragmentLabel(join.b, fragments)}
+                  </button>
+                </td>
+                <td>
+                  <div style={{
+                    width: "60px",
+                    height: "6px",
+                    backgroundColor: "#333",
+                    borderRadius: "3px",
+                    display: "inline-block",
+                    marginRight: "6px"
+                  }}>
+                    <div style={{
+                      width: `${join.score * 100}%`,
+                      height: "100%",
+                      backgroundColor: "#c2a070",
+                      borderRadius: "3px"
+                    }} />
+                  </div>
+                  {(join.score * 100).toFixed(0)}%
+                </td>
+                <td title="RMS tangent deviation along the shared edge">
+                  {(join.curveError * 180 / Math.PI).toFixed(1)}°
+                </td>
+                <td>
+                  {join.thicknessDifference !== null
+                    ? `${(join.thicknessDifference * DEFAULT_MM_PER_UNIT).toFixed(1)} mm`
+                    : "–"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from "react";
+import { getFragmentClassifier } from "../ai/classifier";
+import {
+  listModelVersions,
+  getActiveModelId,
+  saveModelVersion,
+  activateModelVersion,
+  deleteModelVersion,
+  exportModelVersion,
+  importModelFile,
+  versionBackbone,
+  DEFAULT_MODEL_NAME
+} from "../ai/modelRegistry";
+import { downloadFile, makeFileName } from "../export/download";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+const smallButtonStyle = {
+  padding: "2px 8px",
+  fontSize: "0.85em"
+};
+
+function trainingSummary(training) {
+  if (!training) return "–";
+  const accuracy = training.finalLogs?.type?.acc;
+  return [
+    `${training.images} images`,
+    `${training.epochs} epochs`,
+    training.fineTune ? `backbone ${training.fineTune.blocks} blocks` : null,
+    Number.isFinite(accuracy) ? `acc ${(accuracy * 100).toFixed(0)}%` : null
+  ].filter(Boolean).join(" · ");
+}
+
+/**
+ * Lists classifier versions; `revision` changes whenever the studio saved
+ * or restored a version, so the list is reloaded
+ */
+export default function ModelRegistryPanel({ revision = 0, onActivated, disabled = false }) {
+  const [versions, setVersions] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listModelVersions()
+      .then(list => {
+        if (cancelled) return;
+        setVersions(list);
+        setActiveId(getActiveModelId());
+      })
+      .catch(err => {
+        console.error("Failed to list model versions:", err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [revision, reloads]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setReloads(n => n + 1);
+    } catch (err) {
+      console.error("Model registry action failed:", err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const active = versions?.find(v => v.id === activeId);
+
+  const saveCurrent = () => {
+    const name = window.prompt("Model name", active?.name || DEFAULT_MODEL_NAME);
+    if (!name?.trim()) return;
+
+    runAction(async () => {
+      const classifier = await getFragmentClassifier();
+      await saveModelVersion(classifier, { name: name.trim(), source: "saved" });
+    });
+  };
+
+  const activate = (version) => {
+    if (!window.confirm(`Classify with "${version.name}" v${version.version}? Changes to the current classifier that were not saved as a version are lost.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      const classifier = await getFragmentClassifier();
+      await activateModelVersion(classifier, version.id);
+      if (onActivated) onActivated(version);
+    });
+  };
+
+  const download = (version) =>
+    runAction(async () => {
+      const blob = await exportModelVersion(version.id);
+      downloadFile(blob, makeFileName(`${version.name}-v${version.version}`, "json"));
+    });
+
+  const remove = (version) => {
+    if (!window.confirm(`Delete "${version.name}" v${version.version}?`)) return;
+    runAction(() => deleteModelVersion(version.id));
+  };
+
+  const importFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    runAction(() => importModelFile(file));
+  };
+
+  const locked = disabled || busy;
+  const cell = { padding: "4px 6px", textAlign: "left" };
+
+  return (
+    <div style={{ marginBottom: "16px" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
+        <h4 style={{ margin: 0 }}>Model versions</h4>
+        <span style={{ color: "#aaa", fontSize: "0.85em" }}>
+          {active ? `Using ${active.name} v${active.version}` : "Current classifier is not saved as a version"}
+        </span>
+        <span style={{ flex: 1 }} />
+        <button onClick={saveCurrent} disabled={locked} style={{ ...buttonStyle, opacity: locked ? 0.5 : 1 }}>
+          💾 Save current as version
+        </button>
+        <label style={{ ...buttonStyle, border: "1px solid #666", borderRadius: "4px", cursor: locked ? "default" : "pointer", opacity: locked ? 0.5 : 1 }}>
+          📥 Import
+          <input type="file" accept=".json,application/json" onChange={importFile} disabled={locked} style={{ display: "none" }} />
+        </label>
+      </div>
+
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em", marginBottom: "8px" }}>{error}</div>}
+
+      {versions && versions.length > 0 && (
+        <table style={{ width: "100%", fontSize: "0.85em", borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ color: "#aaa" }}>
+              <th style={cell}>Model</th>
+              <th style={cell}>Created</th>
+              <th style={cell}>Classes</th>
+              <th style={cell}>Backbone</th>
+              <th style={cell}>Training</th>
+              <th style={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map(version => (
+              <tr key={version.id} style={{ borderTop: "1px solid #333" }}>
+                <td style={cell}>
+                  <span style={{ color: version.id === activeId ? "#c2a070" : undefined }}>
+                    {version.name} v{version.version}
+                  </span>
+                  {version.source === "imported" && (
+                    <span style={{ color: "#888" }} title={version.importedFrom?.fileName}> (imported)</span>
+                  )}
+                </td>
+                <td style={cell}>{new Date(version.createdAt).toLocaleString()}</td>
+                <td style={cell} title={`Type: ${version.heads.type.labels.join(", ")}\nWare: ${version.heads.ware.labels.join(", ")}`}>
+                  {version.heads.type.labels.length} types · {version.heads.ware.labels.length} wares
+                </td>
+                <td style={cell}>
+                  {versionBackbone(version).name}
+                  {version.backbone?.fineTuned && <span style={{ color: "#888" }}> (fine-tuned)</span>}
+                </td>
+                <td style={cell}>{trainingSummary(version.training)}</td>
+                <td style={{ ...cell, whiteSpace: "nowrap", textAlign: "right" }}>
+                  {version.id === activeId ? (
+                    <span style={{ color: "#c2a070", marginRight: "6px" }}>● active</span>
+                  ) : (
+                    <button onClick={() => activate(version)} disabled={locked} style={smallButtonStyle}>
+                      Use
+                    </button>
+                  )}
+                  {" "}
+                  <button onClick={() => download(version)} disabled={locked} title="Download" style={smallButtonStyle}>
+                    ⬇️
+                  </button>
+                  {" "}
+                  <button
+                    onClick={() => remove(version)}
+                    disabled={locked || version.id === activeId}
+                    title="Delete"
+                    style={{ ...smallButtonStyle, opacity: version.id === activeId ? 0.3 : 1 }}
+                  >
+                    🗑
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {versions && versions.length === 0 && (
+        <div style={{ color: "#666", fontSize: "0.85em" }}>
+          No saved versions yet. Each training run is saved as a new version.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useState } from "react";
+import { POINT_CLOUD_FORMATS, exportFragmentPointCloud } from "../export/pointCloudExport";
+import { downloadFile, makeFileName } from "../export/download";
+import { getFragmentRecord } from "../data/fragmentRecord";
+
+export default function PointCloudExportControls({ fragment }) {
+  const [format, setFormat] = useState("ply-binary");
+  const [includeColor, setIncludeColor] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const pointCount = fragment.pointCloud?.length || 0;
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const { data, extension, mimeType } = await exportFragmentPointCloud(fragment, format, { includeColor });
+      const record = getFragmentRecord(fragment);
+      const baseName = record.findNumber ? `fragment-${record.findNumber}` : `fragment-${fragment.timestamp}`;
+      downloadFile(data, makeFileName(baseName, extension), mimeType);
+    } catch (err) {
+      console.error("Point cloud export failed:", err);
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div style={{
+      display: "flex",
+      flexWrap: "wrap",
+      alignItems: "center",
+      gap: "8px",
+      fontSize: "0.85em"
+    }}>
+      <span style={{ color: "#aaa" }}>Point cloud ({pointCount.toLocaleString()} pts):</span>
+
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        style={{ padding: "4px", fontSize: "0.95em" }}
+      >
+        {Object.entries(POINT_CLOUD_FORMATS).map(([key, spec]) => (
+          <option key={key} value={key}>{spec.label}</option>
+        ))}
+      </select>
+
+      <label>
+        <input
+          type="checkbox"
+          checked={includeColor}
+          onChange={(e) => setIncludeColor(e.target.checked)}
+        />{" "}
+        Colour
+      </label>
+
+      <button
+        onClick={handleExport}
+        disabled={exporting || pointCount === 0}
+        style={{ padding: "4px 10px", fontSize: "0.95em", opacity: exporting || pointCount === 0 ? 0.5 : 1 }}
+      >
+        {exporting ? "Exporting..." : "⬇ Download"}
+      </button>
+
+      {error && <span style={{ color: "#ff6b6b" }}>{error}</span>}
+    </div>
+  );
+}
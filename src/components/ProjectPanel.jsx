@@ -0,0 +1,80 @@
+import React from "react";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+export default function ProjectPanel({
+  projects,
+  activeProject,
+  onOpen,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  busy = false
+}) {
+  const handleCreate = () => {
+    const name = window.prompt("Project name", "New project");
+    if (name?.trim()) onCreate(name.trim());
+  };
+
+  const handleRename = () => {
+    const name = window.prompt("Rename project", activeProject?.name || "");
+    if (name?.trim()) onRename(activeProject.id, name.trim());
+  };
+
+  const handleDuplicate = () => {
+    const name = window.prompt("Name for the copy", `${activeProject?.name} (copy)`);
+    if (name?.trim()) onDuplicate(activeProject.id, name.trim());
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete project "${activeProject?.name}" and all its fragments?`)) {
+      onDelete(activeProject.id);
+    }
+  };
+
+  return (
+    <div style={{
+      display: "flex",
+      flexWrap: "wrap",
+      alignItems: "center",
+      gap: "8px",
+      border: "2px solid #444",
+      borderRadius: "8px",
+      padding: "12px 16px",
+      backgroundColor: "#1a1a1a",
+      marginBottom: "20px"
+    }}>
+      <strong style={{ marginRight: "4px" }}>Project:</strong>
+
+      <select
+        value={activeProject?.id || ""}
+        onChange={(e) => onOpen(e.target.value)}
+        disabled={busy || projects.length === 0}
+        style={{ padding: "6px", fontSize: "0.9em", minWidth: "180px" }}
+      >
+        {projects.map(project => (
+          <option key={project.id} value={project.id}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+
+      <button onClick={handleCreate} disabled={busy} style={buttonStyle}>
+        ➕ New
+      </button>
+      <button onClick={handleRename} disabled={busy || !activeProject} style={buttonStyle}>
+        ✏️ Rename
+      </button>
+      <button onClick={handleDuplicate} disabled={busy || !activeProject} style={buttonStyle}>
+        📄 Duplicate
+      </button>
+      <button onClick={handleDelete} disabled={busy || !activeProject} style={buttonStyle}>
+        🗑 Delete
+      </button>
+    </div>
+  );
+}
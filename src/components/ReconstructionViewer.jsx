@@ -2,6 +2,30 @@ import React, { useRef, useEffect, useState } from "react";
 import { Canvas, useFrame } from "@react-three/fiber";
 import { OrbitControls, Grid, Environment, PerspectiveCamera } from "@react-three/drei";
 import * as THREE from "three";
+import { exportVesselGLTF } from "../export/gltfExport";
+import { buildSolid, writeBinarySTL, writeOBJ } from "../export/solidExport";
+import { DEFAULT_MM_PER_UNIT } from "../reconstruction/units";
+import { downloadFile, makeFileName } from "../export/download";
+
+const toolbarButtonStyle = {
+  padding: "4px 10px",
+  fontSize: "0.8em",
+  backgroundColor: "rgba(0, 0, 0, 0.7)",
+  color: "#fff",
+  border: "1px solid #555",
+  borderRadius: "4px",
+  cursor: "pointer"
+};
+
+const toolbarInputStyle = {
+  width: "52px",
+  padding: "3px 4px",
+  fontSize: "0.8em",
+  backgroundColor: "rgba(0, 0, 0, 0.7)",
+  color: "#fff",
+  border: "1px solid #555",
+  borderRadius: "4px"
+};
 
 function PotteryMesh({ mesh }) {
   const meshRef = useRef();
@@ -181,10 +205,51 @@ function Scene({ mesh, showPointCloud, pointCloud }) {
   );
 }
 
-export default function ReconstructionViewer({ mesh, pointCloud = null, showPointCloud = false }) {
+export default function ReconstructionViewer({ mesh, pointCloud = null, showPointCloud = false, exportName = "archia-vessel", exportExtras = {} }) {
   const [stats, setStats] = useState(null);
   const [contextLost, setContextLost] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [wallThickness, setWallThickness] = useState(4);
+  const [mmPerUnit, setMmPerUnit] = useState(DEFAULT_MM_PER_UNIT);
+
+  // An empty or non-positive scale would write a degenerate solid
+  const scale = parseFloat(mmPerUnit);
+  const scaleValid = Number.isFinite(scale) && scale > 0;
+
+  const handlePrintExport = (format) => {
+    setExportError(null);
+    try {
+      const solid = buildSolid(mesh, {
+        wallThickness: parseFloat(wallThickness),
+        mmPerUnit: scale
+      });
+
+      if (format === "stl") {
+        downloadFile(writeBinarySTL(solid), makeFileName(exportName, "stl"), "model/stl");
+      } else {
+        downloadFile(writeOBJ(solid), makeFileName(exportName, "obj"), "model/obj");
+      }
+    } catch (err) {
+      console.error("Print export failed:", err);
+      setExportError(err.message);
+    }
+  };
+
+  const handleExport = async (binary) => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const blob = await exportVesselGLTF(mesh, { binary, extras: exportExtras });
+      downloadFile(blob, makeFileName(exportName, binary ? "glb" : "gltf"));
+    } catch (err) {
+      console.error("Export failed:", err);
+      setExportError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   useEffect(() => {
     if (mesh) {
@@ -295,6 +360,95 @@ export default function ReconstructionViewer({ mesh, pointCloud = null, showPoin
         <Scene mesh={mesh} showPointCloud={showPointCloud} pointCloud={pointCloud} />
       </Canvas>
 
+      {/* Export toolbar */}
+      {mesh && !contextLost && (
+        <div style={{
+          position: "absolute",
+          top: "10px",
+          right: "10px",
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "flex-end",
+          gap: "6px"
+        }}>
+          <div style={{ display: "flex", gap: "6px" }}>
+            <button
+              onClick={() => handleExport(true)}
+              disabled={exporting}
+              style={toolbarButtonStyle}
+              title="Download as binary glTF (.glb)"
+            >
+              ⬇ GLB
+            </button>
+            <button
+              onClick={() => handleExport(false)}
+              disabled={exporting}
+              style={toolbarButtonStyle}
+              title="Download as glTF JSON (.gltf)"
+            >
+              ⬇ glTF
+            </button>
+          </div>
+          <div style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            fontSize: "0.8em",
+            color: "#ccc"
+          }}>
+            <label title="Wall thickness of the printable solid">
+              Wall{" "}
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={wallThickness}
+                onChange={(e) => setWallThickness(e.target.value)}
+                style={toolbarInputStyle}
+              />{" "}mm
+            </label>
+            <label title="Millimetres per reconstruction unit">
+              Scale{" "}
+              <input
+                type="number"
+                min="0.1"
+                step="0.5"
+                value={mmPerUnit}
+                onChange={(e) => setMmPerUnit(e.target.value)}
+                style={toolbarInputStyle}
+              />{" "}mm/u
+            </label>
+            <button
+              onClick={() => handlePrintExport("stl")}
+              disabled={!scaleValid}
+              style={toolbarButtonStyle}
+              title={scaleValid ? "Download a closed solid for 3D printing (binary STL, mm)" : "Enter a positive scale first"}
+            >
+              ⬇ STL
+            </button>
+            <button
+              onClick={() => handlePrintExport("obj")}
+              disabled={!scaleValid}
+              style={toolbarButtonStyle}
+              title={scaleValid ? "Download a closed solid for 3D printing (OBJ, mm)" : "Enter a positive scale first"}
+            >
+              ⬇ OBJ
+            </button>
+          </div>
+          {exportError && (
+            <div style={{
+              backgroundColor: "rgba(0, 0, 0, 0.7)",
+              color: "#ff6b6b",
+              padding: "4px 8px",
+              borderRadius: "4px",
+              fontSize: "0.75em"
+            }}>
+              Export failed: {exportError}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Stats overlay */}
       {stats && !contextLost && (
         <div style={{
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useRef } from "react";
+import { getFragmentClassifier } from "../ai/classifier";
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load fragment image"));
+    img.src = src;
+  });
+}
+
+// Transparent → red → yellow as saliency rises
+function heatColor(value) {
+  return [
+    255,
+    Math.round(255 * Math.max(0, value * 2 - 1)),
+    0,
+    Math.round(200 * Math.min(1, value * 1.5))
+  ];
+}
+
+/**
+ * Captured photo with the classifier's saliency heatmap overlaid, to show
+ * whether a prediction came from the sherd or from the background.
+ * Give it a `key` per fragment: the heatmap is computed once per mount.
+ */
+export default function SaliencyImage({ image, label = null, enabled = false, alt = "Captured fragment" }) {
+  const [heatmap, setHeatmap] = useState(null);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || heatmap || error) return;
+    let cancelled = false;
+
+    async function compute() {
+      try {
+        const [classifier, img] = await Promise.all([getFragmentClassifier(), loadImage(image)]);
+        const result = await classifier.saliency(img, { label });
+        if (!cancelled) setHeatmap(result);
+      } catch (err) {
+        console.error("Saliency failed:", err);
+        if (!cancelled) setError(err.message);
+      }
+    }
+
+    compute();
+    return () => { cancelled = true; };
+  }, [enabled, heatmap, error, image, label]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !heatmap) return;
+
+    canvas.width = heatmap.width;
+    canvas.height = heatmap.height;
+    const ctx = canvas.getContext("2d");
+    const pixels = ctx.createImageData(heatmap.width, heatmap.height);
+    heatmap.data.forEach((value, i) => {
+      pixels.data.set(heatColor(value), i * 4);
+    });
+    ctx.putImageData(pixels, 0, 0);
+  }, [heatmap, enabled]);
+
+  const showOverlay = enabled && heatmap;
+
+  return (
+    <div style={{ marginBottom: "12px" }}>
+      <div style={{ position: "relative" }}>
+        <img
+          src={image}
+          alt={alt}
+          style={{ width: "100%", borderRadius: "4px", display: "block" }}
+        />
+        {showOverlay && (
+          // The network sees the photo squeezed to 224×224, so stretching
+          // the map back over the photo lines it up
+          <canvas
+            ref={canvasRef}
+            style={{
+              position: "absolute",
+              inset: 0,
+              width: "100%",
+              height: "100%",
+              borderRadius: "4px",
+              pointerEvents: "none"
+            }}
+          />
+        )}
+      </div>
+
+      {enabled && (
+        <div style={{ fontSize: "0.8em", color: error ? "#ff6b6b" : "#aaa", marginTop: "4px" }}>
+          {error
+            ? `Saliency failed: ${error}`
+            : heatmap
+              ? `Highlighted: regions that drove "${heatmap.label}"`
+              : "Computing saliency..."}
+        </div>
+      )}
+    </div>
+  );
+}
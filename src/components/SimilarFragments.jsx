@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { ensureSimilarityFeatures, findSimilarFragments } from "../ai/similarity";
+import { getFragmentRecord } from "../data/fragmentRecord";
+
+const MAX_RESULTS = 8;
+
+function percent(value) {
+  return value === null ? "–" : `${(value * 100).toFixed(0)}%`;
+}
+
+export default function SimilarFragments({ fragment, fragments, onSelect, onUpdateFragment }) {
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = async () => {
+    setSearching(true);
+    setError(null);
+
+    try {
+      // Fragments captured before embeddings were kept get them now
+      const prepared = [];
+      for (const candidate of fragments) {
+        const updated = await ensureSimilarityFeatures(candidate);
+        if (updated !== candidate) await onUpdateFragment(updated);
+        prepared.push(updated);
+      }
+
+      const key = f => f.id || f.timestamp;
+      const reference = prepared.find(f => key(f) === key(fragment)) || fragment;
+      setResults(findSimilarFragments(reference, prepared).slice(0, MAX_RESULTS));
+    } catch (err) {
+      console.error("Similarity search failed:", err);
+      setError(err.message);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={runSearch}
+        disabled={searching || fragments.length < 2}
+        style={{ padding: "4px 10px", fontSize: "0.85em", opacity: searching || fragments.length < 2 ? 0.5 : 1 }}
+      >
+        {searching ? "Searching..." : "🔍 Find similar sherds"}
+      </button>
+
+      {error && <span style={{ color: "#ff6b6b", fontSize: "0.85em", marginLeft: "8px" }}>{error}</span>}
+
+      {results && results.length === 0 && (
+        <div style={{ color: "#666", fontSize: "0.85em", marginTop: "8px" }}>
+          No other fragments have a photo or colour data to compare
+        </div>
+      )}
+
+      {results && results.length > 0 && (
+        <div style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(90px, 1fr))",
+          gap: "8px",
+          marginTop: "8px"
+        }}>
+          {results.map(({ fragment: match, score, embeddingSimilarity, colorSimilarity }) => {
+            const record = getFragmentRecord(match);
+            return (
+              <div
+                key={match.id || match.timestamp}
+                onClick={() => onSelect(match)}
+                title={`Appearance ${percent(embeddingSimilarity)} · Colour ${percent(colorSimilarity)}`}
+                style={{
+                  border: "1px solid #444",
+                  borderRadius: "4px",
+                  padding: "4px",
+                  backgroundColor: "#222",
+                  cursor: "pointer",
+                  fontSize: "0.75em",
+                  textAlign: "center"
+                }}
+              >
+                <img
+                  src={match.image}
+                  alt={`Fragment ${fragments.indexOf(match) + 1}`}
+                  style={{ width: "100%", borderRadius: "2px" }}
+                />
+                <div style={{ color: "#c2a070" }}>{percent(score)}</div>
+                <div style={{ color: "#aaa", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                  {record.findNumber || `#${fragments.indexOf(match) + 1}`}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
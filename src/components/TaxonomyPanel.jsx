@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from "react";
+import { getFragmentClassifier } from "../ai/classifier";
+import { normalizeLabels, sameLabels } from "../ai/taxonomy";
+import { getFragmentColor } from "./fragmentColors";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+const LABEL_SETS = [
+  { head: "type", title: "Fragment classes", example: "rim, body, base, handle, neck, spout, lid, decorated" },
+  { head: "ware", title: "Ware classes", example: "coarse ware, fine ware, slipped, glazed" }
+];
+
+function LabelSetEditor({ title, example, labels, onSave }) {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveLabels = async () => {
+    setError(null);
+
+    let next;
+    try {
+      next = normalizeLabels(draft.split(","));
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (sameLabels(next, labels)) {
+      setDraft(null);
+      return;
+    }
+    if (!window.confirm("Changing the classes resets the classifier output layer. It has to be retrained before predictions are useful. Continue?")) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(next);
+      setDraft(null);
+    } catch (err) {
+      console.error("Failed to change classes:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: "8px" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px" }}>
+        <strong style={{ marginRight: "4px", minWidth: "130px" }}>{title}:</strong>
+
+        {draft === null ? (
+          <>
+            {(labels || []).map(label => (
+              <span
+                key={label}
+                style={{
+                  padding: "2px 8px",
+                  borderRadius: "10px",
+                  fontSize: "0.85em",
+                  border: `1px solid ${getFragmentColor(label)}`,
+                  color: getFragmentColor(label)
+                }}
+              >
+                {label}
+              </span>
+            ))}
+            <button
+              onClick={() => setDraft(labels.join(", "))}
+              disabled={!labels}
+              style={{ ...buttonStyle, opacity: labels ? 1 : 0.5 }}
+            >
+              ✏️ Edit
+            </button>
+          </>
+        ) : (
+          <>
+            <input
+              type="text"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={example}
+              disabled={saving}
+              style={{ padding: "6px", fontSize: "0.9em", flex: 1, minWidth: "240px" }}
+            />
+            <button onClick={saveLabels} disabled={saving} style={buttonStyle}>
+              {saving ? "Saving..." : "💾 Save"}
+            </button>
+            <button onClick={() => { setDraft(null); setError(null); }} disabled={saving} style={buttonStyle}>
+              Cancel
+            </button>
+          </>
+        )}
+      </div>
+
+      {draft !== null && (
+        <div style={{ color: "#888", fontSize: "0.8em", marginTop: "6px" }}>
+          Comma-separated, e.g. {example}
+        </div>
+      )}
+
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em", marginTop: "6px" }}>{error}</div>}
+    </div>
+  );
+}
+
+export default function TaxonomyPanel({ onChange = null }) {
+  const [labelSets, setLabelSets] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getFragmentClassifier()
+      .then(classifier => {
+        if (cancelled) return;
+        const sets = { type: classifier.labels, ware: classifier.wareLabels };
+        setLabelSets(sets);
+        if (onChange) onChange(sets);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [onChange]);
+
+  const saveLabels = async (head, labels) => {
+    const classifier = await getFragmentClassifier();
+    const saved = await classifier.setLabels(labels, head);
+    const sets = { ...labelSets, [head]: saved };
+    setLabelSets(sets);
+    if (onChange) onChange(sets);
+  };
+
+  return (
+    <div style={{
+      border: "2px solid #444",
+      borderRadius: "8px",
+      padding: "12px 16px",
+      backgroundColor: "#1a1a1a",
+      marginBottom: "24px"
+    }}>
+      {LABEL_SETS.map(({ head, title, example }) => (
+        <LabelSetEditor
+          key={head}
+          title={title}
+          example={example}
+          labels={labelSets?.[head] || null}
+          onSave={labels => saveLabels(head, labels)}
+        />
+      ))}
+
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em" }}>{error}</div>}
+    </div>
+  );
+}
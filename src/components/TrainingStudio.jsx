@@ -0,0 +1,560 @@
+import React, { useState, useEffect } from "react";
+import TaxonomyPanel from "./TaxonomyPanel";
+import EvaluationPanel from "./EvaluationPanel";
+import ModelRegistryPanel from "./ModelRegistryPanel";
+import BackbonePanel from "./BackbonePanel";
+import FewShotPanel from "./FewShotPanel";
+import { getFragmentColor } from "./fragmentColors";
+import { getFragmentClassifier } from "../ai/classifier";
+import { DEFAULT_AUGMENTATION } from "../ai/augmentation";
+import { LR_SCHEDULES } from "../ai/trainingSchedule";
+import {
+  samplesFromFiles,
+  samplesFromFragments,
+  loadTrainingData,
+  chooseHeldOut,
+  countLabels
+} from "../ai/trainingSet";
+import { saveModelVersion, restoreParentVersion } from "../ai/modelRegistry";
+import { getFragmentStore } from "../data/fragmentStore";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+const HEAD_TITLES = { type: "Fragment type", ware: "Ware" };
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 110;
+
+// Line chart of per-epoch training logs, dashed lines for validation
+function TrainingChart({ title, history, keys, maxValue = null }) {
+  const values = history.flatMap(entry => keys.map(k => entry[k.key]).filter(Number.isFinite));
+  const top = maxValue ?? Math.max(...values, 1e-6);
+  const epochs = Math.max(history.length - 1, 1);
+
+  const pointsFor = (key) => history
+    .filter(entry => Number.isFinite(entry[key]))
+    .map(entry => {
+      const x = (entry.epoch / epochs) * CHART_WIDTH;
+      const y = CHART_HEIGHT - (Math.min(entry[key], top) / top) * CHART_HEIGHT;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+  const last = history[history.length - 1];
+
+  return (
+    <div>
+      <div style={{ fontSize: "0.8em", color: "#aaa", marginBottom: "4px" }}>
+        {title}
+        {last && keys.map(k => (
+          <span key={k.key} style={{ color: k.color, marginLeft: "8px" }}>
+            {k.label} {Number.isFinite(last[k.key]) ? last[k.key].toFixed(3) : "–"}
+          </span>
+        ))}
+      </div>
+      <svg
+        width={CHART_WIDTH}
+        height={CHART_HEIGHT}
+        style={{ backgroundColor: "#0a0a0a", borderRadius: "4px", overflow: "visible" }}
+      >
+        {keys.map(k => (
+          <polyline
+            key={k.key}
+            points={pointsFor(k.key)}
+            fill="none"
+            stroke={k.color}
+            strokeWidth="2"
+            strokeDasharray={k.key.startsWith("val_") ? "4 3" : undefined}
+          />
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+function ClassCounts({ samples, field, labels }) {
+  const counts = countLabels(samples, field, labels);
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", fontSize: "0.8em" }}>
+      {labels.map(label => (
+        <span key={label} style={{ color: counts[label] > 0 ? getFragmentColor(label) : "#666" }}>
+          {label}: {counts[label]}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default function TrainingStudio({ fragments, onClose }) {
+  const [labelSets, setLabelSets] = useState(null);
+  const [samples, setSamples] = useState(null);
+  const [bulkLabel, setBulkLabel] = useState("");
+  const [bulkWare, setBulkWare] = useState("");
+  const [epochs, setEpochs] = useState(20);
+  const [augment, setAugment] = useState(true);
+  const [copies, setCopies] = useState(DEFAULT_AUGMENTATION.copies);
+  const [fineTune, setFineTune] = useState(false);
+  const [fineTuneBlocks, setFineTuneBlocks] = useState(2);
+  const [schedule, setSchedule] = useState("constant");
+  const [earlyStopping, setEarlyStopping] = useState(true);
+  const [patience, setPatience] = useState(5);
+  const [busy, setBusy] = useState(null);
+  const [training, setTraining] = useState(false);
+  const [curves, setCurves] = useState({});
+  const [canRollback, setCanRollback] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  // Bumped when the classifier is replaced, so label sets and the registry reload
+  const [modelRevision, setModelRevision] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        const [stored, classifier] = await Promise.all([
+          getFragmentStore().listTrainingSamples(),
+          getFragmentClassifier()
+        ]);
+        const backup = await classifier.hasBackup();
+        if (cancelled) return;
+        setSamples(stored);
+        setCanRollback(backup);
+      } catch (err) {
+        console.error("Failed to load training samples:", err);
+        if (!cancelled) setError(err.message);
+      }
+    }
+
+    load();
+    return () => { cancelled = true; };
+  }, []);
+
+  const runAction = async (label, action) => {
+    setBusy(label);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+      setError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const addSamples = async (newSamples) => {
+    const stored = await getFragmentStore().addTrainingSamples(newSamples);
+    setSamples(prev => [...prev, ...stored]);
+    return stored;
+  };
+
+  const addCaptures = () =>
+    runAction("Adding captures", async () => {
+      const added = await addSamples(await samplesFromFragments(fragments, samples));
+      setMessage(added.length > 0
+        ? `Added ${added.length} capture${added.length === 1 ? "" : "s"}; check their labels below`
+        : "All photographed captures are already in the training set");
+    });
+
+  const uploadImages = (event) => {
+    const files = [...(event.target.files || [])];
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    runAction("Upload", async () => {
+      const added = await addSamples(await samplesFromFiles(files, {
+        label: bulkLabel || null,
+        ware: bulkWare || null
+      }));
+      setMessage(`Added ${added.length} image${added.length === 1 ? "" : "s"}`);
+    });
+  };
+
+  // Held-out and deleted images must not stay in the few-shot library
+  const removeFromLibrary = async (sampleIds) => {
+    const classifier = await getFragmentClassifier();
+    await classifier.removeSampleExamples(sampleIds);
+  };
+
+  const updateSample = (sample, changes) =>
+    runAction("Saving sample", async () => {
+      const updated = await getFragmentStore().updateTrainingSample({ ...sample, ...changes });
+      if (updated.heldOut) await removeFromLibrary([updated.id]);
+      setSamples(prev => prev.map(s => (s.id === updated.id ? updated : s)));
+    });
+
+  const holdOutShare = () =>
+    runAction("Holding out", async () => {
+      const chosen = chooseHeldOut(samples).map(s => ({ ...s, heldOut: true }));
+      const stored = await getFragmentStore().addTrainingSamples(chosen);
+      const byId = new Map(stored.map(s => [s.id, s]));
+      await removeFromLibrary([...byId.keys()]);
+      setSamples(prev => prev.map(s => byId.get(s.id) || s));
+      setMessage(`Held out ${stored.length} image${stored.length === 1 ? "" : "s"} for testing`);
+    });
+
+  const deleteSample = (sample) =>
+    runAction("Deleting sample", async () => {
+      await getFragmentStore().deleteTrainingSample(sample.id);
+      await removeFromLibrary([sample.id]);
+      setSamples(prev => prev.filter(s => s.id !== sample.id));
+    });
+
+  const startTraining = () =>
+    runAction("Training", async () => {
+      const classifier = await getFragmentClassifier();
+      const data = await loadTrainingData(samples, {
+        labels: classifier.labels,
+        wareLabels: classifier.wareLabels
+      });
+      if (data.length < 5) {
+        throw new Error("Label at least 5 images before training");
+      }
+
+      const options = {
+        epochs,
+        schedule,
+        augmentation: augment ? { ...DEFAULT_AUGMENTATION, copies } : null,
+        earlyStopping: earlyStopping ? { patience } : null,
+        fineTune: fineTune ? { blocks: fineTuneBlocks } : null
+      };
+
+      setCurves({});
+      setTraining(true);
+      try {
+        const result = await classifier.train(data, {
+          ...options,
+          onEpochEnd: (epoch, logs, head) => {
+            setCurves(prev => ({ ...prev, [head]: [...(prev[head] || []), { epoch, ...logs }] }));
+          }
+        });
+
+        if (result.cancelled) {
+          setMessage("Training cancelled; the previous classifier is still in use");
+        } else {
+          const finalLogs = Object.fromEntries(
+            Object.entries(result.history).map(([head, logs]) => [head, logs[logs.length - 1]])
+          );
+          const epochsRun = Math.max(...Object.values(result.history).map(logs => logs.length));
+          const version = await saveModelVersion(classifier, {
+            training: {
+              images: data.length,
+              epochs: epochsRun,
+              finalLogs,
+              schedule,
+              augmentation: options.augmentation,
+              earlyStopping: options.earlyStopping,
+              fineTune: options.fineTune
+            }
+          });
+          setModelRevision(n => n + 1);
+          setMessage(
+            `Trained on ${data.length} images${result.stoppedEarly ? ` (stopped early after ${epochsRun} epochs)` : ""}` +
+            ` and saved as ${version.name} v${version.version}`
+          );
+        }
+      } finally {
+        setTraining(false);
+        setCanRollback(await classifier.hasBackup());
+      }
+    });
+
+  const cancelTraining = async () => {
+    const classifier = await getFragmentClassifier();
+    classifier.cancelTraining();
+    setBusy("Cancelling");
+  };
+
+  const rollback = () => {
+    if (!window.confirm("Restore the classifier from before the last training run?")) return;
+
+    runAction("Rollback", async () => {
+      const classifier = await getFragmentClassifier();
+      await classifier.rollback();
+      await restoreParentVersion();
+      setCanRollback(false);
+      setModelRevision(n => n + 1);
+      setCurves({});
+      setMessage("Rolled back to the previous classifier");
+    });
+  };
+
+  const labels = labelSets?.type || [];
+  const wareLabels = labelSets?.ware || [];
+  const disabled = !!busy || !samples;
+
+  const selectStyle = { padding: "4px", fontSize: "0.8em", width: "100%" };
+
+  return (
+    <div style={{
+      border: "2px solid #444",
+      borderRadius: "8px",
+      padding: "16px",
+      backgroundColor: "#1a1a1a",
+      marginBottom: "24px"
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "12px" }}>
+        <h3 style={{ margin: 0 }}>🎓 Training Studio</h3>
+        <button onClick={onClose} disabled={training} style={buttonStyle}>
+          Close
+        </button>
+      </div>
+
+      <BackbonePanel
+        revision={modelRevision}
+        onChanged={async () => {
+          setModelRevision(n => n + 1);
+          setCurves({});
+          const classifier = await getFragmentClassifier();
+          setCanRollback(await classifier.hasBackup());
+        }}
+        disabled={!!busy}
+      />
+
+      <ModelRegistryPanel
+        revision={modelRevision}
+        onActivated={() => {
+          setModelRevision(n => n + 1);
+          setCanRollback(false);
+        }}
+        disabled={!!busy}
+      />
+
+      <TaxonomyPanel key={modelRevision} onChange={setLabelSets} />
+
+      {/* Collecting labelled images */}
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "8px" }}>
+        <button
+          onClick={addCaptures}
+          disabled={disabled || fragments.length === 0}
+          style={{ ...buttonStyle, opacity: disabled || fragments.length === 0 ? 0.5 : 1 }}
+        >
+          📸 Add captures from this project
+        </button>
+
+        <span style={{ color: "#666" }}>|</span>
+
+        <select value={bulkLabel} onChange={(e) => setBulkLabel(e.target.value)} style={{ padding: "6px", fontSize: "0.9em" }}>
+          <option value="">Type: unlabelled</option>
+          {labels.map(label => <option key={label} value={label}>{label}</option>)}
+        </select>
+        <select value={bulkWare} onChange={(e) => setBulkWare(e.target.value)} style={{ padding: "6px", fontSize: "0.9em" }}>
+          <option value="">Ware: unlabelled</option>
+          {wareLabels.map(label => <option key={label} value={label}>{label}</option>)}
+        </select>
+        <label style={{ ...buttonStyle, border: "1px solid #666", borderRadius: "4px", cursor: disabled ? "default" : "pointer", opacity: disabled ? 0.5 : 1 }}>
+          📁 Upload images
+          <input type="file" accept="image/*" multiple onChange={uploadImages} disabled={disabled} style={{ display: "none" }} />
+        </label>
+      </div>
+
+      {samples && (
+        <div style={{ marginBottom: "12px" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "8px", color: "#aaa", fontSize: "0.85em", marginBottom: "4px" }}>
+            {samples.length} image{samples.length === 1 ? "" : "s"}, {samples.filter(s => s.heldOut).length} held out for testing
+            <button
+              onClick={holdOutShare}
+              disabled={disabled || samples.length === 0}
+              title="Move a random 20% of each class to the test set"
+              style={{ padding: "2px 8px", fontSize: "0.9em", opacity: disabled || samples.length === 0 ? 0.5 : 1 }}
+            >
+              🎯 Hold out 20%
+            </button>
+          </div>
+          <ClassCounts samples={samples} field="label" labels={labels} />
+          <ClassCounts samples={samples} field="ware" labels={wareLabels} />
+        </div>
+      )}
+
+      {samples && samples.length > 0 && (
+        <div style={{
+          display: "grid",
+          gridTemplateColumns: "repeat(auto-fill, minmax(110px, 1fr))",
+          gap: "8px",
+          maxHeight: "360px",
+          overflowY: "auto",
+          marginBottom: "16px"
+        }}>
+          {samples.map(sample => (
+            <div key={sample.id} style={{
+              border: sample.heldOut ? "1px dashed #2196f3" : "1px solid #444",
+              borderRadius: "4px",
+              padding: "4px",
+              backgroundColor: "#222",
+              position: "relative"
+            }}>
+              <img src={sample.image} alt="Training sample" style={{ width: "100%", borderRadius: "2px" }} />
+              <button
+                onClick={() => deleteSample(sample)}
+                disabled={disabled}
+                title="Remove from training set"
+                style={{ position: "absolute", top: "6px", right: "6px", padding: "0 6px", fontSize: "0.8em" }}
+              >
+                ✕
+              </button>
+              <select
+                value={labels.includes(sample.label) ? sample.label : ""}
+                onChange={(e) => updateSample(sample, { label: e.target.value || null })}
+                disabled={disabled}
+                style={{ ...selectStyle, color: getFragmentColor(sample.label) }}
+              >
+                <option value="">type –</option>
+                {labels.map(label => <option key={label} value={label}>{label}</option>)}
+              </select>
+              <select
+                value={wareLabels.includes(sample.ware) ? sample.ware : ""}
+                onChange={(e) => updateSample(sample, { ware: e.target.value || null })}
+                disabled={disabled}
+                style={selectStyle}
+              >
+                <option value="">ware –</option>
+                {wareLabels.map(label => <option key={label} value={label}>{label}</option>)}
+              </select>
+              <label style={{ display: "block", fontSize: "0.75em", color: sample.heldOut ? "#2196f3" : "#888" }}>
+                <input
+                  type="checkbox"
+                  checked={!!sample.heldOut}
+                  onChange={(e) => updateSample(sample, { heldOut: e.target.checked })}
+                  disabled={disabled}
+                />
+                {" "}test image
+              </label>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Training */}
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px", marginBottom: "12px" }}>
+        <label style={{ fontSize: "0.9em" }}>
+          Epochs{" "}
+          <input
+            type="number"
+            min="1"
+            max="200"
+            value={epochs}
+            onChange={(e) => setEpochs(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            disabled={training}
+            style={{ width: "60px", padding: "4px" }}
+          />
+        </label>
+
+        {training ? (
+          <button onClick={cancelTraining} disabled={busy === "Cancelling"} style={buttonStyle}>
+            {busy === "Cancelling" ? "Cancelling..." : "⏹ Cancel training"}
+          </button>
+        ) : (
+          <button
+            onClick={startTraining}
+            disabled={disabled || samples.length === 0}
+            style={{ ...buttonStyle, opacity: disabled || samples.length === 0 ? 0.5 : 1 }}
+          >
+            🏋️ Train
+          </button>
+        )}
+
+        <button
+          onClick={rollback}
+          disabled={disabled || !canRollback}
+          title="Restore the classifier saved before the last training run"
+          style={{ ...buttonStyle, opacity: disabled || !canRollback ? 0.5 : 1 }}
+        >
+          ↩️ Roll back
+        </button>
+
+        {busy && !training && <span style={{ color: "#aaa", fontSize: "0.85em" }}>{busy}...</span>}
+      </div>
+
+      {/* Training options */}
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "12px", marginBottom: "12px", fontSize: "0.85em" }}>
+        <label title="Random rotations, flips, crops and lighting changes of the training images">
+          <input type="checkbox" checked={augment} onChange={(e) => setAugment(e.target.checked)} disabled={training} />
+          {" "}Augment ×
+          <input
+            type="number"
+            min="1"
+            max="16"
+            value={copies}
+            onChange={(e) => setCopies(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            disabled={training || !augment || fineTune}
+            title="Augmented copies per image (fine-tuning draws a fresh variation every epoch instead)"
+            style={{ width: "44px", padding: "2px", marginLeft: "4px" }}
+          />
+        </label>
+
+        <label title="Also train the last MobileNet blocks; slower, and needs more labelled images">
+          <input type="checkbox" checked={fineTune} onChange={(e) => setFineTune(e.target.checked)} disabled={training} />
+          {" "}Fine-tune last
+          <input
+            type="number"
+            min="1"
+            max="4"
+            value={fineTuneBlocks}
+            onChange={(e) => setFineTuneBlocks(Math.min(4, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            disabled={training || !fineTune}
+            style={{ width: "40px", padding: "2px", margin: "0 4px" }}
+          />
+          backbone blocks
+        </label>
+
+        <label>
+          Learning rate{" "}
+          <select value={schedule} onChange={(e) => setSchedule(e.target.value)} disabled={training} style={{ padding: "2px" }}>
+            {LR_SCHEDULES.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+
+        <label title="Stop when validation loss has not improved for this many epochs and keep the best epoch">
+          <input type="checkbox" checked={earlyStopping} onChange={(e) => setEarlyStopping(e.target.checked)} disabled={training} />
+          {" "}Early stopping, patience
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={patience}
+            onChange={(e) => setPatience(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            disabled={training || !earlyStopping}
+            style={{ width: "44px", padding: "2px", marginLeft: "4px" }}
+          />
+        </label>
+      </div>
+
+      {message && <div style={{ color: "#4caf50", fontSize: "0.85em", marginBottom: "8px" }}>{message}</div>}
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em", marginBottom: "8px" }}>{error}</div>}
+
+      {Object.keys(curves).map(head => (
+        <div key={head} style={{ marginBottom: "12px" }}>
+          <h4 style={{ margin: "0 0 6px 0" }}>{HEAD_TITLES[head] || head}</h4>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "16px" }}>
+            <TrainingChart
+              title="Loss"
+              history={curves[head]}
+              keys={[
+                { key: "loss", label: "train", color: "#c2a070" },
+                { key: "val_loss", label: "val", color: "#2196f3" }
+              ]}
+            />
+            <TrainingChart
+              title="Accuracy"
+              history={curves[head]}
+              maxValue={1}
+              keys={[
+                { key: "acc", label: "train", color: "#c2a070" },
+                { key: "val_acc", label: "val", color: "#2196f3" }
+              ]}
+            />
+          </div>
+        </div>
+      ))}
+
+      <FewShotPanel samples={samples} labels={labels} wareLabels={wareLabels} disabled={!!busy} />
+
+      <EvaluationPanel samples={samples} disabled={!!busy} />
+    </div>
+  );
+}
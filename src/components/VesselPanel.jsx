@@ -0,0 +1,191 @@
+import React, { useState } from "react";
+import { ensureSimilarityFeatures } from "../ai/similarity";
+import { suggestVesselGroups } from "../ai/vesselClustering";
+import { UNASSIGNED } from "../data/vessels";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  fontSize: "0.9em"
+};
+
+function formatStats(stats) {
+  if (!stats) return "Not reconstructed yet";
+
+  const qualities = stats.axisQualities.filter(q => q !== null);
+  const axis = qualities.length > 0
+    ? `axis quality ${(qualities.reduce((sum, q) => sum + q, 0) / qualities.length).toFixed(2)}`
+    : "no axis estimated";
+
+  return [
+    `${stats.fragmentCount} fragment${stats.fragmentCount === 1 ? "" : "s"}`,
+    `${stats.totalPoints.toLocaleString()} points`,
+    stats.registrationPending
+      ? "registering..."
+      : `${stats.registeredFragments}/${stats.fragmentCount} registered`,
+    `${stats.overlappingPairs} overlapping pair${stats.overlappingPairs === 1 ? "" : "s"}`,
+    ...(stats.slidingPairs > 0 ? [`${stats.slidingPairs} sliding about the axis`] : []),
+    axis
+  ].join(" · ");
+}
+
+export default function VesselPanel({
+  fragments,
+  groups,
+  reconstructions,
+  activeKey,
+  onSelectVessel,
+  onCreate,
+  onRename,
+  onDelete,
+  onApplyGrouping,
+  busy = false
+}) {
+  // Like join suggestions, results only apply to the fragment list they
+  // were computed from
+  const [suggestion, setSuggestion] = useState(null);
+  const [suggesting, setSuggesting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const activeGroup = groups.find(g => g.key === activeKey) || groups[0];
+  const reconstruction = reconstructions.find(r => r.key === activeGroup?.key);
+  const unassigned = groups.find(g => g.key === UNASSIGNED)?.fragments || [];
+  const proposed = suggestion?.fragments === fragments ? suggestion.groups : null;
+
+  const handleCreate = () => {
+    const name = window.prompt("Vessel name", "");
+    if (name !== null) onCreate(name.trim());
+  };
+
+  const handleRename = () => {
+    const name = window.prompt("Rename vessel", activeGroup.name);
+    if (name?.trim()) onRename(activeGroup.key, name.trim());
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete "${activeGroup.name}"? Its fragments become unassigned.`)) {
+      onDelete(activeGroup.key);
+    }
+  };
+
+  const runSuggestion = async () => {
+    setSuggesting(true);
+    setError(null);
+
+    try {
+      // Only unassigned fragments are grouped, so manual assignments stay
+      const prepared = [];
+      for (const fragment of unassigned) {
+        prepared.push(await ensureSimilarityFeatures(fragment));
+      }
+
+      const groupsFound = suggestVesselGroups(prepared).filter(g => g.fragments.length > 1);
+      setSuggestion({ fragments, groups: groupsFound });
+    } catch (err) {
+      console.error("Vessel grouping failed:", err);
+      setError(err.message);
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  const applySuggestion = () => {
+    onApplyGrouping(proposed.map(g => g.fragments));
+    setSuggestion(null);
+  };
+
+  const tabStyle = (key) => ({
+    ...buttonStyle,
+    backgroundColor: key === activeGroup?.key ? "#c2a070" : undefined,
+    color: key === activeGroup?.key ? "#1a1a1a" : undefined
+  });
+
+  return (
+    <div style={{ marginBottom: "12px" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "8px" }}>
+        {groups.map(group => (
+          <button key={group.key} onClick={() => onSelectVessel(group.key)} style={tabStyle(group.key)}>
+            {group.name} ({group.fragments.length})
+          </button>
+        ))}
+
+        <span style={{ flex: 1 }} />
+
+        <button onClick={handleCreate} disabled={busy} style={buttonStyle}>
+          ➕ Vessel
+        </button>
+        <button
+          onClick={handleRename}
+          disabled={busy || !activeGroup?.vessel}
+          style={{ ...buttonStyle, opacity: busy || !activeGroup?.vessel ? 0.5 : 1 }}
+        >
+          ✏️ Rename
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={busy || !activeGroup?.vessel}
+          style={{ ...buttonStyle, opacity: busy || !activeGroup?.vessel ? 0.5 : 1 }}
+        >
+          🗑 Delete
+        </button>
+        <button
+          onClick={runSuggestion}
+          disabled={busy || suggesting || unassigned.length < 2}
+          title="Group unassigned fragments by appearance and rim diameter"
+          style={{ ...buttonStyle, opacity: busy || suggesting || unassigned.length < 2 ? 0.5 : 1 }}
+        >
+          {suggesting ? "Grouping..." : "✨ Suggest grouping"}
+        </button>
+      </div>
+
+      {activeGroup && (
+        <div style={{ color: "#aaa", fontSize: "0.85em", marginTop: "8px" }}>
+          {activeGroup.key !== UNASSIGNED && "New captures are added to this vessel · "}
+          {activeGroup.fragments.length > 0 ? formatStats(reconstruction?.stats) : "No fragments yet"}
+        </div>
+      )}
+
+      {error && <div style={{ color: "#ff6b6b", fontSize: "0.85em", marginTop: "8px" }}>{error}</div>}
+
+      {proposed && proposed.length === 0 && (
+        <div style={{ color: "#666", fontSize: "0.85em", marginTop: "8px" }}>
+          No unassigned fragments look alike enough to group
+        </div>
+      )}
+
+      {proposed && proposed.length > 0 && (
+        <div style={{
+          marginTop: "8px",
+          padding: "8px",
+          border: "1px solid #444",
+          borderRadius: "4px",
+          fontSize: "0.85em"
+        }}>
+          {proposed.map((group, index) => (
+            <div key={index} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "6px" }}>
+              <span style={{ color: "#aaa", minWidth: "120px" }}>
+                {group.fragments.length} fragments · {(group.cohesion * 100).toFixed(0)}%
+              </span>
+              {group.fragments.map(fragment => (
+                <img
+                  key={fragment.id || fragment.timestamp}
+                  src={fragment.image}
+                  alt={`Fragment ${fragments.findIndex(f => (f.id || f.timestamp) === (fragment.id || fragment.timestamp)) + 1}`}
+                  style={{ width: "40px", height: "40px", objectFit: "cover", borderRadius: "2px" }}
+                />
+              ))}
+            </div>
+          ))}
+
+          <div style={{ display: "flex", gap: "8px" }}>
+            <button onClick={applySuggestion} disabled={busy} style={buttonStyle}>
+              ✅ Create {proposed.length} vessel{proposed.length === 1 ? "" : "s"}
+            </button>
+            <button onClick={() => setSuggestion(null)} style={buttonStyle}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
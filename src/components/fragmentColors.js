@@ -0,0 +1,21 @@
+const KNOWN_COLORS = {
+  rim: "#4caf50",
+  body: "#2196f3",
+  base: "#ff9800",
+  handle: "#e91e63",
+  neck: "#9c27b0",
+  spout: "#00bcd4",
+  lid: "#cddc39",
+  decorated: "#ff5722",
+  unknown: "#666"
+};
+
+export function getFragmentColor(type) {
+  if (!type) return KNOWN_COLORS.unknown;
+  if (KNOWN_COLORS[type]) return KNOWN_COLORS[type];
+
+  // User-defined classes get a stable hue from their name
+  let hash = 0;
+  for (const char of type) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return `hsl(${Math.abs(hash) % 360}, 65%, 55%)`;
+}
@@ -0,0 +1,116 @@
+/**
+ * Archaeological recording fields attached to every fragment
+ * Ties a capture back to the excavation record (site, trench, context, find)
+ */
+
+export const RECORD_FIELDS = [
+  { key: "siteCode", label: "Site code", type: "text" },
+  { key: "trench", label: "Trench / unit", type: "text" },
+  { key: "context", label: "Context", type: "text" },
+  { key: "findNumber", label: "Find no.", type: "text" },
+  { key: "weight", label: "Weight (g)", type: "number" },
+  { key: "excavator", label: "Excavator", type: "text" },
+  { key: "notes", label: "Notes", type: "textarea" }
+];
+
+// Fields that usually stay the same between consecutive captures
+const CARRIED_OVER_FIELDS = ["siteCode", "trench", "context", "excavator"];
+
+/**
+ * Create an empty record, optionally carrying over the location fields
+ * from the previous capture so sequential finds need less typing
+ * @param {Object} [previous] Record of the previous fragment
+ */
+export function createFragmentRecord(previous = null) {
+  const record = {};
+  for (const field of RECORD_FIELDS) {
+    record[field.key] = field.type === "number" ? null : "";
+  }
+
+  if (previous) {
+    for (const key of CARRIED_OVER_FIELDS) {
+      record[key] = previous[key] || "";
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Read a fragment's record, filling in fields missing from older captures
+ */
+export function getFragmentRecord(fragment) {
+  return { ...createFragmentRecord(), ...(fragment?.record || {}) };
+}
+
+/**
+ * Normalise form input into a record (trimmed strings, numeric weight)
+ */
+export function normalizeRecord(values) {
+  const record = createFragmentRecord();
+
+  for (const field of RECORD_FIELDS) {
+    const value = values[field.key];
+
+    if (field.type === "number") {
+      const number = parseFloat(value);
+      record[field.key] = Number.isFinite(number) ? number : null;
+    } else {
+      record[field.key] = typeof value === "string" ? value.trim() : "";
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Distinct non-empty values of a field across fragments, for filter dropdowns
+ */
+export function getDistinctValues(fragments, key) {
+  const values = new Set();
+  for (const fragment of fragments) {
+    const value = getFragmentRecord(fragment)[key];
+    if (value !== null && value !== "") values.add(String(value));
+  }
+  return [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Free-text search across all recording fields, the fragment type and ware
+ */
+export function matchesSearch(fragment, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const record = getFragmentRecord(fragment);
+  const haystack = [
+    ...RECORD_FIELDS.map(field => record[field.key] ?? ""),
+    fragment.classification?.fragmentType || "",
+    fragment.classification?.wareType || ""
+  ].join(" ").toLowerCase();
+
+  return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Filter fragments by search text and exact field values
+ * @param {Array} fragments
+ * @param {Object} options
+ * @param {string} [options.query] Free-text search
+ * @param {Object} [options.filters] { fieldKey: value } exact matches, empty values ignored
+ */
+export function filterFragments(fragments, { query = "", filters = {} } = {}) {
+  const activeFilters = Object.entries(filters).filter(([, value]) => value);
+
+  return fragments.filter(fragment => {
+    if (!matchesSearch(fragment, query)) return false;
+
+    const record = getFragmentRecord(fragment);
+    return activeFilters.every(([key, value]) => {
+      if (key === "fragmentType") {
+        return (fragment.classification?.fragmentType || "unknown") === value;
+      }
+      return String(record[key] ?? "") === value;
+    });
+  });
+}
@@ -0,0 +1,599 @@
+/**
+ * Persistent fragment store backed by IndexedDB
+ * Captured fragments are grouped into named projects so that a tab reload
+ * (or a crashed tablet browser) never loses a session's captures.
+ */
+
+const DB_NAME = "archia";
+const DB_VERSION = 4;
+const PROJECTS = "projects";
+const FRAGMENTS = "fragments";
+const TRAINING_SAMPLES = "trainingSamples";
+const MODEL_VERSIONS = "modelVersions";
+const EMBEDDING_EXAMPLES = "embeddingExamples";
+const ACTIVE_PROJECT_KEY = "archia-active-project";
+const ACTIVE_MODEL_KEY = "archia-active-model";
+const CLASSIFIER_MODE_KEY = "archia-classifier-mode";
+const BACKBONE_KEY = "archia-backbone";
+const CUSTOM_BACKBONES_KEY = "archia-custom-backbones";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+export function createId() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  // randomUUID is only available in secure contexts (not plain-http LAN tablets)
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Pack a point cloud into a flat Float32Array [x0, y0, z0, x1, ...]
+ * @param {Array<{x, y, z}>} points
+ * @returns {Float32Array}
+ */
+export function packPoints(points) {
+  const packed = new Float32Array(points.length * 3);
+  points.forEach((p, i) => {
+    packed[i * 3] = p.x;
+    packed[i * 3 + 1] = p.y;
+    packed[i * 3 + 2] = p.z;
+  });
+  return packed;
+}
+
+/**
+ * @param {Float32Array} packed
+ * @returns {Array<{x, y, z}>}
+ */
+export function unpackPoints(packed) {
+  const points = new Array(packed.length / 3);
+  for (let i = 0; i < points.length; i++) {
+    points[i] = { x: packed[i * 3], y: packed[i * 3 + 1], z: packed[i * 3 + 2] };
+  }
+  return points;
+}
+
+/**
+ * Pack a nested [H][W][1] depth map into { width, height, data }
+ */
+export function packDepthMap(depthMap) {
+  const height = depthMap.length;
+  const width = height > 0 ? depthMap[0].length : 0;
+  const data = new Float32Array(width * height);
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      data[v * width + u] = depthMap[v][u][0];
+    }
+  }
+
+  return { width, height, data };
+}
+
+export function unpackDepthMap({ width, height, data }) {
+  const depthMap = new Array(height);
+  for (let v = 0; v < height; v++) {
+    const row = new Array(width);
+    for (let u = 0; u < width; u++) {
+      row[u] = [data[v * width + u]];
+    }
+    depthMap[v] = row;
+  }
+  return depthMap;
+}
+
+/**
+ * Convert an in-memory fragment into a compact IndexedDB record
+ */
+export function serializeFragment(fragment) {
+  const { pointCloud, depthMap, ...rest } = fragment;
+  return {
+    ...rest,
+    pointCloud: pointCloud ? packPoints(pointCloud) : null,
+    depthMap: depthMap ? packDepthMap(depthMap) : null
+  };
+}
+
+export function deserializeFragment(record) {
+  const { pointCloud, depthMap, ...rest } = record;
+  return {
+    ...rest,
+    pointCloud: pointCloud ? unpackPoints(pointCloud) : [],
+    depthMap: depthMap ? unpackDepthMap(depthMap) : null
+  };
+}
+
+export class FragmentStore {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+    if (this.opening) return this.opening;
+
+    if (!globalThis.indexedDB) {
+      throw new Error("IndexedDB not supported in this browser");
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(PROJECTS)) {
+        db.createObjectStore(PROJECTS, { keyPath: "id" });
+      }
+
+      if (!db.objectStoreNames.contains(FRAGMENTS)) {
+        const fragments = db.createObjectStore(FRAGMENTS, { keyPath: "id" });
+        fragments.createIndex("projectId", "projectId", { unique: false });
+      }
+
+      // Version 2: labelled images for training the classifier
+      if (!db.objectStoreNames.contains(TRAINING_SAMPLES)) {
+        db.createObjectStore(TRAINING_SAMPLES, { keyPath: "id" });
+      }
+
+      // Version 3: classifier model registry (weights live in tf.js storage)
+      if (!db.objectStoreNames.contains(MODEL_VERSIONS)) {
+        db.createObjectStore(MODEL_VERSIONS, { keyPath: "id" });
+      }
+
+      // Version 4: labelled embeddings for few-shot (k-NN) classification
+      if (!db.objectStoreNames.contains(EMBEDDING_EXAMPLES)) {
+        db.createObjectStore(EMBEDDING_EXAMPLES, { keyPath: "id" });
+      }
+    };
+
+    this.opening = requestToPromise(request).then(db => {
+      this.db = db;
+      this.opening = null;
+      console.log("✅ Fragment store opened");
+      return db;
+    }, err => {
+      this.opening = null;
+      throw err;
+    });
+
+    return this.opening;
+  }
+
+  // ---- Projects ----
+
+  async listProjects() {
+    const db = await this.open();
+    const projects = await requestToPromise(
+      db.transaction(PROJECTS).objectStore(PROJECTS).getAll()
+    );
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async getProject(id) {
+    const db = await this.open();
+    const project = await requestToPromise(
+      db.transaction(PROJECTS).objectStore(PROJECTS).get(id)
+    );
+    return project || null;
+  }
+
+  async createProject(name = "Untitled project") {
+    const db = await this.open();
+    const now = Date.now();
+    const project = { id: createId(), name, createdAt: now, updatedAt: now };
+
+    const tx = db.transaction(PROJECTS, "readwrite");
+    tx.objectStore(PROJECTS).add(project);
+    await transactionDone(tx);
+
+    return project;
+  }
+
+  async renameProject(id, name) {
+    return this.updateProject(id, { name });
+  }
+
+  async updateProject(id, changes) {
+    const db = await this.open();
+    const tx = db.transaction(PROJECTS, "readwrite");
+    const projects = tx.objectStore(PROJECTS);
+
+    const project = await requestToPromise(projects.get(id));
+    if (!project) {
+      throw new Error(`Project ${id} not found`);
+    }
+
+    const updated = { ...project, ...changes, id, updatedAt: Date.now() };
+    projects.put(updated);
+    await transactionDone(tx);
+
+    return updated;
+  }
+
+  async duplicateProject(id, name = null) {
+    const source = await this.getProject(id);
+    if (!source) {
+      throw new Error(`Project ${id} not found`);
+    }
+
+    const db = await this.open();
+    const now = Date.now();
+    const copy = {
+      ...source,
+      id: createId(),
+      name: name || `${source.name} (copy)`,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const tx = db.transaction([PROJECTS, FRAGMENTS], "readwrite");
+    const fragments = tx.objectStore(FRAGMENTS);
+    const records = await requestToPromise(fragments.index("projectId").getAll(id));
+
+    tx.objectStore(PROJECTS).add(copy);
+    records.forEach(record => {
+      fragments.add({ ...record, id: createId(), projectId: copy.id });
+    });
+    await transactionDone(tx);
+
+    return copy;
+  }
+
+  async deleteProject(id) {
+    const db = await this.open();
+    const tx = db.transaction([PROJECTS, FRAGMENTS], "readwrite");
+    const fragments = tx.objectStore(FRAGMENTS);
+    const keys = await requestToPromise(fragments.index("projectId").getAllKeys(id));
+
+    keys.forEach(key => fragments.delete(key));
+    tx.objectStore(PROJECTS).delete(id);
+    await transactionDone(tx);
+
+    if (this.getActiveProjectId() === id) {
+      this.setActiveProjectId(null);
+    }
+  }
+
+  getActiveProjectId() {
+    try {
+      return localStorage.getItem(ACTIVE_PROJECT_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  setActiveProjectId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+      } else {
+        localStorage.removeItem(ACTIVE_PROJECT_KEY);
+      }
+    } catch (err) {
+      console.warn("Could not remember active project:", err);
+    }
+  }
+
+  /**
+   * Return the last opened project, falling back to the most recent one
+   * or a fresh project when the store is empty
+   */
+  async getOrCreateActiveProject() {
+    const activeId = this.getActiveProjectId();
+    let project = activeId ? await this.getProject(activeId) : null;
+
+    if (!project) {
+      const projects = await this.listProjects();
+      project = projects[0] || await this.createProject();
+    }
+
+    this.setActiveProjectId(project.id);
+    return project;
+  }
+
+  // ---- Fragments ----
+
+  async getFragments(projectId) {
+    const db = await this.open();
+    const records = await requestToPromise(
+      db.transaction(FRAGMENTS).objectStore(FRAGMENTS).index("projectId").getAll(projectId)
+    );
+    return records
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(deserializeFragment);
+  }
+
+  /**
+   * Persist a capture result from CameraCapture.onResult
+   * @returns {Object} The fragment with its assigned id and projectId
+   */
+  async addFragment(projectId, fragment) {
+    const db = await this.open();
+    const stored = { ...fragment, id: fragment.id || createId(), projectId };
+
+    const tx = db.transaction([FRAGMENTS, PROJECTS], "readwrite");
+    tx.objectStore(FRAGMENTS).put(serializeFragment(stored));
+    this.touchProject(tx, projectId);
+    await transactionDone(tx);
+
+    return stored;
+  }
+
+  async updateFragment(fragment) {
+    if (!fragment.id || !fragment.projectId) {
+      throw new Error("Fragment has not been stored yet");
+    }
+
+    const db = await this.open();
+    const tx = db.transaction([FRAGMENTS, PROJECTS], "readwrite");
+    tx.objectStore(FRAGMENTS).put(serializeFragment(fragment));
+    this.touchProject(tx, fragment.projectId);
+    await transactionDone(tx);
+
+    return fragment;
+  }
+
+  /**
+   * Store several changed fragments in one transaction
+   */
+  async updateFragments(fragments) {
+    if (fragments.length === 0) return fragments;
+    if (fragments.some(f => !f.id || !f.projectId)) {
+      throw new Error("Fragment has not been stored yet");
+    }
+
+    const db = await this.open();
+    const tx = db.transaction([FRAGMENTS, PROJECTS], "readwrite");
+    const store = tx.objectStore(FRAGMENTS);
+    fragments.forEach(fragment => store.put(serializeFragment(fragment)));
+    new Set(fragments.map(f => f.projectId)).forEach(id => this.touchProject(tx, id));
+    await transactionDone(tx);
+
+    return fragments;
+  }
+
+  async deleteFragment(id) {
+    const db = await this.open();
+    const tx = db.transaction(FRAGMENTS, "readwrite");
+    tx.objectStore(FRAGMENTS).delete(id);
+    await transactionDone(tx);
+  }
+
+  async clearProject(projectId) {
+    const db = await this.open();
+    const tx = db.transaction([FRAGMENTS, PROJECTS], "readwrite");
+    const fragments = tx.objectStore(FRAGMENTS);
+    const keys = await requestToPromise(fragments.index("projectId").getAllKeys(projectId));
+
+    keys.forEach(key => fragments.delete(key));
+    this.touchProject(tx, projectId);
+    await transactionDone(tx);
+  }
+
+  // ---- Training samples ----
+  // Labelled images are shared by all projects, like the classifier itself
+
+  async listTrainingSamples() {
+    const db = await this.open();
+    const samples = await requestToPromise(
+      db.transaction(TRAINING_SAMPLES).objectStore(TRAINING_SAMPLES).getAll()
+    );
+    return samples.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async addTrainingSamples(samples) {
+    const db = await this.open();
+    const stored = samples.map(sample => ({
+      ...sample,
+      id: sample.id || createId(),
+      createdAt: sample.createdAt || Date.now()
+    }));
+
+    const tx = db.transaction(TRAINING_SAMPLES, "readwrite");
+    const store = tx.objectStore(TRAINING_SAMPLES);
+    stored.forEach(sample => store.put(sample));
+    await transactionDone(tx);
+
+    return stored;
+  }
+
+  async updateTrainingSample(sample) {
+    const db = await this.open();
+    const tx = db.transaction(TRAINING_SAMPLES, "readwrite");
+    tx.objectStore(TRAINING_SAMPLES).put(sample);
+    await transactionDone(tx);
+    return sample;
+  }
+
+  async deleteTrainingSample(id) {
+    const db = await this.open();
+    const tx = db.transaction(TRAINING_SAMPLES, "readwrite");
+    tx.objectStore(TRAINING_SAMPLES).delete(id);
+    await transactionDone(tx);
+  }
+
+  // ---- Classifier model versions ----
+
+  async listModelVersions() {
+    const db = await this.open();
+    const versions = await requestToPromise(
+      db.transaction(MODEL_VERSIONS).objectStore(MODEL_VERSIONS).getAll()
+    );
+    return versions.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async getModelVersion(id) {
+    const db = await this.open();
+    const version = await requestToPromise(
+      db.transaction(MODEL_VERSIONS).objectStore(MODEL_VERSIONS).get(id)
+    );
+    return version || null;
+  }
+
+  async putModelVersion(version) {
+    const db = await this.open();
+    const tx = db.transaction(MODEL_VERSIONS, "readwrite");
+    tx.objectStore(MODEL_VERSIONS).put(version);
+    await transactionDone(tx);
+    return version;
+  }
+
+  async deleteModelVersion(id) {
+    const db = await this.open();
+    const tx = db.transaction(MODEL_VERSIONS, "readwrite");
+    tx.objectStore(MODEL_VERSIONS).delete(id);
+    await transactionDone(tx);
+  }
+
+  getActiveModelId() {
+    try {
+      return localStorage.getItem(ACTIVE_MODEL_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  setActiveModelId(id) {
+    try {
+      if (id) {
+        localStorage.setItem(ACTIVE_MODEL_KEY, id);
+      } else {
+        localStorage.removeItem(ACTIVE_MODEL_KEY);
+      }
+    } catch (err) {
+      console.warn("Could not remember active model:", err);
+    }
+  }
+
+  // ---- Few-shot embedding library ----
+
+  async listEmbeddingExamples() {
+    const db = await this.open();
+    const examples = await requestToPromise(
+      db.transaction(EMBEDDING_EXAMPLES).objectStore(EMBEDDING_EXAMPLES).getAll()
+    );
+    return examples.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async addEmbeddingExamples(examples) {
+    const db = await this.open();
+    const stored = examples.map(example => ({
+      ...example,
+      id: example.id || createId(),
+      createdAt: example.createdAt || Date.now()
+    }));
+
+    const tx = db.transaction(EMBEDDING_EXAMPLES, "readwrite");
+    const store = tx.objectStore(EMBEDDING_EXAMPLES);
+    stored.forEach(example => store.put(example));
+    await transactionDone(tx);
+
+    return stored;
+  }
+
+  async deleteEmbeddingExample(id) {
+    const db = await this.open();
+    const tx = db.transaction(EMBEDDING_EXAMPLES, "readwrite");
+    tx.objectStore(EMBEDDING_EXAMPLES).delete(id);
+    await transactionDone(tx);
+  }
+
+  async clearEmbeddingExamples() {
+    const db = await this.open();
+    const tx = db.transaction(EMBEDDING_EXAMPLES, "readwrite");
+    tx.objectStore(EMBEDDING_EXAMPLES).clear();
+    await transactionDone(tx);
+  }
+
+  getClassifierMode() {
+    try {
+      return localStorage.getItem(CLASSIFIER_MODE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  setClassifierMode(mode) {
+    try {
+      localStorage.setItem(CLASSIFIER_MODE_KEY, mode);
+    } catch (err) {
+      console.warn("Could not remember classifier mode:", err);
+    }
+  }
+
+  // ---- Feature backbones ----
+
+  getBackboneId() {
+    try {
+      return localStorage.getItem(BACKBONE_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  setBackboneId(id) {
+    try {
+      localStorage.setItem(BACKBONE_KEY, id);
+    } catch (err) {
+      console.warn("Could not remember backbone:", err);
+    }
+  }
+
+  getCustomBackbones() {
+    try {
+      return JSON.parse(localStorage.getItem(CUSTOM_BACKBONES_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  setCustomBackbones(backbones) {
+    try {
+      localStorage.setItem(CUSTOM_BACKBONES_KEY, JSON.stringify(backbones));
+    } catch (err) {
+      console.warn("Could not store custom backbones:", err);
+    }
+  }
+
+  touchProject(tx, projectId) {
+    const projects = tx.objectStore(PROJECTS);
+    const request = projects.get(projectId);
+    request.onsuccess = () => {
+      if (request.result) {
+        projects.put({ ...request.result, updatedAt: Date.now() });
+      }
+    };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+// Singleton instance
+let storeInstance = null;
+
+export function getFragmentStore() {
+  if (!storeInstance) {
+    storeInstance = new FragmentStore();
+  }
+  return storeInstance;
+}
@@ -0,0 +1,55 @@
+import { createId } from "./fragmentStore";
+
+/**
+ * Vessels group the fragments of one project into separate pots
+ * The vessel list lives on the project record (`project.vessels`); each
+ * fragment points at its vessel through `fragment.vesselId`.
+ */
+
+// Group key for fragments not (or no longer) assigned to a vessel
+export const UNASSIGNED = "unassigned";
+
+export function createVessel(name) {
+  return { id: createId(), name, createdAt: Date.now() };
+}
+
+/**
+ * Next free "Vessel N" name
+ */
+export function nextVesselName(vessels) {
+  const used = new Set(vessels.map(v => v.name));
+  let n = vessels.length + 1;
+  while (used.has(`Vessel ${n}`)) n++;
+  return `Vessel ${n}`;
+}
+
+export function getVesselKey(fragment, vessels) {
+  return vessels.some(v => v.id === fragment.vesselId) ? fragment.vesselId : UNASSIGNED;
+}
+
+/**
+ * Split fragments into per-vessel groups, in vessel order
+ * The unassigned group comes last and is only listed when it has fragments
+ * (or when there are no vessels yet, so a fresh project still shows one).
+ * @returns {Array<{key: string, vessel: Object|null, name: string, fragments: Array}>}
+ */
+export function groupByVessel(fragments, vessels) {
+  const groups = vessels.map(vessel => ({
+    key: vessel.id,
+    vessel,
+    name: vessel.name,
+    fragments: []
+  }));
+  const unassigned = { key: UNASSIGNED, vessel: null, name: "Unassigned", fragments: [] };
+
+  for (const fragment of fragments) {
+    const key = getVesselKey(fragment, vessels);
+    const group = key === UNASSIGNED ? unassigned : groups.find(g => g.key === key);
+    group.fragments.push(fragment);
+  }
+
+  if (unassigned.fragments.length > 0 || groups.length === 0) {
+    groups.push(unassigned);
+  }
+  return groups;
+}
@@ -0,0 +1,32 @@
+/**
+ * Trigger a browser download for generated file data
+ * @param {Blob|ArrayBuffer|string} data
+ * @param {string} filename
+ * @param {string} mimeType Used when data is not already a Blob
+ */
+export function downloadFile(data, filename, mimeType = "application/octet-stream") {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a filesystem-safe file name: "<base>-<YYYY-MM-DD>.<extension>"
+ */
+export function makeFileName(base, extension) {
+  const safeBase = (base || "archia")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "archia";
+  const date = new Date().toISOString().slice(0, 10);
+  return `${safeBase}-${date}.${extension}`;
+}
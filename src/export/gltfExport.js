@@ -0,0 +1,49 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+
+/**
+ * glTF / GLB export of a reconstructed vessel
+ * Mesh userData (fragment metadata from PotteryReconstructor.reconstruct)
+ * ends up in the node's `extras`, material userData in the material's.
+ */
+
+/**
+ * @param {THREE.Mesh} mesh Reconstructed vessel
+ * @param {Object} options
+ * @param {boolean} [options.binary=true] GLB when true, JSON glTF otherwise
+ * @param {Object} [options.extras] Additional metadata merged into the node extras
+ * @returns {Promise<Blob>}
+ */
+export async function exportVesselGLTF(mesh, { binary = true, extras = {} } = {}) {
+  if (!mesh?.geometry?.attributes?.position) {
+    throw new Error("No reconstruction to export");
+  }
+
+  // Export a detached copy so the live mesh keeps its userData untouched
+  const exportMesh = new THREE.Mesh(mesh.geometry, mesh.material.clone());
+  exportMesh.name = mesh.name || "ArchiaVessel";
+  exportMesh.userData = {
+    ...mesh.userData,
+    ...extras,
+    exportedAt: new Date().toISOString()
+  };
+  exportMesh.material.name = exportMesh.material.name || "Ceramic";
+  exportMesh.material.userData = {
+    ...exportMesh.material.userData,
+    description: "Reconstructed ceramic surface"
+  };
+
+  const scene = new THREE.Scene();
+  scene.name = "Archia reconstruction";
+  scene.add(exportMesh);
+
+  const exporter = new GLTFExporter();
+  const result = await exporter.parseAsync(scene, { binary });
+
+  exportMesh.material.dispose();
+
+  if (binary) {
+    return new Blob([result], { type: "model/gltf-binary" });
+  }
+  return new Blob([JSON.stringify(result, null, 2)], { type: "model/gltf+json" });
+}
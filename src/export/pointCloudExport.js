@@ -0,0 +1,200 @@
+import { getDepthEstimator } from "../ai/depthEstimator";
+import { getFragmentRecord, RECORD_FIELDS } from "../data/fragmentRecord";
+import { DEFAULT_MM_PER_UNIT } from "../reconstruction/units";
+
+/**
+ * Per-fragment point cloud export (PLY ascii/binary, XYZ, CSV)
+ * For analysis in CloudCompare / MeshLab. Colours are sampled from the
+ * captured image by projecting each point back to its source pixel;
+ * imported scans keep the vertex colours of the original file.
+ */
+
+export const POINT_CLOUD_FORMATS = {
+  "ply-ascii": { label: "PLY (ASCII)", extension: "ply", mimeType: "text/plain" },
+  "ply-binary": { label: "PLY (binary)", extension: "ply", mimeType: "application/octet-stream" },
+  xyz: { label: "XYZ", extension: "xyz", mimeType: "text/plain" },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" }
+};
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Failed to load fragment image"));
+    img.src = src;
+  });
+}
+
+/**
+ * Sample an RGB colour for every point from the captured image
+ * @param {Object} fragment Fragment with image, pointCloud and depthMap
+ * @returns {Promise<Uint8Array>} Packed [r0, g0, b0, r1, ...]
+ */
+export async function sampleFragmentColors(fragment) {
+  const points = fragment.pointCloud || [];
+  const img = await loadImage(fragment.image);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img, 0, 0);
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+  // Point clouds were back-projected at depth map resolution
+  const depthHeight = fragment.depthMap?.length || canvas.height;
+  const depthWidth = fragment.depthMap?.[0]?.length || canvas.width;
+  const scaleX = canvas.width / depthWidth;
+  const scaleY = canvas.height / depthHeight;
+
+  const depthEstimator = await getDepthEstimator();
+  const colors = new Uint8Array(points.length * 3);
+
+  points.forEach((point, i) => {
+    const { u, v } = depthEstimator.projectToPixel(point, depthWidth, depthHeight);
+    const px = Math.min(canvas.width - 1, Math.max(0, Math.round(u * scaleX)));
+    const py = Math.min(canvas.height - 1, Math.max(0, Math.round(v * scaleY)));
+    const offset = (py * canvas.width + px) * 4;
+
+    colors[i * 3] = pixels[offset];
+    colors[i * 3 + 1] = pixels[offset + 1];
+    colors[i * 3 + 2] = pixels[offset + 2];
+  });
+
+  return colors;
+}
+
+/**
+ * Fragment metadata as "key: value" lines for file headers
+ */
+export function describeFragment(fragment) {
+  const record = getFragmentRecord(fragment);
+  const lines = [
+    "Archia fragment point cloud",
+    `fragment_id: ${fragment.id || "unsaved"}`,
+    `captured: ${new Date(fragment.timestamp || Date.now()).toISOString()}`,
+    `fragment_type: ${fragment.classification?.fragmentType || "unknown"}`,
+    `confidence: ${(fragment.classification?.confidence ?? 0).toFixed(4)}`,
+    `points: ${fragment.pointCloud?.length || 0}`,
+    fragment.source?.type === "scan"
+      ? `units: ${DEFAULT_MM_PER_UNIT} mm (imported ${fragment.source.format} scan ${fragment.source.fileName})`
+      : "units: arbitrary (depth estimator)"
+  ];
+
+  for (const field of RECORD_FIELDS) {
+    const value = record[field.key];
+    if (value !== null && value !== "") {
+      // Header comments must stay on one line
+      lines.push(`${field.key}: ${String(value).replace(/\s*[\r\n]+\s*/g, " ")}`);
+    }
+  }
+
+  return lines;
+}
+
+export function writePLY(points, { colors = null, binary = false, comments = [] } = {}) {
+  const header = [
+    "ply",
+    `format ${binary ? "binary_little_endian" : "ascii"} 1.0`,
+    ...comments.map(line => `comment ${line}`),
+    `element vertex ${points.length}`,
+    "property float x",
+    "property float y",
+    "property float z"
+  ];
+  if (colors) {
+    header.push("property uchar red", "property uchar green", "property uchar blue");
+  }
+  header.push("end_header");
+  const headerText = header.join("\n") + "\n";
+
+  if (!binary) {
+    const lines = points.map((p, i) => {
+      const xyz = `${p.x} ${p.y} ${p.z}`;
+      return colors ? `${xyz} ${colors[i * 3]} ${colors[i * 3 + 1]} ${colors[i * 3 + 2]}` : xyz;
+    });
+    return headerText + lines.join("\n") + "\n";
+  }
+
+  const headerBytes = new TextEncoder().encode(headerText);
+  const stride = 12 + (colors ? 3 : 0);
+  const buffer = new ArrayBuffer(headerBytes.length + points.length * stride);
+  new Uint8Array(buffer).set(headerBytes, 0);
+
+  const view = new DataView(buffer);
+  let offset = headerBytes.length;
+  points.forEach((p, i) => {
+    view.setFloat32(offset, p.x, true);
+    view.setFloat32(offset + 4, p.y, true);
+    view.setFloat32(offset + 8, p.z, true);
+    offset += 12;
+    if (colors) {
+      view.setUint8(offset, colors[i * 3]);
+      view.setUint8(offset + 1, colors[i * 3 + 1]);
+      view.setUint8(offset + 2, colors[i * 3 + 2]);
+      offset += 3;
+    }
+  });
+
+  return buffer;
+}
+
+export function writeXYZ(points, { colors = null, comments = [] } = {}) {
+  const lines = comments.map(line => `# ${line}`);
+  points.forEach((p, i) => {
+    const xyz = `${p.x} ${p.y} ${p.z}`;
+    lines.push(colors ? `${xyz} ${colors[i * 3]} ${colors[i * 3 + 1]} ${colors[i * 3 + 2]}` : xyz);
+  });
+  return lines.join("\n") + "\n";
+}
+
+export function writeCSV(points, { colors = null, comments = [] } = {}) {
+  const lines = comments.map(line => `# ${line}`);
+  lines.push(colors ? "x,y,z,r,g,b" : "x,y,z");
+  points.forEach((p, i) => {
+    const xyz = `${p.x},${p.y},${p.z}`;
+    lines.push(colors ? `${xyz},${colors[i * 3]},${colors[i * 3 + 1]},${colors[i * 3 + 2]}` : xyz);
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Export a fragment's point cloud in the given format
+ * @param {Object} fragment
+ * @param {string} format Key of POINT_CLOUD_FORMATS
+ * @param {Object} options
+ * @param {boolean} [options.includeColor=true] Sample per-point colour from the image
+ * @returns {Promise<{data: string|ArrayBuffer, extension: string, mimeType: string}>}
+ */
+export async function exportFragmentPointCloud(fragment, format, { includeColor = true } = {}) {
+  const spec = POINT_CLOUD_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unknown point cloud format: ${format}`);
+  }
+
+  const points = fragment.pointCloud || [];
+  if (points.length === 0) {
+    throw new Error("Fragment has no point cloud");
+  }
+
+  let colors = null;
+  if (includeColor) {
+    if (fragment.pointColors) {
+      colors = fragment.pointColors;
+    } else if (fragment.image && fragment.source?.type !== "scan") {
+      colors = await sampleFragmentColors(fragment);
+    }
+  }
+  const comments = describeFragment(fragment);
+
+  let data;
+  if (format === "ply-ascii" || format === "ply-binary") {
+    data = writePLY(points, { colors, comments, binary: format === "ply-binary" });
+  } else if (format === "xyz") {
+    data = writeXYZ(points, { colors, comments });
+  } else {
+    data = writeCSV(points, { colors, comments });
+  }
+
+  return { data, extension: spec.extension, mimeType: spec.mimeType };
+}
@@ -0,0 +1,330 @@
+import { DEFAULT_MM_PER_UNIT } from "../reconstruction/units";
+
+/**
+ * Watertight solid export for 3D printing
+ * The viewer's LatheGeometry is a single zero-thickness surface. Here the
+ * vessel profile is turned into a closed cross-section (outer wall, rim,
+ * inner wall, floor, base) and revolved into a closed, manifold triangle
+ * mesh in millimetres, written as binary STL or OBJ.
+ */
+
+const MIN_RADIUS_MM = 0.5;
+
+/**
+ * Read the revolved profile [{r, y}] from a reconstructed vessel mesh
+ * @param {THREE.Mesh} mesh Mesh built from a LatheGeometry
+ */
+export function getMeshProfile(mesh) {
+  const points = mesh?.geometry?.parameters?.points;
+  if (!points || points.length < 2) {
+    throw new Error("Reconstruction has no revolved profile to export");
+  }
+  return points.map(p => ({ r: p.x, y: p.y }));
+}
+
+/**
+ * Offset the outer profile inward along its normals by the wall thickness
+ */
+function offsetInward(outer, thickness, floorY, rimY) {
+  const inner = [];
+
+  for (let i = 0; i < outer.length; i++) {
+    const prev = outer[Math.max(0, i - 1)];
+    const next = outer[Math.min(outer.length - 1, i + 1)];
+
+    // Tangent along the profile (base → rim); inward normal points toward the axis
+    let tr = next.r - prev.r;
+    let ty = next.y - prev.y;
+    const length = Math.hypot(tr, ty) || 1;
+    tr /= length;
+    ty /= length;
+
+    const nr = -ty;
+    const ny = tr;
+
+    const point = {
+      r: outer[i].r + nr * thickness,
+      y: Math.min(rimY, Math.max(floorY, outer[i].y + ny * thickness))
+    };
+
+    // Keep the inner wall monotonic in height so it never folds over itself
+    if (inner.length > 0 && point.y <= inner[inner.length - 1].y) continue;
+    inner.push(point);
+  }
+
+  return inner;
+}
+
+function outerRadiusAt(outer, y) {
+  if (y <= outer[0].y) return outer[0].r;
+  for (let i = 1; i < outer.length; i++) {
+    if (y <= outer[i].y) {
+      const a = outer[i - 1];
+      const b = outer[i];
+      const t = (y - a.y) / (b.y - a.y || 1);
+      return a.r + (b.r - a.r) * t;
+    }
+  }
+  return outer[outer.length - 1].r;
+}
+
+/**
+ * Build the closed cross-section polyline in the (r, y) half-plane,
+ * starting and ending on the rotation axis
+ */
+export function buildCrossSection(profile, { wallThickness, baseThickness, mmPerUnit }) {
+  const sorted = [...profile]
+    .filter(p => Number.isFinite(p.r) && Number.isFinite(p.y))
+    .sort((a, b) => a.y - b.y);
+
+  if (sorted.length < 2) {
+    throw new Error("Profile too short for a solid model");
+  }
+
+  // Convert to millimetres with the base sitting at y = 0
+  const y0 = sorted[0].y;
+  const outer = [];
+  for (const p of sorted) {
+    const point = {
+      r: Math.max(Math.abs(p.r) * mmPerUnit, MIN_RADIUS_MM + wallThickness),
+      y: (p.y - y0) * mmPerUnit
+    };
+    if (outer.length > 0 && point.y - outer[outer.length - 1].y < 1e-6) continue;
+    outer.push(point);
+  }
+
+  if (outer.length < 2) {
+    throw new Error("Profile has no height");
+  }
+
+  const rimY = outer[outer.length - 1].y;
+  if (baseThickness >= rimY) {
+    throw new Error("Base thickness exceeds vessel height");
+  }
+
+  const inner = offsetInward(outer, wallThickness, baseThickness, rimY)
+    .map(p => ({
+      r: Math.max(MIN_RADIUS_MM, Math.min(p.r, outerRadiusAt(outer, p.y) - wallThickness * 0.5)),
+      y: p.y
+    }));
+
+  // The inner wall must reach the rim and the floor exactly
+  const rimOuter = outer[outer.length - 1];
+  const rimInnerR = Math.max(MIN_RADIUS_MM, rimOuter.r - wallThickness);
+  if (inner.length === 0 || inner[inner.length - 1].y < rimY) {
+    inner.push({ r: rimInnerR, y: rimY });
+  } else {
+    inner[inner.length - 1] = { r: rimInnerR, y: rimY };
+  }
+  if (inner[0].y > baseThickness) {
+    inner.unshift({ r: inner[0].r, y: baseThickness });
+  }
+
+  return [
+    { r: 0, y: 0 },                           // base centre
+    ...outer,                                 // outer wall, base → rim
+    ...inner.reverse(),                       // inner wall, rim → floor
+    { r: 0, y: baseThickness }                // floor centre
+  ];
+}
+
+/**
+ * Revolve a cross-section whose first and last points lie on the axis
+ * @returns {{positions: Float32Array, indices: Uint32Array}}
+ */
+export function revolveCrossSection(section, segments = 96) {
+  const ringCount = section.length - 2;
+  const vertexCount = ringCount * segments + 2;
+  const positions = new Float32Array(vertexCount * 3);
+  const indices = [];
+
+  const bottomPole = 0;
+  const topPole = vertexCount - 1;
+  positions.set([0, section[0].y, 0], 0);
+  positions.set([0, section[section.length - 1].y, 0], topPole * 3);
+
+  const ringVertex = (ring, segment) => 1 + ring * segments + (segment % segments);
+
+  for (let ring = 0; ring < ringCount; ring++) {
+    const { r, y } = section[ring + 1];
+    for (let s = 0; s < segments; s++) {
+      const theta = (s / segments) * Math.PI * 2;
+      positions.set([r * Math.cos(theta), y, r * Math.sin(theta)], ringVertex(ring, s) * 3);
+    }
+  }
+
+  for (let s = 0; s < segments; s++) {
+    // Bottom pole fan
+    indices.push(bottomPole, ringVertex(0, s), ringVertex(0, s + 1));
+
+    // Quads between consecutive rings
+    for (let ring = 0; ring < ringCount - 1; ring++) {
+      const a = ringVertex(ring, s);
+      const b = ringVertex(ring, s + 1);
+      const c = ringVertex(ring + 1, s + 1);
+      const d = ringVertex(ring + 1, s);
+      indices.push(a, d, c, a, c, b);
+    }
+
+    // Top pole fan
+    indices.push(topPole, ringVertex(ringCount - 1, s + 1), ringVertex(ringCount - 1, s));
+  }
+
+  const result = { positions, indices: new Uint32Array(indices) };
+
+  // Make sure normals point outward (positive enclosed volume)
+  if (computeVolume(result) < 0) {
+    for (let i = 0; i < result.indices.length; i += 3) {
+      const tmp = result.indices[i + 1];
+      result.indices[i + 1] = result.indices[i + 2];
+      result.indices[i + 2] = tmp;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Signed volume of a closed triangle mesh (divergence theorem)
+ */
+export function computeVolume({ positions, indices }) {
+  let volume = 0;
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+    volume += (
+      positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+      positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+      positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c])
+    ) / 6;
+  }
+  return volume;
+}
+
+/**
+ * A mesh is watertight and manifold when every edge is shared by exactly
+ * two triangles, traversed once in each direction
+ */
+export function isWatertight({ indices }) {
+  const edges = new Map();
+  for (let i = 0; i < indices.length; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = indices[i + e];
+      const b = indices[i + (e + 1) % 3];
+      const key = `${a},${b}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+
+  for (const [key, count] of edges) {
+    const [a, b] = key.split(",");
+    if (count !== 1 || edges.get(`${b},${a}`) !== 1) return false;
+  }
+  return true;
+}
+
+/**
+ * Build a printable solid from a reconstructed vessel
+ * @param {THREE.Mesh} mesh Reconstruction from PotteryReconstructor
+ * @param {Object} options
+ * @param {number} [options.wallThickness=4] Wall thickness in mm
+ * @param {number} [options.baseThickness] Base thickness in mm (defaults to wall thickness)
+ * @param {number} [options.mmPerUnit] Scale of reconstruction units
+ * @param {number} [options.segments=96] Radial resolution
+ */
+export function buildSolid(mesh, options = {}) {
+  const {
+    wallThickness = 4,
+    baseThickness = wallThickness,
+    mmPerUnit = DEFAULT_MM_PER_UNIT,
+    segments = 96
+  } = options;
+
+  if (!(wallThickness > 0) || !(baseThickness > 0)) {
+    throw new Error("Wall and base thickness must be positive");
+  }
+  if (!(mmPerUnit > 0) || !Number.isFinite(mmPerUnit)) {
+    throw new Error("Scale (mm per unit) must be a positive number");
+  }
+
+  const section = buildCrossSection(getMeshProfile(mesh), { wallThickness, baseThickness, mmPerUnit });
+  const solid = revolveCrossSection(section, segments);
+
+  if (!isWatertight(solid)) {
+    throw new Error("Generated solid is not watertight");
+  }
+
+  console.log(`Solid built: ${solid.indices.length / 3} triangles, ${(computeVolume(solid) / 1000).toFixed(1)} cm³`);
+  return solid;
+}
+
+/**
+ * @returns {ArrayBuffer} Binary STL
+ */
+export function writeBinarySTL({ positions, indices }, header = "Archia vessel, units: mm") {
+  const triangleCount = indices.length / 3;
+  const buffer = new ArrayBuffer(84 + triangleCount * 50);
+  const view = new DataView(buffer);
+
+  for (let i = 0; i < Math.min(80, header.length); i++) {
+    view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  }
+  view.setUint32(80, triangleCount, true);
+
+  let offset = 84;
+  for (let t = 0; t < triangleCount; t++) {
+    const a = indices[t * 3] * 3;
+    const b = indices[t * 3 + 1] * 3;
+    const c = indices[t * 3 + 2] * 3;
+
+    const ux = positions[b] - positions[a];
+    const uy = positions[b + 1] - positions[a + 1];
+    const uz = positions[b + 2] - positions[a + 2];
+    const vx = positions[c] - positions[a];
+    const vy = positions[c + 1] - positions[a + 1];
+    const vz = positions[c + 2] - positions[a + 2];
+    let nx = uy * vz - uz * vy;
+    let ny = uz * vx - ux * vz;
+    let nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    nx /= length;
+    ny /= length;
+    nz /= length;
+
+    for (const value of [nx, ny, nz]) {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    }
+    for (const index of [a, b, c]) {
+      view.setFloat32(offset, positions[index], true);
+      view.setFloat32(offset + 4, positions[index + 1], true);
+      view.setFloat32(offset + 8, positions[index + 2], true);
+      offset += 12;
+    }
+    view.setUint16(offset, 0, true);
+    offset += 2;
+  }
+
+  return buffer;
+}
+
+/**
+ * @returns {string} Wavefront OBJ with shared vertices
+ */
+export function writeOBJ({ positions, indices }, name = "ArchiaVessel") {
+  const lines = [
+    "# Archia reconstructed vessel",
+    "# units: millimetres",
+    `o ${name}`
+  ];
+
+  for (let i = 0; i < positions.length; i += 3) {
+    lines.push(`v ${positions[i].toFixed(4)} ${positions[i + 1].toFixed(4)} ${positions[i + 2].toFixed(4)}`);
+  }
+  for (let i = 0; i < indices.length; i += 3) {
+    lines.push(`f ${indices[i] + 1} ${indices[i + 1] + 1} ${indices[i + 2] + 1}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
@@ -1,26 +1,356 @@
-export function icpAlign(source, target, iterations = 10) {
-  let aligned = source;
+import * as THREE from "three";
+import { KDTree } from "./reconstruction/kdTree";
+import {
+  symmetricEigen,
+  solveLinear,
+  pointCovariance,
+  quaternionToMatrix,
+  rotationVectorToMatrix,
+  identity
+} from "./reconstruction/linalg";
 
-  for (let i = 0; i < iterations; i++) {
-    aligned = aligned.map(p => {
-      const closest = target.reduce((best, q) =>
-        distance(p, q) < distance(p, best) ? q : best
+/**
+ * Iterative Closest Point registration
+ * Estimates the rigid (or similarity) transform that maps `source` onto
+ * `target`. Correspondences come from a k-d tree on the target, so each
+ * iteration is O(N log M) instead of O(N·M).
+ *
+ * Transforms are { rotation: 3×3 rows, translation: {x, y, z}, scale }
+ * and act as  p' = scale · R · p + t.
+ */
+
+export const ICP_MODES = ["point-to-point", "point-to-plane"];
+
+export function identityTransform() {
+  return { rotation: identity(3), translation: { x: 0, y: 0, z: 0 }, scale: 1 };
+}
+
+export function applyTransformToPoint({ rotation: R, translation: t, scale: s }, p) {
+  return {
+    x: s * (R[0][0] * p.x + R[0][1] * p.y + R[0][2] * p.z) + t.x,
+    y: s * (R[1][0] * p.x + R[1][1] * p.y + R[1][2] * p.z) + t.y,
+    z: s * (R[2][0] * p.x + R[2][1] * p.y + R[2][2] * p.z) + t.z
+  };
+}
+
+export function applyTransform(transform, points) {
+  return points.map(p => applyTransformToPoint(transform, p));
+}
+
+/**
+ * outer ∘ inner: apply `inner` first, then `outer`
+ */
+export function composeTransforms(outer, inner) {
+  const R = outer.rotation;
+  const r = inner.rotation;
+  const rotation = R.map(row => [0, 1, 2].map(j =>
+    row[0] * r[0][j] + row[1] * r[1][j] + row[2] * r[2][j]
+  ));
+  const moved = applyTransformToPoint(outer, inner.translation);
+
+  return {
+    rotation,
+    translation: moved,
+    scale: outer.scale * inner.scale
+  };
+}
+
+export function invertTransform({ rotation: R, translation: t, scale: s }) {
+  const rotation = [0, 1, 2].map(i => [R[0][i], R[1][i], R[2][i]]);
+  const inverse = { rotation, translation: { x: 0, y: 0, z: 0 }, scale: 1 / s };
+  const moved = applyTransformToPoint(inverse, t);
+  inverse.translation = { x: -moved.x, y: -moved.y, z: -moved.z };
+  return inverse;
+}
+
+/**
+ * Convert to a THREE.Matrix4 (for scene graph use / export)
+ */
+export function transformToMatrix4({ rotation: R, translation: t, scale: s }) {
+  return new THREE.Matrix4().set(
+    s * R[0][0], s * R[0][1], s * R[0][2], t.x,
+    s * R[1][0], s * R[1][1], s * R[1][2], t.y,
+    s * R[2][0], s * R[2][1], s * R[2][2], t.z,
+    0, 0, 0, 1
+  );
+}
+
+/**
+ * Evenly subsample a point array down to at most `count` points
+ */
+export function subsamplePoints(points, count) {
+  if (points.length <= count) return points;
+  const step = points.length / count;
+  const sampled = new Array(count);
+  for (let i = 0; i < count; i++) sampled[i] = points[Math.floor(i * step)];
+  return sampled;
+}
+
+/**
+ * Surface normals estimated from the k nearest neighbours (PCA)
+ * Computed lazily per target point because only matched points need one.
+ */
+class NormalCache {
+  constructor(points, tree, neighbors) {
+    this.points = points;
+    this.tree = tree;
+    this.neighbors = neighbors;
+    this.normals = new Map();
+  }
+
+  get(index) {
+    let normal = this.normals.get(index);
+    if (!normal) {
+      const neighbours = this.tree
+        .kNearest(this.points[index], this.neighbors)
+        .map(n => this.points[n.index]);
+      normal = neighbours.length >= 3 ? estimateNormal(neighbours) : null;
+      this.normals.set(index, normal);
+    }
+    return normal;
+  }
+}
+
+export function estimateNormal(points) {
+  const { covariance } = pointCovariance(points);
+  const { vectors } = symmetricEigen(covariance);
+  const [x, y, z] = vectors[2]; // smallest eigenvalue
+  return { x, y, z };
+}
+
+/**
+ * Best-fit rigid / similarity transform between paired points
+ * (Horn's closed-form quaternion method; scale as in Umeyama)
+ */
+function solvePointToPoint(sources, targets, allowScaling) {
+  const n = sources.length;
+  const mu = { x: 0, y: 0, z: 0 };
+  const nu = { x: 0, y: 0, z: 0 };
+  for (let i = 0; i < n; i++) {
+    mu.x += sources[i].x; mu.y += sources[i].y; mu.z += sources[i].z;
+    nu.x += targets[i].x; nu.y += targets[i].y; nu.z += targets[i].z;
+  }
+  mu.x /= n; mu.y /= n; mu.z /= n;
+  nu.x /= n; nu.y /= n; nu.z /= n;
+
+  let sxx = 0, sxy = 0, sxz = 0, syx = 0, syy = 0, syz = 0, szx = 0, szy = 0, szz = 0;
+  let sourceVariance = 0;
+  for (let i = 0; i < n; i++) {
+    const px = sources[i].x - mu.x, py = sources[i].y - mu.y, pz = sources[i].z - mu.z;
+    const qx = targets[i].x - nu.x, qy = targets[i].y - nu.y, qz = targets[i].z - nu.z;
+    sxx += px * qx; sxy += px * qy; sxz += px * qz;
+    syx += py * qx; syy += py * qy; syz += py * qz;
+    szx += pz * qx; szy += pz * qy; szz += pz * qz;
+    sourceVariance += px * px + py * py + pz * pz;
+  }
+
+  const N = [
+    [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+    [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+    [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+    [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+  ];
+  const { vectors } = symmetricEigen(N);
+  const rotation = quaternionToMatrix(vectors[0]);
+
+  let scale = 1;
+  if (allowScaling && sourceVariance > 0) {
+    // s = Σ q·(R p) / Σ |p|²
+    let numerator = 0;
+    for (let i = 0; i < n; i++) {
+      const rp = applyTransformToPoint(
+        { rotation, translation: { x: 0, y: 0, z: 0 }, scale: 1 },
+        { x: sources[i].x - mu.x, y: sources[i].y - mu.y, z: sources[i].z - mu.z }
       );
-      return {
-        x: (p.x + closest.x) / 2,
-        y: (p.y + closest.y) / 2,
-        z: (p.z + closest.z) / 2
-      };
-    });
+      numerator += rp.x * (targets[i].x - nu.x) + rp.y * (targets[i].y - nu.y) + rp.z * (targets[i].z - nu.z);
+    }
+    scale = Math.max(1e-6, numerator / sourceVariance);
   }
 
-  return aligned;
+  const rotatedMu = applyTransformToPoint({ rotation, translation: { x: 0, y: 0, z: 0 }, scale }, mu);
+  return {
+    rotation,
+    translation: { x: nu.x - rotatedMu.x, y: nu.y - rotatedMu.y, z: nu.z - rotatedMu.z },
+    scale
+  };
 }
 
-function distance(a, b) {
-  return Math.sqrt(
-    (a.x - b.x) ** 2 +
-    (a.y - b.y) ** 2 +
-    (a.z - b.z) ** 2
-  );
+/**
+ * Linearised point-to-plane step: minimise Σ ((R p + t − q) · n)²
+ * with the small-angle approximation R ≈ I + [ω]×
+ */
+function solvePointToPlane(sources, targets, normals) {
+  const AtA = Array.from({ length: 6 }, () => new Array(6).fill(0));
+  const Atb = new Array(6).fill(0);
+
+  for (let i = 0; i < sources.length; i++) {
+    const p = sources[i];
+    const q = targets[i];
+    const n = normals[i];
+
+    const row = [
+      p.y * n.z - p.z * n.y,
+      p.z * n.x - p.x * n.z,
+      p.x * n.y - p.y * n.x,
+      n.x,
+      n.y,
+      n.z
+    ];
+    const b = (q.x - p.x) * n.x + (q.y - p.y) * n.y + (q.z - p.z) * n.z;
+
+    for (let r = 0; r < 6; r++) {
+      Atb[r] += row[r] * b;
+      for (let c = 0; c < 6; c++) AtA[r][c] += row[r] * row[c];
+    }
+  }
+
+  const x = solveLinear(AtA, Atb);
+  if (!x) return null;
+
+  return {
+    rotation: rotationVectorToMatrix([x[0], x[1], x[2]]),
+    translation: { x: x[3], y: x[4], z: x[5] },
+    scale: 1
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[sorted.length >> 1];
+}
+
+/**
+ * Register `source` onto `target`
+ * @param {Array<{x, y, z}>} source Points to move
+ * @param {Array<{x, y, z}>|Object} target Reference points, or a prepared
+ *   { points, tree } pair to reuse a k-d tree across calls
+ * @param {Object} options
+ * @param {string} [options.mode="point-to-point"] "point-to-point" | "point-to-plane"
+ * @param {boolean} [options.allowScaling=false] Similarity instead of rigid (point-to-point only)
+ * @param {number} [options.maxIterations] 200 point-to-point, 50 point-to-plane
+ *   (point-to-point converges only linearly); check `converged` in the result
+ * @param {number} [options.tolerance=1e-6] Stop when the relative RMS change drops below this
+ * @param {number} [options.minError=1e-8] Stop once the RMS error is this small
+ * @param {number} [options.maxCorrespondenceDistance] Reject pairs further apart;
+ *   defaults to an adaptive 3 × median pair distance
+ * @param {number} [options.sampleSize=5000] Source points used per iteration
+ * @param {number} [options.normalNeighbors=12] Neighbours for target normal estimation
+ * @param {Object} [options.initialTransform] Starting guess
+ * @returns {{
+ *   transform, matrix: THREE.Matrix4, rmsError: number, inlierRatio: number,
+ *   iterations: number, converged: boolean, history: number[], aligned: Array<{x, y, z}>
+ * }}
+ */
+export function icpAlign(source, target, options = {}) {
+  const {
+    mode = "point-to-point",
+    allowScaling = false,
+    maxIterations = mode === "point-to-plane" ? 50 : 200,
+    tolerance = 1e-6,
+    minError = 1e-8,
+    maxCorrespondenceDistance = null,
+    sampleSize = 5000,
+    normalNeighbors = 12,
+    initialTransform = null
+  } = options;
+
+  if (!ICP_MODES.includes(mode)) {
+    throw new Error(`Unknown ICP mode: ${mode}`);
+  }
+  if (allowScaling && mode !== "point-to-point") {
+    throw new Error("Similarity ICP requires point-to-point mode");
+  }
+
+  const targetPoints = Array.isArray(target) ? target : target.points;
+  if (!source?.length || !targetPoints?.length) {
+    throw new Error("ICP needs non-empty source and target point clouds");
+  }
+
+  const tree = Array.isArray(target) ? new KDTree(targetPoints) : target.tree;
+  const normals = mode === "point-to-plane" ? new NormalCache(targetPoints, tree, normalNeighbors) : null;
+  const samples = subsamplePoints(source, sampleSize);
+
+  // Pair the transformed samples with their nearest target points
+  const matchCorrespondences = (transform) => {
+    const moved = samples.map(p => applyTransformToPoint(transform, p));
+    const matches = moved.map(p => tree.nearest(p));
+    const distances = matches.map(m => Math.sqrt(m.distanceSq));
+    const threshold = maxCorrespondenceDistance ?? Math.max(3 * median(distances), 1e-9);
+
+    const pairs = { sources: [], targets: [], normals: [] };
+    let squaredError = 0;
+
+    for (let i = 0; i < moved.length; i++) {
+      if (matches[i].index < 0 || distances[i] > threshold) continue;
+
+      const q = targetPoints[matches[i].index];
+      if (normals) {
+        const n = normals.get(matches[i].index);
+        if (!n) continue;
+        const d = (moved[i].x - q.x) * n.x + (moved[i].y - q.y) * n.y + (moved[i].z - q.z) * n.z;
+        squaredError += d * d;
+        pairs.normals.push(n);
+      } else {
+        squaredError += matches[i].distanceSq;
+      }
+      pairs.sources.push(moved[i]);
+      pairs.targets.push(q);
+    }
+
+    const count = pairs.sources.length;
+    return {
+      pairs,
+      rmsError: count > 0 ? Math.sqrt(squaredError / count) : Infinity,
+      inlierRatio: count / samples.length
+    };
+  };
+
+  let transform = initialTransform || identityTransform();
+  let fit = matchCorrespondences(transform);
+  let converged = false;
+  let iterations = 0;
+  const history = [fit.rmsError];
+
+  while (iterations < maxIterations) {
+    if (fit.pairs.sources.length < 6) {
+      console.warn("ICP: too few correspondences, stopping");
+      break;
+    }
+
+    const step = normals
+      ? solvePointToPlane(fit.pairs.sources, fit.pairs.targets, fit.pairs.normals)
+      : solvePointToPoint(fit.pairs.sources, fit.pairs.targets, allowScaling);
+
+    if (!step) {
+      console.warn("ICP: degenerate geometry, stopping");
+      break;
+    }
+
+    transform = composeTransforms(step, transform);
+    iterations++;
+
+    const previousRms = fit.rmsError;
+    fit = matchCorrespondences(transform);
+    history.push(fit.rmsError);
+
+    const change = Math.abs(previousRms - fit.rmsError);
+    if (change <= tolerance * Math.max(previousRms, 1e-12) || fit.rmsError <= minError) {
+      converged = true;
+      break;
+    }
+  }
+
+  const { rmsError, inlierRatio } = fit;
+
+  return {
+    transform,
+    matrix: transformToMatrix4(transform),
+    rmsError,
+    inlierRatio,
+    iterations,
+    converged,
+    history,
+    aligned: applyTransform(transform, source)
+  };
 }
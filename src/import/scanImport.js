@@ -0,0 +1,242 @@
+import * as THREE from "three";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { DEFAULT_MM_PER_UNIT } from "../reconstruction/units";
+
+/**
+ * Import structured-light / photogrammetry scans (PLY, OBJ, STL) as fragments
+ * Meshes are sampled uniformly over their surface, point clouds are
+ * subsampled; both are converted from millimetres to reconstruction units.
+ */
+
+export const SCAN_EXTENSIONS = ["ply", "obj", "stl"];
+
+const DEFAULT_MAX_POINTS = 50000;
+
+export function getScanFormat(fileName) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  return SCAN_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+/**
+ * Parse a scan file into BufferGeometries
+ * @returns {Promise<Array<{geometry: THREE.BufferGeometry, isMesh: boolean}>>}
+ */
+async function parseScan(file, format) {
+  if (format === "ply") {
+    const geometry = new PLYLoader().parse(await file.arrayBuffer());
+    return [{ geometry, isMesh: !!geometry.index }];
+  }
+
+  if (format === "stl") {
+    const geometry = new STLLoader().parse(await file.arrayBuffer());
+    return [{ geometry, isMesh: true }];
+  }
+
+  const group = new OBJLoader().parse(await file.text());
+  const parts = [];
+  group.updateMatrixWorld(true);
+  group.traverse(object => {
+    if (object.isMesh || object.isPoints) {
+      const geometry = object.geometry.clone().applyMatrix4(object.matrixWorld);
+      parts.push({ geometry, isMesh: object.isMesh });
+    }
+  });
+  return parts;
+}
+
+/**
+ * Area-weighted random sampling of points on a triangle mesh
+ */
+function sampleSurface(geometry, count) {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const position = source.attributes.position;
+  const color = source.attributes.color || null;
+  const triangleCount = Math.floor(position.count / 3);
+
+  const cumulative = new Float64Array(triangleCount);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  let total = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    a.fromBufferAttribute(position, t * 3);
+    b.fromBufferAttribute(position, t * 3 + 1);
+    c.fromBufferAttribute(position, t * 3 + 2);
+    total += b.sub(a).cross(c.sub(a)).length() / 2;
+    cumulative[t] = total;
+  }
+
+  const points = [];
+  const colors = color ? [] : null;
+
+  for (let i = 0; i < count && total > 0; i++) {
+    // Binary search for the triangle owning this slice of area
+    const target = Math.random() * total;
+    let lo = 0;
+    let hi = triangleCount - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < target) lo = mid + 1;
+      else hi = mid;
+    }
+
+    // Uniform barycentric coordinates
+    let u = Math.random();
+    let v = Math.random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+    const w = 1 - u - v;
+
+    const i0 = lo * 3;
+    points.push({
+      x: position.getX(i0) * w + position.getX(i0 + 1) * u + position.getX(i0 + 2) * v,
+      y: position.getY(i0) * w + position.getY(i0 + 1) * u + position.getY(i0 + 2) * v,
+      z: position.getZ(i0) * w + position.getZ(i0 + 1) * u + position.getZ(i0 + 2) * v
+    });
+
+    if (colors) {
+      colors.push(
+        color.getX(i0) * w + color.getX(i0 + 1) * u + color.getX(i0 + 2) * v,
+        color.getY(i0) * w + color.getY(i0 + 1) * u + color.getY(i0 + 2) * v,
+        color.getZ(i0) * w + color.getZ(i0 + 1) * u + color.getZ(i0 + 2) * v
+      );
+    }
+  }
+
+  return { points, colors };
+}
+
+/**
+ * Take every n-th vertex of a point cloud so at most `count` remain
+ */
+function sampleVertices(geometry, count) {
+  const position = geometry.attributes.position;
+  const color = geometry.attributes.color || null;
+  const step = Math.max(1, position.count / count);
+
+  const points = [];
+  const colors = color ? [] : null;
+
+  for (let f = 0; f < position.count; f += step) {
+    const i = Math.floor(f);
+    points.push({ x: position.getX(i), y: position.getY(i), z: position.getZ(i) });
+    if (colors) colors.push(color.getX(i), color.getY(i), color.getZ(i));
+  }
+
+  return { points, colors };
+}
+
+/**
+ * Orthographic top-down preview of a point cloud for the gallery
+ * @returns {string} JPEG data URL
+ */
+export function renderScanThumbnail(points, colors = null, size = 256) {
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#111";
+  ctx.fillRect(0, 0, size, size);
+
+  const box = new THREE.Box3().setFromPoints(points.map(p => new THREE.Vector3(p.x, p.y, p.z)));
+  const extent = Math.max(box.max.x - box.min.x, box.max.y - box.min.y) || 1;
+  const depth = box.max.z - box.min.z || 1;
+  const margin = size * 0.08;
+  const scale = (size - margin * 2) / extent;
+
+  // Draw far points first so nearer ones stay visible
+  const order = points.map((_, i) => i).sort((i, j) => points[i].z - points[j].z);
+  for (const i of order) {
+    const p = points[i];
+    const x = margin + (p.x - box.min.x) * scale;
+    const y = size - margin - (p.y - box.min.y) * scale;
+
+    if (colors) {
+      ctx.fillStyle = `rgb(${colors[i * 3]}, ${colors[i * 3 + 1]}, ${colors[i * 3 + 2]})`;
+    } else {
+      const shade = Math.round(90 + 140 * (p.z - box.min.z) / depth);
+      ctx.fillStyle = `rgb(${shade}, ${Math.round(shade * 0.8)}, ${Math.round(shade * 0.55)})`;
+    }
+    ctx.fillRect(x, y, 1.5, 1.5);
+  }
+
+  return canvas.toDataURL("image/jpeg", 0.9);
+}
+
+/**
+ * Load a scan file as a fragment point cloud
+ * @param {File} file PLY, OBJ or STL
+ * @param {Object} options
+ * @param {number} [options.maxPoints=50000] Upper bound on imported points
+ * @param {number} [options.scanUnitMm=1] Size of one scan unit in mm (scanners usually write mm)
+ * @param {number} [options.mmPerUnit] Scale of reconstruction units
+ * @returns {Promise<{pointCloud, pointColors, source}>}
+ */
+export async function importScanFile(file, options = {}) {
+  const {
+    maxPoints = DEFAULT_MAX_POINTS,
+    scanUnitMm = 1,
+    mmPerUnit = DEFAULT_MM_PER_UNIT
+  } = options;
+
+  const format = getScanFormat(file.name);
+  if (!format) {
+    throw new Error(`Unsupported scan format: ${file.name}`);
+  }
+
+  const parts = await parseScan(file, format);
+  if (parts.length === 0) {
+    throw new Error("Scan contains no geometry");
+  }
+
+  const vertexCount = parts.reduce((sum, part) => sum + part.geometry.attributes.position.count, 0);
+  const scale = scanUnitMm / mmPerUnit;
+
+  const pointCloud = [];
+  const colorValues = [];
+  const hasColors = parts.every(part => part.geometry.attributes.color);
+
+  for (const part of parts) {
+    const share = Math.max(1, Math.round(maxPoints * part.geometry.attributes.position.count / vertexCount));
+    const { points, colors } = part.isMesh
+      ? sampleSurface(part.geometry, share)
+      : sampleVertices(part.geometry, share);
+
+    for (const p of points) {
+      pointCloud.push({ x: p.x * scale, y: p.y * scale, z: p.z * scale });
+    }
+    if (colors) {
+      for (const value of colors) colorValues.push(value);
+    }
+
+    part.geometry.dispose();
+  }
+
+  if (pointCloud.length === 0) {
+    throw new Error("Scan contains no points");
+  }
+
+  const pointColors = hasColors
+    ? Uint8Array.from(colorValues, value => Math.round(Math.min(1, Math.max(0, value)) * 255))
+    : null;
+
+  console.log(`✅ Imported ${format.toUpperCase()} scan: ${vertexCount} vertices → ${pointCloud.length} points`);
+
+  return {
+    pointCloud,
+    pointColors,
+    source: {
+      type: "scan",
+      format,
+      fileName: file.name,
+      vertexCount,
+      scanUnitMm
+    }
+  };
+}
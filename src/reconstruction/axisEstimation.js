@@ -0,0 +1,260 @@
+import { KDTree } from "./kdTree";
+import { symmetricEigen, zeros, cross, dot, normalize } from "./linalg";
+import { estimateNormal, subsamplePoints } from "../icp";
+
+/**
+ * Rotation-axis estimation for wheel-made sherds
+ * Every surface normal of a surface of revolution meets the axis. In
+ * Plücker coordinates that makes the axis the linear line complex closest
+ * to all normal lines, i.e. the smallest eigenvector of a 6×6 moment
+ * matrix (Pottmann & Randrup). Outlying normals are trimmed and the fit
+ * repeated.
+ *
+ * Axes are { direction: {x, y, z}, point: {x, y, z} } with `point` the
+ * foot of the fragment centroid on the axis.
+ */
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[sorted.length >> 1];
+}
+
+/**
+ * Sampled points with PCA normals, centred and scaled to unit RMS radius
+ * so the line-complex fit is well conditioned
+ */
+function sampleNormalLines(points, sampleSize, neighbors) {
+  const sample = subsamplePoints(points, sampleSize);
+  const tree = new KDTree(sample);
+
+  const centroid = { x: 0, y: 0, z: 0 };
+  for (const p of sample) {
+    centroid.x += p.x;
+    centroid.y += p.y;
+    centroid.z += p.z;
+  }
+  centroid.x /= sample.length;
+  centroid.y /= sample.length;
+  centroid.z /= sample.length;
+
+  let spread = 0;
+  for (const p of sample) {
+    spread += (p.x - centroid.x) ** 2 + (p.y - centroid.y) ** 2 + (p.z - centroid.z) ** 2;
+  }
+  const scale = Math.sqrt(spread / sample.length) || 1;
+
+  const lines = [];
+  for (const p of sample) {
+    const neighbours = tree.kNearest(p, neighbors).map(n => sample[n.index]);
+    if (neighbours.length < 3) continue;
+    lines.push({
+      point: {
+        x: (p.x - centroid.x) / scale,
+        y: (p.y - centroid.y) / scale,
+        z: (p.z - centroid.z) / scale
+      },
+      normal: estimateNormal(neighbours)
+    });
+  }
+
+  return { lines, centroid, scale };
+}
+
+/**
+ * Linear complex through the given normal lines
+ * @returns {{complex: number[], conditioning: number}} complex = (a, ā)
+ */
+function fitLineComplex(lines) {
+  const M = zeros(6);
+  for (const { point, normal } of lines) {
+    const moment = cross(point, normal);
+    const v = [moment.x, moment.y, moment.z, normal.x, normal.y, normal.z];
+    for (let i = 0; i < 6; i++) {
+      for (let j = 0; j < 6; j++) M[i][j] += v[i] * v[j];
+    }
+  }
+
+  const { values, vectors } = symmetricEigen(M);
+  const smallest = Math.max(values[5], 0);
+  const next = Math.max(values[4], 1e-300);
+  const third = Math.max(values[3], 1e-300);
+
+  // A second near-zero eigenvalue means the axis is not determined
+  // (plane, cylinder, too small a patch). On a sphere every line through
+  // the centre fits, so the second is no further from the third than from
+  // the smallest: the ratio of two noise eigenvalues alone would be random.
+  return { complex: vectors[5], conditioning: (1 - smallest / next) * (1 - next / third) };
+}
+
+/**
+ * Axis of a linear complex (a, ā): direction a, pitch a·ā / |a|²
+ */
+function complexToAxis(complex) {
+  const a = { x: complex[0], y: complex[1], z: complex[2] };
+  const aBar = { x: complex[3], y: complex[4], z: complex[5] };
+  const lengthSq = dot(a, a);
+  if (lengthSq < 1e-12) return null;
+
+  const foot = cross(a, aBar);
+  return {
+    direction: normalize(a),
+    point: { x: foot.x / lengthSq, y: foot.y / lengthSq, z: foot.z / lengthSq },
+    pitch: dot(a, aBar) / lengthSq
+  };
+}
+
+/**
+ * How far a normal line misses the axis, weighted by the sine of the angle
+ * between them (normals parallel to the axis, e.g. on a flat base, are
+ * consistent with any axis and score zero)
+ */
+function lineOffset(line, axis) {
+  const perpendicular = cross(line.normal, axis.direction);
+  return Math.abs(
+    (line.point.x - axis.point.x) * perpendicular.x +
+    (line.point.y - axis.point.y) * perpendicular.y +
+    (line.point.z - axis.point.z) * perpendicular.z
+  );
+}
+
+/**
+ * How much of the circumference the normals sweep, and how wall-like they are
+ * A flat patch (all normals parallel) pins down neither the axis position
+ * nor, if normals lie along it, its direction.
+ * @returns {{sweep: number, wall: number}} both in [0, 1]
+ */
+function normalCoverage(lines, { direction, point: axisPoint }) {
+  const sum = { x: 0, y: 0, z: 0 };
+  let lengthSum = 0;
+
+  for (const { point, normal } of lines) {
+    const along = dot(normal, direction);
+    const radial = {
+      x: normal.x - direction.x * along,
+      y: normal.y - direction.y * along,
+      z: normal.z - direction.z * along
+    };
+    // PCA normals have arbitrary sign; orient them away from the axis
+    const outward = { x: point.x - axisPoint.x, y: point.y - axisPoint.y, z: point.z - axisPoint.z };
+    const sign = dot(radial, outward) < 0 ? -1 : 1;
+    sum.x += sign * radial.x;
+    sum.y += sign * radial.y;
+    sum.z += sign * radial.z;
+    lengthSum += Math.hypot(radial.x, radial.y, radial.z);
+  }
+
+  const circularSpread = lengthSum > 0 ? 1 - Math.hypot(sum.x, sum.y, sum.z) / lengthSum : 0;
+  return {
+    // ~60° of arc or more counts as fully determined
+    sweep: Math.min(1, circularSpread / 0.05),
+    wall: Math.min(1, lengthSum / lines.length / 0.5)
+  };
+}
+
+/**
+ * Estimate the rotation axis of a fragment
+ * @param {Array<{x, y, z}>} points
+ * @param {Object} options
+ * @param {number} [options.sampleSize=2000] Points used for normal estimation
+ * @param {number} [options.normalNeighbors=12]
+ * @param {number} [options.trimRounds=3] Refits after discarding outlying normals
+ * @returns {{
+ *   direction, point, quality: number, rmsOffset: number,
+ *   inlierRatio: number, pitch: number, conditioning: number
+ * }|null} Offsets and pitch are in point cloud units; null if too few points
+ */
+export function estimateRotationAxis(points, options = {}) {
+  const { sampleSize = 2000, normalNeighbors = 12, trimRounds = 3 } = options;
+
+  if (!points || points.length < normalNeighbors * 4) return null;
+
+  const { lines, centroid, scale } = sampleNormalLines(points, sampleSize, normalNeighbors);
+  if (lines.length < 10) return null;
+
+  let inliers = lines;
+  let fit = null;
+  let axis = null;
+
+  for (let round = 0; round <= trimRounds; round++) {
+    fit = fitLineComplex(inliers);
+    axis = complexToAxis(fit.complex);
+    if (!axis) return null;
+    if (round === trimRounds) break;
+
+    const offsets = lines.map(line => lineOffset(line, axis));
+    const cutoff = Math.max(3 * median(offsets), 1e-6);
+    const kept = lines.filter((_, i) => offsets[i] <= cutoff);
+    if (kept.length < 10) break;
+    inliers = kept;
+  }
+
+  const offsets = inliers.map(line => lineOffset(line, axis));
+  const rmsOffset = Math.sqrt(offsets.reduce((sum, d) => sum + d * d, 0) / offsets.length);
+  const inlierRatio = inliers.length / lines.length;
+
+  // Score in [0, 1]: tight fit, determined axis, enough curvature around
+  // it, little helical pitch (offsets are relative to the fragment size)
+  const coverage = normalCoverage(inliers, axis);
+  const fitScore = Math.max(0, 1 - rmsOffset / 0.1);
+  const pitchScore = 1 / (1 + (axis.pitch / 0.1) ** 2);
+  const quality = fitScore * fit.conditioning * coverage.sweep * coverage.wall * pitchScore * inlierRatio;
+
+  // Keep the capture's "up" so profiles are not flipped
+  let direction = axis.direction;
+  if (direction.y < 0) direction = { x: -direction.x, y: -direction.y, z: -direction.z };
+
+  // Back to point cloud units; anchor the axis at the centroid's height
+  const point = {
+    x: axis.point.x * scale + centroid.x,
+    y: axis.point.y * scale + centroid.y,
+    z: axis.point.z * scale + centroid.z
+  };
+  const along = dot({ x: centroid.x - point.x, y: centroid.y - point.y, z: centroid.z - point.z }, direction);
+
+  return {
+    direction,
+    point: {
+      x: point.x + direction.x * along,
+      y: point.y + direction.y * along,
+      z: point.z + direction.z * along
+    },
+    quality,
+    rmsOffset: rmsOffset * scale,
+    inlierRatio,
+    pitch: axis.pitch * scale,
+    conditioning: fit.conditioning
+  };
+}
+
+/**
+ * Rigid transform into the axis frame: axis along +Y through the origin
+ * (same transform shape as icp.js)
+ */
+export function axisFrameTransform({ direction, point }) {
+  // Any unit vector perpendicular to the axis becomes +X
+  const reference = Math.abs(direction.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 0, z: 1 };
+  const along = dot(reference, direction);
+  const u = normalize({
+    x: reference.x - direction.x * along,
+    y: reference.y - direction.y * along,
+    z: reference.z - direction.z * along
+  });
+  const w = cross(u, direction);
+
+  const rotation = [
+    [u.x, u.y, u.z],
+    [direction.x, direction.y, direction.z],
+    [w.x, w.y, w.z]
+  ];
+
+  return {
+    rotation,
+    translation: {
+      x: -dot(u, point),
+      y: -dot(direction, point),
+      z: -dot(w, point)
+    },
+    scale: 1
+  };
+}
@@ -0,0 +1,394 @@
+import { KDTree } from "./kdTree";
+import {
+  symmetricEigen,
+  pointCovariance,
+  quaternionToMatrix,
+  matrixToQuaternion,
+  determinant3,
+  zeros,
+  cross
+} from "./linalg";
+import {
+  icpAlign,
+  identityTransform,
+  applyTransformToPoint,
+  composeTransforms,
+  invertTransform,
+  subsamplePoints,
+  estimateNormal
+} from "../icp";
+
+/**
+ * Multi-fragment registration into a common vessel frame
+ * Every pair of fragments is aligned with ICP; pairs that actually overlap
+ * become edges of a pose graph. Poses are initialised along the maximum
+ * spanning tree and then refined by averaging the estimates from all
+ * edges, so loop closures spread their error instead of accumulating it.
+ *
+ * Poses map fragment coordinates into the frame of the root fragment.
+ * Sherds of a wheel-thrown vessel may slide about the vessel axis without
+ * losing overlap, so any two of them seem to overlap. Such pairs are kept
+ * as "sliding" edges: they fix height and radius but not the rotation
+ * about the axis (which does not change the extracted profile), weigh
+ * little in the pose graph and do not count as overlapping.
+ */
+
+// Proper rotations that flip PCA axis signs (det = +1)
+const AXIS_FLIPS = [
+  [1, 1, 1],
+  [1, -1, -1],
+  [-1, 1, -1],
+  [-1, -1, 1]
+];
+
+/**
+ * Subsample a fragment and precompute what pairwise alignment needs
+ */
+function prepareCloud(points, sampleSize) {
+  const sample = subsamplePoints(points, sampleSize);
+  const tree = new KDTree(sample);
+  const { centroid, covariance } = pointCovariance(sample);
+
+  // Rows are principal axes, so R · (p − c) expresses p in the PCA frame
+  const axes = symmetricEigen(covariance).vectors;
+  if (determinant3(axes) < 0) axes[2] = axes[2].map(v => -v);
+
+  // Typical sample spacing sets the scale for "overlapping"
+  const spacings = [];
+  const step = Math.max(1, Math.floor(sample.length / 200));
+  for (let i = 0; i < sample.length; i += step) {
+    const neighbours = tree.kNearest(sample[i], 2);
+    if (neighbours.length === 2) spacings.push(Math.sqrt(neighbours[1].distanceSq));
+  }
+  spacings.sort((a, b) => a - b);
+  const spacing = spacings.length > 0 ? spacings[spacings.length >> 1] : 0;
+
+  const normals = sample.map(p => {
+    const neighbours = tree.kNearest(p, 12).map(n => sample[n.index]);
+    return neighbours.length >= 3 ? estimateNormal(neighbours) : null;
+  });
+
+  let spread = 0;
+  for (const p of sample) {
+    spread += (p.x - centroid.x) ** 2 + (p.y - centroid.y) ** 2 + (p.z - centroid.z) ** 2;
+  }
+  const radius = Math.sqrt(spread / Math.max(sample.length, 1)) || 1;
+
+  return { points: sample, tree, normals, centroid, axes, spacing, radius };
+}
+
+function pcaTransform({ axes, centroid }) {
+  const moved = applyTransformToPoint(
+    { rotation: axes, translation: { x: 0, y: 0, z: 0 }, scale: 1 },
+    centroid
+  );
+  return {
+    rotation: axes,
+    translation: { x: -moved.x, y: -moved.y, z: -moved.z },
+    scale: 1
+  };
+}
+
+/**
+ * Starting guesses for mapping cloud b onto cloud a: centroids matched
+ * with the original orientation, plus the four PCA frame alignments
+ */
+function initialGuesses(a, b) {
+  const guesses = [{
+    ...identityTransform(),
+    translation: {
+      x: a.centroid.x - b.centroid.x,
+      y: a.centroid.y - b.centroid.y,
+      z: a.centroid.z - b.centroid.z
+    }
+  }];
+
+  const fromB = pcaTransform(b);
+  const toA = invertTransform(pcaTransform(a));
+  for (const signs of AXIS_FLIPS) {
+    const flip = {
+      rotation: signs.map((s, i) => signs.map((_, j) => (i === j ? s : 0))),
+      translation: { x: 0, y: 0, z: 0 },
+      scale: 1
+    };
+    guesses.push(composeTransforms(toA, composeTransforms(flip, fromB)));
+  }
+
+  return guesses;
+}
+
+/**
+ * Fraction of b's samples that land within `threshold` of a, and their RMS
+ */
+function measureOverlap(transform, a, b, threshold) {
+  const thresholdSq = threshold * threshold;
+  let inliers = 0;
+  let squaredError = 0;
+
+  for (const p of b.points) {
+    const match = a.tree.nearest(applyTransformToPoint(transform, p), thresholdSq);
+    if (match.index >= 0) {
+      inliers++;
+      squaredError += match.distanceSq;
+    }
+  }
+
+  return {
+    overlap: inliers / b.points.length,
+    rmsError: inliers > 0 ? Math.sqrt(squaredError / inliers) : Infinity
+  };
+}
+
+/**
+ * How well the overlap pins the pose down: smallest over largest eigenvalue
+ * of the point-to-plane normal matrix over the overlapping points. Near 0
+ * the pair can slide along the surface without losing overlap, as two
+ * patches of one wheel-made vessel can about its axis.
+ */
+function slideConditioning(transform, a, b, threshold) {
+  const thresholdSq = threshold * threshold;
+  const A = zeros(6);
+  let count = 0;
+
+  for (const p of b.points) {
+    const q = applyTransformToPoint(transform, p);
+    const match = a.tree.nearest(q, thresholdSq);
+    const n = match.index >= 0 ? a.normals[match.index] : null;
+    if (!n) continue;
+
+    const r = {
+      x: (q.x - a.centroid.x) / a.radius,
+      y: (q.y - a.centroid.y) / a.radius,
+      z: (q.z - a.centroid.z) / a.radius
+    };
+    const c = cross(r, n);
+    const J = [c.x, c.y, c.z, n.x, n.y, n.z];
+    for (let i = 0; i < 6; i++) {
+      for (let j = 0; j < 6; j++) A[i][j] += J[i] * J[j];
+    }
+    count++;
+  }
+  if (count < 6) return 0;
+
+  const { values } = symmetricEigen(A);
+  return values[0] > 0 ? Math.max(values[5], 0) / values[0] : 0;
+}
+
+/**
+ * Align cloud b onto cloud a, trying every initial guess
+ * @returns {{transform, overlap: number, rmsError: number, conditioning: number}} transform maps b → a
+ */
+function alignPair(a, b, { icpIterations, icpSampleSize, overlapDistance }) {
+  const threshold = overlapDistance * Math.max(a.spacing, b.spacing, 1e-9);
+  let best = null;
+
+  for (const guess of initialGuesses(a, b)) {
+    const result = icpAlign(b.points, a, {
+      maxIterations: icpIterations,
+      initialTransform: guess,
+      sampleSize: icpSampleSize
+    });
+    const score = measureOverlap(result.transform, a, b, threshold);
+
+    if (
+      !best ||
+      score.overlap > best.overlap + 1e-3 ||
+      (Math.abs(score.overlap - best.overlap) <= 1e-3 && score.rmsError < best.rmsError)
+    ) {
+      best = { transform: result.transform, ...score };
+    }
+  }
+
+  return { ...best, conditioning: slideConditioning(best.transform, a, b, threshold) };
+}
+
+/**
+ * Weighted mean of rigid transforms (quaternion eigen-average for rotation)
+ */
+function averageTransforms(estimates) {
+  const M = zeros(4);
+  const translation = { x: 0, y: 0, z: 0 };
+  let totalWeight = 0;
+
+  for (const { transform, weight } of estimates) {
+    const q = matrixToQuaternion(transform.rotation);
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) M[i][j] += weight * q[i] * q[j];
+    }
+    translation.x += weight * transform.translation.x;
+    translation.y += weight * transform.translation.y;
+    translation.z += weight * transform.translation.z;
+    totalWeight += weight;
+  }
+
+  return {
+    rotation: quaternionToMatrix(symmetricEigen(M).vectors[0]),
+    translation: {
+      x: translation.x / totalWeight,
+      y: translation.y / totalWeight,
+      z: translation.z / totalWeight
+    },
+    scale: 1
+  };
+}
+
+function transformDistance(a, b) {
+  let rotation = 0;
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) rotation = Math.max(rotation, Math.abs(a.rotation[i][j] - b.rotation[i][j]));
+  }
+  const translation = Math.hypot(
+    a.translation.x - b.translation.x,
+    a.translation.y - b.translation.y,
+    a.translation.z - b.translation.z
+  );
+  return { rotation, translation };
+}
+
+/**
+ * Register fragments into the frame of the best-connected fragment
+ * @param {Array<{points: Array<{x, y, z}>, id?: string}>} fragments
+ * @param {Object} options
+ * @param {number} [options.sampleSize=1000] Points per fragment used for alignment
+ * @param {number} [options.icpSampleSize=400] Source points per ICP iteration
+ * @param {number} [options.icpIterations=25] ICP iterations per initial guess
+ * @param {number} [options.overlapDistance=3] Overlap threshold in multiples of point spacing
+ * @param {number} [options.minOverlap=0.3] Fraction of points that must overlap to form an edge
+ * @param {number} [options.minConditioning=1.5e-3] Below this an edge counts as sliding
+ * @param {number} [options.graphIterations=50] Pose graph refinement sweeps
+ * @param {Map} [options.pairCache] Reused pairwise results keyed by fragment ids
+ * @returns {{
+ *   poses: Array<Object>, registered: boolean[], root: number,
+ *   edges: Array<{from: number, to: number, overlap: number, rmsError: number, sliding: boolean}>
+ * }}
+ */
+export function registerFragments(fragments, options = {}) {
+  const {
+    sampleSize = 1000,
+    icpSampleSize = 400,
+    icpIterations = 25,
+    overlapDistance = 3,
+    minOverlap = 0.3,
+    minConditioning = 1.5e-3,
+    graphIterations = 50,
+    pairCache = null
+  } = options;
+
+  const count = fragments.length;
+  const clouds = fragments.map(f => prepareCloud(f.points, sampleSize));
+
+  // Pairwise alignment; each edge's transform maps `to` into `from`
+  const edges = [];
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      const idA = fragments[i].id;
+      const idB = fragments[j].id;
+      const cacheable = pairCache && idA && idB;
+
+      let pair = cacheable ? pairCache.get(`${idA}|${idB}`) : null;
+      if (!pair && cacheable && pairCache.has(`${idB}|${idA}`)) {
+        const reversed = pairCache.get(`${idB}|${idA}`);
+        pair = { ...reversed, transform: invertTransform(reversed.transform) };
+      }
+      if (!pair) {
+        pair = alignPair(clouds[i], clouds[j], { icpIterations, icpSampleSize, overlapDistance });
+        if (cacheable) pairCache.set(`${idA}|${idB}`, pair);
+      }
+
+      if (pair.overlap >= minOverlap) {
+        const spacing = Math.max(clouds[i].spacing, clouds[j].spacing, 1e-9);
+        const sliding = pair.conditioning < minConditioning;
+        edges.push({
+          from: i,
+          to: j,
+          transform: pair.transform,
+          overlap: pair.overlap,
+          rmsError: pair.rmsError,
+          sliding,
+          weight: pair.overlap / (pair.rmsError / spacing + 0.1) * (sliding ? 0.1 : 1)
+        });
+      }
+    }
+  }
+
+  // Root: the fragment with the strongest connections
+  const strength = new Array(count).fill(0);
+  for (const edge of edges) {
+    strength[edge.from] += edge.weight;
+    strength[edge.to] += edge.weight;
+  }
+  const root = strength.reduce((best, value, i) => (value > strength[best] ? i : best), 0);
+
+  // Estimate of node's pose from a neighbour's pose through an edge
+  const throughEdge = (edge, node, poses) => (
+    node === edge.to
+      ? composeTransforms(poses[edge.from], edge.transform)
+      : composeTransforms(poses[edge.to], invertTransform(edge.transform))
+  );
+
+  // Maximum spanning tree (Prim) gives the initial poses
+  const poses = fragments.map(() => identityTransform());
+  const registered = new Array(count).fill(false);
+  registered[root] = true;
+
+  for (;;) {
+    let bestEdge = null;
+    for (const edge of edges) {
+      if (registered[edge.from] !== registered[edge.to] && (!bestEdge || edge.weight > bestEdge.weight)) {
+        bestEdge = edge;
+      }
+    }
+    if (!bestEdge) break;
+
+    const node = registered[bestEdge.from] ? bestEdge.to : bestEdge.from;
+    poses[node] = throughEdge(bestEdge, node, poses);
+    registered[node] = true;
+  }
+
+  // Refine: each pose becomes the weighted average of its neighbours' estimates
+  let iterations = 0;
+  for (; iterations < graphIterations; iterations++) {
+    let maxChange = 0;
+
+    for (let node = 0; node < count; node++) {
+      if (node === root || !registered[node]) continue;
+
+      const estimates = edges
+        .filter(edge => edge.from === node || edge.to === node)
+        .map(edge => ({ transform: throughEdge(edge, node, poses), weight: edge.weight }));
+      if (estimates.length === 0) continue;
+
+      const updated = averageTransforms(estimates);
+      const change = transformDistance(updated, poses[node]);
+      maxChange = Math.max(maxChange, change.rotation, change.translation / Math.max(clouds[node].spacing, 1e-9));
+      poses[node] = updated;
+    }
+
+    if (maxChange < 1e-4) break;
+  }
+
+  const registeredCount = registered.filter(Boolean).length;
+  const slidingCount = edges.filter(edge => edge.sliding).length;
+  console.log(`✅ Registered ${registeredCount}/${count} fragments (${edges.length - slidingCount} overlapping, ${slidingCount} sliding pairs, ${iterations} graph sweeps)`);
+
+  return {
+    poses,
+    registered,
+    root,
+    edges: edges.map(({ from, to, overlap, rmsError, sliding }) => ({ from, to, overlap, rmsError, sliding }))
+  };
+}
+
+/**
+ * Drop cached pairs of fragments that are gone (deleted or moved to
+ * another vessel)
+ * @param {Map} pairCache
+ * @param {Array<string>} ids Fragment ids still being registered
+ */
+export function prunePairCache(pairCache, ids) {
+  const current = new Set(ids);
+  for (const key of pairCache.keys()) {
+    const [idA, idB] = key.split("|");
+    if (!current.has(idA) || !current.has(idB)) pairCache.delete(key);
+  }
+}
@@ -0,0 +1,427 @@
+import { KDTree } from "./kdTree";
+import { pointCovariance, symmetricEigen } from "./linalg";
+import { subsamplePoints } from "../icp";
+
+/**
+ * Break-edge matching for join suggestions
+ * Each fragment's outline is traced from its point cloud flattened onto
+ * the best-fit plane. Two sherds that join share a stretch of fracture
+ * edge, which both outlines trace in opposite directions, so along that
+ * stretch A's turning angles are the negated, reversed turning angles of
+ * B. Which face of a sherd the best-fit plane is seen from depends on how
+ * it lay on the scanner, so B is also tried mirrored. Wall thickness must
+ * also agree.
+ *
+ * Only scanned fragments take part: photo point clouds come from a pseudo
+ * depth map that covers the whole image, so their "outline" would be the
+ * image frame rather than the break edge.
+ */
+
+const GRID_SIZE = 64;
+const OUTLINE_SAMPLES = 96;
+
+// Outline and thickness per point cloud; fragments are immutable once captured
+const featureCache = new WeakMap();
+
+/**
+ * Occupancy grid of the points projected onto their best-fit plane
+ */
+function rasterize(points) {
+  const { centroid, covariance } = pointCovariance(points);
+  const [u, v] = symmetricEigen(covariance).vectors;
+
+  const projected = points.map(p => {
+    const dx = p.x - centroid.x;
+    const dy = p.y - centroid.y;
+    const dz = p.z - centroid.z;
+    return {
+      s: dx * u[0] + dy * u[1] + dz * u[2],
+      t: dx * v[0] + dy * v[1] + dz * v[2]
+    };
+  });
+
+  let minS = Infinity, maxS = -Infinity, minT = Infinity, maxT = -Infinity;
+  for (const { s, t } of projected) {
+    minS = Math.min(minS, s); maxS = Math.max(maxS, s);
+    minT = Math.min(minT, t); maxT = Math.max(maxT, t);
+  }
+
+  // Two-cell margin keeps the outline off the grid border
+  const cellSize = Math.max(maxS - minS, maxT - minT, 1e-9) / (GRID_SIZE - 5);
+  const grid = new Uint8Array(GRID_SIZE * GRID_SIZE);
+  for (const { s, t } of projected) {
+    const i = Math.floor((s - minS) / cellSize) + 2;
+    const j = Math.floor((t - minT) / cellSize) + 2;
+    grid[j * GRID_SIZE + i] = 1;
+  }
+
+  return { grid, cellSize, originS: minS, originT: minT };
+}
+
+function morph(grid, keep) {
+  const out = new Uint8Array(grid.length);
+  for (let j = 1; j < GRID_SIZE - 1; j++) {
+    for (let i = 1; i < GRID_SIZE - 1; i++) {
+      let count = 0;
+      for (let dj = -1; dj <= 1; dj++) {
+        for (let di = -1; di <= 1; di++) count += grid[(j + dj) * GRID_SIZE + i + di];
+      }
+      out[j * GRID_SIZE + i] = keep(count) ? 1 : 0;
+    }
+  }
+  return out;
+}
+
+/**
+ * Close gaps between sparse samples, keep the largest blob, fill its holes
+ */
+function cleanMask(grid) {
+  const closed = morph(morph(grid, count => count > 0), count => count === 9);
+
+  const labels = new Int32Array(closed.length).fill(-1);
+  let best = { label: -1, size: 0 };
+  let label = 0;
+  for (let start = 0; start < closed.length; start++) {
+    if (!closed[start] || labels[start] >= 0) continue;
+
+    const stack = [start];
+    labels[start] = label;
+    let size = 0;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      size++;
+      const i = cell % GRID_SIZE;
+      for (const next of [cell - 1, cell + 1, cell - GRID_SIZE, cell + GRID_SIZE]) {
+        if (next < 0 || next >= closed.length) continue;
+        if (Math.abs((next % GRID_SIZE) - i) > 1) continue;
+        if (closed[next] && labels[next] < 0) {
+          labels[next] = label;
+          stack.push(next);
+        }
+      }
+    }
+    if (size > best.size) best = { label, size };
+    label++;
+  }
+
+  // Everything not reachable from the border without crossing the blob is inside it
+  const outside = new Uint8Array(closed.length);
+  const stack = [0];
+  outside[0] = 1;
+  while (stack.length > 0) {
+    const cell = stack.pop();
+    const i = cell % GRID_SIZE;
+    for (const next of [cell - 1, cell + 1, cell - GRID_SIZE, cell + GRID_SIZE]) {
+      if (next < 0 || next >= closed.length) continue;
+      if (Math.abs((next % GRID_SIZE) - i) > 1) continue;
+      if (!outside[next] && labels[next] !== best.label) {
+        outside[next] = 1;
+        stack.push(next);
+      }
+    }
+  }
+
+  return outside.map(value => (value ? 0 : 1));
+}
+
+/**
+ * Outer boundary of the mask along cell edges, counter-clockwise
+ * Each filled cell contributes the sides it shares with empty cells,
+ * oriented so the cell lies on their left; chaining them gives loops.
+ * @returns {Array<{s, t}>} Lattice corners along the longest loop
+ */
+function traceBoundary(mask, { cellSize, originS, originT }) {
+  const filled = (i, j) => i >= 0 && j >= 0 && i < GRID_SIZE && j < GRID_SIZE && mask[j * GRID_SIZE + i] === 1;
+  const key = (i, j) => j * (GRID_SIZE + 1) + i;
+
+  const outgoing = new Map();
+  const addEdge = (from, to) => {
+    const k = key(...from);
+    if (!outgoing.has(k)) outgoing.set(k, []);
+    outgoing.get(k).push({ from, to });
+  };
+
+  for (let j = 0; j < GRID_SIZE; j++) {
+    for (let i = 0; i < GRID_SIZE; i++) {
+      if (!filled(i, j)) continue;
+      if (!filled(i, j - 1)) addEdge([i + 1, j], [i, j]);
+      if (!filled(i - 1, j)) addEdge([i, j], [i, j + 1]);
+      if (!filled(i, j + 1)) addEdge([i, j + 1], [i + 1, j + 1]);
+      if (!filled(i + 1, j)) addEdge([i + 1, j + 1], [i + 1, j]);
+    }
+  }
+
+  let longest = [];
+  for (const edges of outgoing.values()) {
+    while (edges.length > 0) {
+      const loop = [];
+      let edge = edges.pop();
+      while (edge) {
+        loop.push(edge.from);
+        edge = outgoing.get(key(...edge.to))?.pop();
+      }
+      if (loop.length > longest.length) longest = loop;
+    }
+  }
+
+  const boundary = longest.map(([i, j]) => ({
+    s: originS + (i - 2) * cellSize,
+    t: originT + (j - 2) * cellSize
+  }));
+
+  // Signed area → counter-clockwise
+  let area = 0;
+  for (let k = 0; k < boundary.length; k++) {
+    const a = boundary[k];
+    const b = boundary[(k + 1) % boundary.length];
+    area += a.s * b.t - b.s * a.t;
+  }
+  return area < 0 ? boundary.reverse() : boundary;
+}
+
+function outlineLength(outline) {
+  let length = 0;
+  for (let k = 0; k < outline.length; k++) {
+    const a = outline[k];
+    const b = outline[(k + 1) % outline.length];
+    length += Math.hypot(b.s - a.s, b.t - a.t);
+  }
+  return length;
+}
+
+/**
+ * Closed polyline resampled at a fixed arc-length step
+ */
+function resampleOutline(outline, step) {
+  const samples = [];
+  let carried = 0;
+
+  for (let k = 0; k < outline.length; k++) {
+    const a = outline[k];
+    const b = outline[(k + 1) % outline.length];
+    const segment = Math.hypot(b.s - a.s, b.t - a.t);
+    let position = carried;
+    while (position < segment) {
+      const f = position / segment;
+      samples.push({ s: a.s + (b.s - a.s) * f, t: a.t + (b.t - a.t) * f });
+      position += step;
+    }
+    carried = position - segment;
+  }
+
+  return samples;
+}
+
+function wrapAngle(angle) {
+  while (angle > Math.PI) angle -= 2 * Math.PI;
+  while (angle < -Math.PI) angle += 2 * Math.PI;
+  return angle;
+}
+
+/**
+ * Tangent direction at each sample, from a chord over ±span samples
+ * so grid staircase noise averages out
+ */
+function tangentAngles(samples, span = 2) {
+  const n = samples.length;
+  return samples.map((_, k) => {
+    const a = samples[(k - span + n) % n];
+    const b = samples[(k + span) % n];
+    return Math.atan2(b.t - a.t, b.s - a.s);
+  });
+}
+
+/**
+ * Wall thickness from the spread of neighbours along the local normal
+ * (closed scans show both faces)
+ */
+function estimateThickness(points) {
+  const sample = subsamplePoints(points, 5000);
+  const tree = new KDTree(sample);
+  const { covariance } = pointCovariance(sample);
+  const extent = Math.sqrt(covariance[0][0] + covariance[1][1] + covariance[2][2]);
+  const radius = extent * 0.15;
+
+  const spreads = [];
+  const step = Math.max(1, Math.floor(sample.length / 150));
+  for (let k = 0; k < sample.length; k += step) {
+    const neighbours = tree.radiusSearch(sample[k], radius).map(index => sample[index]);
+    if (neighbours.length < 10) continue;
+
+    const local = pointCovariance(neighbours);
+    const [nx, ny, nz] = symmetricEigen(local.covariance).vectors[2];
+    const offsets = neighbours
+      .map(p => (p.x - local.centroid.x) * nx + (p.y - local.centroid.y) * ny + (p.z - local.centroid.z) * nz)
+      .sort((a, b) => a - b);
+    spreads.push(offsets[Math.floor(offsets.length * 0.95)] - offsets[Math.floor(offsets.length * 0.05)]);
+  }
+
+  if (spreads.length === 0) return null;
+  spreads.sort((a, b) => a - b);
+  return spreads[spreads.length >> 1];
+}
+
+/**
+ * Outline (in point cloud units) and thickness of a fragment, cached
+ * @returns {{outline: Array<{s, t}>, length: number, thickness: number|null}|null}
+ *   null for photo captures and clouds too small to trace
+ */
+export function getJoinFeatures(fragment) {
+  const points = fragment.pointCloud;
+  if (fragment.source?.type !== "scan" || !points || points.length < 50) return null;
+
+  let features = featureCache.get(points);
+  if (!features) {
+    const sample = subsamplePoints(points, 20000);
+    const raster = rasterize(sample);
+    const outline = traceBoundary(cleanMask(raster.grid), raster);
+    features = outline.length >= 8
+      ? {
+        outline,
+        length: outlineLength(outline),
+        thickness: estimateThickness(sample)
+      }
+      : null;
+    featureCache.set(points, features);
+  }
+  return features;
+}
+
+/**
+ * Best complementary stretch between two outlines
+ * Along a shared edge, B's reversed tangents equal A's up to the unknown
+ * rotation between the two captures, which is removed per window. Seen
+ * from the other face, B's outline is mirrored: its tangents are negated
+ * and run forwards instead. Both outlines are resampled at one step, so
+ * the k-th samples of A and B lie equally far along a shared edge.
+ * @returns {{curveError: number, signal: number, edgeLength: number}}
+ *   curveError and signal are RMS angles in radians; edgeLength is in
+ *   point cloud units
+ */
+function matchOutlines(a, b, edgeFraction) {
+  const step = Math.min(a.length, b.length) / OUTLINE_SAMPLES;
+  const tangentsA = tangentAngles(resampleOutline(a.outline, step));
+  const tangentsB = tangentAngles(resampleOutline(b.outline, step));
+  const nA = tangentsA.length;
+  const nB = tangentsB.length;
+  const window = Math.max(4, Math.round(Math.min(nA, nB) * edgeFraction));
+  const differences = new Float64Array(window);
+
+  // As captured: B reversed; mirrored: B negated, forwards
+  const orientations = [
+    { sign: 1, direction: -1 },
+    { sign: -1, direction: 1 }
+  ];
+
+  let best = { curveError: Infinity, signal: 0 };
+  for (let i = 0; i < nA; i++) {
+    for (let j = 0; j < nB; j++) {
+      for (const { sign, direction } of orientations) {
+        // Unwrap relative to the first pair, then drop the mean rotation
+        const reference = tangentsA[i] - sign * tangentsB[j];
+        let mean = 0;
+        for (let k = 0; k < window; k++) {
+          const raw = tangentsA[(i + k) % nA] - sign * tangentsB[(j + direction * k + nB * window) % nB];
+          differences[k] = wrapAngle(raw - reference);
+          mean += differences[k];
+        }
+        mean /= window;
+
+        let error = 0;
+        for (let k = 0; k < window; k++) error += (differences[k] - mean) ** 2;
+        const rms = Math.sqrt(error / window);
+
+        if (rms < best.curveError) {
+          let signalMean = 0;
+          const unwrapped = new Float64Array(window);
+          for (let k = 0; k < window; k++) {
+            unwrapped[k] = wrapAngle(tangentsA[(i + k) % nA] - tangentsA[i]);
+            signalMean += unwrapped[k];
+          }
+          signalMean /= window;
+          let signal = 0;
+          for (let k = 0; k < window; k++) signal += (unwrapped[k] - signalMean) ** 2;
+          best = { curveError: rms, signal: Math.sqrt(signal / window) };
+        }
+      }
+    }
+  }
+
+  return { ...best, edgeLength: window * step };
+}
+
+/**
+ * Rank likely joins between scanned fragments
+ * Pairs are matched in slices that yield to the browser between them, as
+ * the work grows with the square of the fragment count.
+ * @param {Array<Object>} fragments Captured fragments (pointCloud, id, source)
+ * @param {Object} options
+ * @param {number} [options.edgeFraction=0.25] Shared edge length as a fraction of the outline
+ * @param {number} [options.minScore=0.2]
+ * @param {number} [options.maxResults=20]
+ * @param {Function} [options.onProgress] Called with (pairsDone, pairCount)
+ * @returns {Promise<Array<{
+ *   a: Object, b: Object, score: number, curveError: number,
+ *   thicknessDifference: number|null, edgeLength: number
+ * }>>} Best first; `a`/`b` are the fragments themselves
+ */
+export async function suggestJoins(fragments, options = {}) {
+  const { edgeFraction = 0.25, minScore = 0.2, maxResults = 20, onProgress = null } = options;
+
+  let sliceStart = performance.now();
+  const yieldIfBusy = async (beforeYield = null) => {
+    if (performance.now() - sliceStart < 50) return;
+    if (beforeYield) beforeYield();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sliceStart = performance.now();
+  };
+
+  const candidates = [];
+  for (const fragment of fragments) {
+    await yieldIfBusy();
+    const features = getJoinFeatures(fragment);
+    if (features) candidates.push({ fragment, features });
+  }
+
+  const pairCount = candidates.length * (candidates.length - 1) / 2;
+  const joins = [];
+  let pairsDone = 0;
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      await yieldIfBusy(onProgress && (() => onProgress(pairsDone, pairCount)));
+      pairsDone++;
+
+      const featuresA = candidates[i].features;
+      const featuresB = candidates[j].features;
+      const match = matchOutlines(featuresA, featuresB, edgeFraction);
+
+      // A perfectly straight edge matches every other straight edge,
+      // so featureless stretches count for less
+      const curveScore = Math.exp(-match.curveError / 0.15);
+      const distinctiveness = Math.min(1, 0.5 + match.signal / 0.6);
+
+      const tA = featuresA.thickness;
+      const tB = featuresB.thickness;
+      const thicknessDifference = tA !== null && tB !== null ? Math.abs(tA - tB) : null;
+      const thicknessScore = thicknessDifference !== null
+        ? Math.exp(-thicknessDifference / (0.15 * Math.max(tA, tB, 1e-9)))
+        : 1;
+
+      const score = curveScore * distinctiveness * thicknessScore;
+      if (score >= minScore) {
+        joins.push({
+          a: candidates[i].fragment,
+          b: candidates[j].fragment,
+          score,
+          curveError: match.curveError,
+          thicknessDifference,
+          edgeLength: match.edgeLength
+        });
+      }
+    }
+  }
+
+  joins.sort((x, y) => y.score - x.score);
+  return joins.slice(0, maxResults);
+}
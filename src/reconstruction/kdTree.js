@@ -0,0 +1,164 @@
+/**
+ * Static 3D k-d tree for nearest-neighbour queries on point clouds
+ * Built once in O(N log N); queries are O(log N) on average, which keeps
+ * ICP usable on the 100k+ point clouds produced by depthToPointCloud.
+ */
+
+export class KDTree {
+  /**
+   * @param {Array<{x, y, z}>} points
+   */
+  constructor(points) {
+    this.points = points;
+    this.count = points.length;
+
+    this.coords = new Float64Array(this.count * 3);
+    points.forEach((p, i) => {
+      this.coords[i * 3] = p.x;
+      this.coords[i * 3 + 1] = p.y;
+      this.coords[i * 3 + 2] = p.z;
+    });
+
+    // Implicit tree: node for range [lo, hi) is stored at its median index
+    this.order = new Uint32Array(this.count);
+    for (let i = 0; i < this.count; i++) this.order[i] = i;
+    this.axes = new Uint8Array(this.count);
+
+    this.build(0, this.count, 0);
+  }
+
+  build(lo, hi, depth) {
+    // Iterative over the larger half to keep recursion depth at O(log N)
+    while (hi - lo > 1) {
+      const axis = depth % 3;
+      const mid = (lo + hi) >> 1;
+      this.select(lo, hi - 1, mid, axis);
+      this.axes[mid] = axis;
+
+      this.build(lo, mid, depth + 1);
+      lo = mid + 1;
+      depth++;
+    }
+    if (hi - lo === 1) this.axes[lo] = depth % 3;
+  }
+
+  // Quickselect: place the k-th smallest (along axis) at position k
+  select(left, right, k, axis) {
+    const { order, coords } = this;
+
+    while (right > left) {
+      const pivot = coords[order[(left + right) >> 1] * 3 + axis];
+      let i = left;
+      let j = right;
+
+      while (i <= j) {
+        while (coords[order[i] * 3 + axis] < pivot) i++;
+        while (coords[order[j] * 3 + axis] > pivot) j--;
+        if (i <= j) {
+          const tmp = order[i];
+          order[i] = order[j];
+          order[j] = tmp;
+          i++;
+          j--;
+        }
+      }
+
+      if (k <= j) right = j;
+      else if (k >= i) left = i;
+      else return;
+    }
+  }
+
+  /**
+   * Nearest neighbour of a query point
+   * @returns {{index: number, distanceSq: number}} index into the original points
+   */
+  nearest(query, maxDistanceSq = Infinity) {
+    const result = this.kNearest(query, 1, maxDistanceSq);
+    return result.length > 0 ? result[0] : { index: -1, distanceSq: Infinity };
+  }
+
+  /**
+   * k nearest neighbours, closest first
+   * @returns {Array<{index: number, distanceSq: number}>}
+   */
+  kNearest(query, k, maxDistanceSq = Infinity) {
+    const { order, coords, axes } = this;
+    const qx = query.x;
+    const qy = query.y;
+    const qz = query.z;
+    const q = [qx, qy, qz];
+
+    // Sorted candidate list; k is small (≤ ~30) so insertion is cheap
+    const best = [];
+    let worst = maxDistanceSq;
+
+    const stack = [[0, this.count]];
+    while (stack.length > 0) {
+      const [lo, hi] = stack.pop();
+      if (hi <= lo) continue;
+
+      const mid = (lo + hi) >> 1;
+      const index = order[mid];
+      const dx = coords[index * 3] - qx;
+      const dy = coords[index * 3 + 1] - qy;
+      const dz = coords[index * 3 + 2] - qz;
+      const distanceSq = dx * dx + dy * dy + dz * dz;
+
+      if (distanceSq < worst || (best.length < k && distanceSq <= maxDistanceSq)) {
+        let position = best.length;
+        while (position > 0 && best[position - 1].distanceSq > distanceSq) position--;
+        best.splice(position, 0, { index, distanceSq });
+        if (best.length > k) best.pop();
+        if (best.length === k) worst = best[k - 1].distanceSq;
+      }
+
+      if (hi - lo === 1) continue;
+
+      const axis = axes[mid];
+      const diff = q[axis] - coords[index * 3 + axis];
+      const [nearLo, nearHi, farLo, farHi] = diff < 0
+        ? [lo, mid, mid + 1, hi]
+        : [mid + 1, hi, lo, mid];
+
+      // Visit the far side only if the splitting plane is within reach
+      if (diff * diff < worst) stack.push([farLo, farHi]);
+      stack.push([nearLo, nearHi]);
+    }
+
+    return best;
+  }
+
+  /**
+   * All points within a radius of the query
+   * @returns {Array<number>} indices into the original points
+   */
+  radiusSearch(query, radius) {
+    const { order, coords, axes } = this;
+    const q = [query.x, query.y, query.z];
+    const radiusSq = radius * radius;
+    const found = [];
+
+    const stack = [[0, this.count]];
+    while (stack.length > 0) {
+      const [lo, hi] = stack.pop();
+      if (hi <= lo) continue;
+
+      const mid = (lo + hi) >> 1;
+      const index = order[mid];
+      const dx = coords[index * 3] - q[0];
+      const dy = coords[index * 3 + 1] - q[1];
+      const dz = coords[index * 3 + 2] - q[2];
+      if (dx * dx + dy * dy + dz * dz <= radiusSq) found.push(index);
+
+      if (hi - lo === 1) continue;
+
+      const axis = axes[mid];
+      const diff = q[axis] - coords[index * 3 + axis];
+      if (diff <= radius) stack.push([lo, mid]);
+      if (diff >= -radius) stack.push([mid + 1, hi]);
+    }
+
+    return found;
+  }
+}
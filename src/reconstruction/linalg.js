@@ -0,0 +1,251 @@
+/**
+ * Small dense linear algebra helpers for geometry fitting
+ * Matrices are arrays of rows (number[][]); sizes here are tiny (≤ 10),
+ * so clarity wins over speed.
+ */
+
+export function zeros(rows, cols = rows) {
+  return Array.from({ length: rows }, () => new Array(cols).fill(0));
+}
+
+export function identity(n) {
+  const m = zeros(n);
+  for (let i = 0; i < n; i++) m[i][i] = 1;
+  return m;
+}
+
+export function multiply(a, b) {
+  const rows = a.length;
+  const cols = b[0].length;
+  const inner = b.length;
+  const out = zeros(rows, cols);
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      let sum = 0;
+      for (let k = 0; k < inner; k++) sum += a[i][k] * b[k][j];
+      out[i][j] = sum;
+    }
+  }
+  return out;
+}
+
+export function transpose(m) {
+  return m[0].map((_, j) => m.map(row => row[j]));
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix (cyclic Jacobi)
+ * @param {number[][]} matrix Symmetric n×n
+ * @returns {{values: number[], vectors: number[][]}} Sorted by descending
+ *   eigenvalue; vectors[i] is the eigenvector for values[i]
+ */
+export function symmetricEigen(matrix, maxSweeps = 50) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = identity(n);
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-22) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const pairs = a.map((row, i) => ({
+    value: row[i],
+    vector: v.map(r => r[i])
+  }));
+  pairs.sort((x, y) => y.value - x.value);
+
+  return {
+    values: pairs.map(p => p.value),
+    vectors: pairs.map(p => p.vector)
+  };
+}
+
+/**
+ * Solve A x = b with Gaussian elimination and partial pivoting
+ * @returns {number[]|null} null when A is singular
+ */
+export function solveLinear(A, b) {
+  const n = A.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Centroid and covariance matrix of a set of 3D points
+ * @returns {{centroid: {x, y, z}, covariance: number[][]}}
+ */
+export function pointCovariance(points) {
+  const n = points.length;
+  let cx = 0;
+  let cy = 0;
+  let cz = 0;
+  for (const p of points) {
+    cx += p.x;
+    cy += p.y;
+    cz += p.z;
+  }
+  cx /= n;
+  cy /= n;
+  cz /= n;
+
+  const c = zeros(3);
+  for (const p of points) {
+    const dx = p.x - cx;
+    const dy = p.y - cy;
+    const dz = p.z - cz;
+    c[0][0] += dx * dx;
+    c[0][1] += dx * dy;
+    c[0][2] += dx * dz;
+    c[1][1] += dy * dy;
+    c[1][2] += dy * dz;
+    c[2][2] += dz * dz;
+  }
+  c[1][0] = c[0][1];
+  c[2][0] = c[0][2];
+  c[2][1] = c[1][2];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) c[i][j] /= n;
+  }
+
+  return { centroid: { x: cx, y: cy, z: cz }, covariance: c };
+}
+
+/**
+ * Rotation matrix (3×3 rows) from a unit quaternion [w, x, y, z]
+ */
+export function quaternionToMatrix([w, x, y, z]) {
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+  ];
+}
+
+/**
+ * Rotation matrix from a rotation vector (axis × angle, Rodrigues)
+ */
+export function rotationVectorToMatrix([rx, ry, rz]) {
+  const angle = Math.hypot(rx, ry, rz);
+  if (angle < 1e-12) return identity(3);
+
+  const half = angle / 2;
+  const s = Math.sin(half) / angle;
+  return quaternionToMatrix([Math.cos(half), rx * s, ry * s, rz * s]);
+}
+
+export function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+export function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function normalize(v) {
+  const length = Math.hypot(v.x, v.y, v.z) || 1;
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * Unit quaternion [w, x, y, z] from a rotation matrix (3×3 rows)
+ */
+export function matrixToQuaternion(R) {
+  const trace = R[0][0] + R[1][1] + R[2][2];
+  let w, x, y, z;
+
+  if (trace > 0) {
+    const s = Math.sqrt(trace + 1) * 2;
+    w = s / 4;
+    x = (R[2][1] - R[1][2]) / s;
+    y = (R[0][2] - R[2][0]) / s;
+    z = (R[1][0] - R[0][1]) / s;
+  } else if (R[0][0] > R[1][1] && R[0][0] > R[2][2]) {
+    const s = Math.sqrt(1 + R[0][0] - R[1][1] - R[2][2]) * 2;
+    w = (R[2][1] - R[1][2]) / s;
+    x = s / 4;
+    y = (R[0][1] + R[1][0]) / s;
+    z = (R[0][2] + R[2][0]) / s;
+  } else if (R[1][1] > R[2][2]) {
+    const s = Math.sqrt(1 + R[1][1] - R[0][0] - R[2][2]) * 2;
+    w = (R[0][2] - R[2][0]) / s;
+    x = (R[0][1] + R[1][0]) / s;
+    y = s / 4;
+    z = (R[1][2] + R[2][1]) / s;
+  } else {
+    const s = Math.sqrt(1 + R[2][2] - R[0][0] - R[1][1]) * 2;
+    w = (R[1][0] - R[0][1]) / s;
+    x = (R[0][2] + R[2][0]) / s;
+    y = (R[1][2] + R[2][1]) / s;
+    z = s / 4;
+  }
+
+  const length = Math.hypot(w, x, y, z) || 1;
+  return [w / length, x / length, y / length, z / length];
+}
+
+export function determinant3(m) {
+  return (
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])
+  );
+}
@@ -1,9 +1,59 @@
 import * as THREE from "three";
+import { estimateRotationAxis, axisFrameTransform } from "./axisEstimation";
+import { applyTransform, transformToMatrix4 } from "../icp";
+
+// Fixed axis used when a fragment's own axis cannot be estimated reliably
+const DEFAULT_AXIS = {
+  direction: { x: 0, y: 1, z: 0 },
+  point: { x: 0, y: 0, z: 0 },
+  quality: 0,
+  estimated: false
+};
 
 export class PotteryReconstructor {
   constructor() {
     this.fragments = [];
-    this.symmetryAxis = new THREE.Vector3(0, 1, 0);
+    this.estimateAxes = true;
+    this.minAxisQuality = 0.2;
+    this.axes = [];
+    this.useRegistration = true;
+    // Last registration (computed in a worker, see registrationService),
+    // kept through clear() with the keys of the fragments it covered
+    this.registration = null;
+    this.registrationKeys = [];
+    this.poses = [];
+  }
+
+  // Fragments without an id (no project) are matched by position
+  fragmentKeys() {
+    return this.fragments.map((f, i) => f.id || `#${i}`);
+  }
+
+  /**
+   * Fragments to register when the stored registration does not cover
+   * exactly the current fragments
+   * @returns {{keys: Array<string>, fragments: Array<{id, points}>}|null}
+   */
+  registrationRequest() {
+    if (!this.useRegistration || this.fragments.length < 2) return null;
+
+    const keys = this.fragmentKeys();
+    const covered = new Set(this.registrationKeys);
+    if (keys.length === covered.size && keys.every(key => covered.has(key))) return null;
+
+    return { keys, fragments: this.fragments.map(f => ({ id: f.id, points: f.points })) };
+  }
+
+  /**
+   * Store a registration computed for the fragments `keys`
+   * @returns {boolean} Whether it covers the current fragments (worth a rebuild)
+   */
+  setRegistration(keys, registration) {
+    this.registration = registration;
+    this.registrationKeys = keys;
+
+    const current = this.fragmentKeys();
+    return current.length === keys.length && current.every(key => keys.includes(key));
   }
 
   addFragment(pointCloud, metadata = {}) {
@@ -11,7 +61,9 @@ export class PotteryReconstructor {
       points: pointCloud,
       type: metadata.fragmentType || "unknown",
       confidence: metadata.confidence || 0.5,
-      timestamp: Date.now()
+      id: metadata.id || null,
+      record: metadata.record || null,
+      timestamp: metadata.timestamp || Date.now()
     });
     console.log(`Added ${metadata.fragmentType} fragment with ${pointCloud.length} points`);
   }
@@ -134,9 +186,9 @@ export class PotteryReconstructor {
 
     console.log(`Reconstructing pottery from ${this.fragments.length} fragments`);
 
-    const profiles = this.fragments.map(fragment => 
-      this.extractSymmetryProfile(fragment.points)
-    );
+    const posed = this.alignFragments();
+    const framed = this.alignToAxes(posed);
+    const profiles = framed.map(points => this.extractSymmetryProfile(points));
 
     const finalProfile = this.mergeProfiles(profiles);
 
@@ -146,9 +198,79 @@ export class PotteryReconstructor {
 
     this.applyFragmentConstraints(mesh);
 
+    // Carried into glTF extras on export
+    mesh.name = "ArchiaVessel";
+    mesh.userData = {
+      generator: "Archia",
+      profilePoints: finalProfile.length,
+      fragments: this.getFragmentMetadata()
+    };
+
     return mesh;
   }
 
+  /**
+   * Bring all fragments into one vessel frame before profile extraction
+   * using the stored registration. Fragments it does not cover yet, or
+   * that overlap nothing else, keep their capture frame.
+   * @returns {Array<Array<{x, y, z}>>} Point clouds in the common frame
+   */
+  alignFragments() {
+    const index = new Map(this.registrationKeys.map((key, i) => [key, i]));
+    const usable = this.useRegistration && this.registration && this.fragments.length > 1;
+
+    this.poses = this.fragmentKeys().map(key => {
+      const i = index.get(key);
+      return usable && i !== undefined && this.registration.registered[i] ? this.registration.poses[i] : null;
+    });
+
+    return this.fragments.map((f, i) => (this.poses[i] ? applyTransform(this.poses[i], f.points) : f.points));
+  }
+
+  // Registration edges between current fragments
+  currentEdges() {
+    if (!this.registration) return [];
+    const current = new Set(this.fragmentKeys());
+    return this.registration.edges.filter(edge =>
+      current.has(this.registrationKeys[edge.from]) && current.has(this.registrationKeys[edge.to])
+    );
+  }
+
+  /**
+   * Re-express each fragment in a frame where its rotation axis is +Y
+   * through the origin, so extractSymmetryProfile can read radius off x/z.
+   * Fragments registered together share one axis fitted to all of them.
+   * @param {Array<Array<{x, y, z}>>} posed Output of alignFragments()
+   */
+  alignToAxes(posed) {
+    this.axes = posed.map(() => DEFAULT_AXIS);
+    if (!this.estimateAxes) return posed;
+
+    const accept = axis => (axis && axis.quality >= this.minAxisQuality
+      ? { ...axis, estimated: true }
+      : null);
+
+    posed.forEach((points, i) => {
+      this.axes[i] = accept(estimateRotationAxis(points)) || DEFAULT_AXIS;
+    });
+
+    const group = posed.map((_, i) => i).filter(i => this.poses[i]);
+    if (group.length > 1) {
+      const shared = accept(estimateRotationAxis(group.flatMap(i => posed[i])));
+      if (shared) group.forEach(i => { this.axes[i] = { ...shared, shared: true }; });
+    }
+
+    return posed.map((points, i) => {
+      const axis = this.axes[i];
+      console.log(
+        axis.estimated
+          ? `Fragment ${i + 1}: axis quality ${axis.quality.toFixed(2)}${axis.shared ? " (shared)" : ""}`
+          : `Fragment ${i + 1}: axis not determined, assuming vertical`
+      );
+      return axis.estimated ? applyTransform(axisFrameTransform(axis), points) : points;
+    });
+  }
+
   applyFragmentConstraints(mesh) {
     const hasRim = this.fragments.some(f => f.type === "rim");
     const hasBase = this.fragments.some(f => f.type === "base");
@@ -162,26 +284,72 @@ export class PotteryReconstructor {
     }
   }
 
+  getFragmentMetadata() {
+    const { poses, axes } = this;
+
+    return this.fragments.map((f, i) => ({
+      id: f.id,
+      fragmentType: f.type,
+      confidence: f.confidence,
+      pointCount: f.points.length,
+      timestamp: f.timestamp,
+      record: f.record,
+      // Column-major 4×4 pose in the vessel frame (null when unregistered)
+      pose: poses[i] ? transformToMatrix4(poses[i]).toArray() : null,
+      axis: axes[i]?.estimated
+        ? {
+          direction: axes[i].direction,
+          point: axes[i].point,
+          quality: axes[i].quality,
+          shared: !!axes[i].shared
+        }
+        : null
+    }));
+  }
+
   clear() {
     this.fragments = [];
+    this.poses = [];
+    this.axes = [];
   }
 
   getStats() {
     return {
       fragmentCount: this.fragments.length,
       totalPoints: this.fragments.reduce((sum, f) => sum + f.points.length, 0),
-      fragmentTypes: this.fragments.map(f => f.type)
+      fragmentTypes: this.fragments.map(f => f.type),
+      registeredFragments: this.fragments.length < 2 ? this.fragments.length : this.poses.filter(Boolean).length,
+      registrationPending: this.registrationRequest() !== null,
+      overlappingPairs: this.currentEdges().filter(edge => !edge.sliding).length,
+      slidingPairs: this.currentEdges().filter(edge => edge.sliding).length,
+      axisQualities: this.axes.map(axis => (axis.estimated ? axis.quality : null))
     };
   }
 }
 
 let reconstructorInstance = null;
+const vesselReconstructors = new Map();
+
+/**
+ * Reconstructor for one vessel; without an id, the shared default one
+ * Instances keep their last registration between rebuilds.
+ */
+export function getPotteryReconstructor(vesselId = null) {
+  if (vesselId === null) {
+    if (!reconstructorInstance) {
+      reconstructorInstance = new PotteryReconstructor();
+    }
+    return reconstructorInstance;
+  }
 
-export function getPotteryReconstructor() {
-  if (!reconstructorInstance) {
-    reconstructorInstance = new PotteryReconstructor();
+  if (!vesselReconstructors.has(vesselId)) {
+    vesselReconstructors.set(vesselId, new PotteryReconstructor());
   }
-  return reconstructorInstance;
+  return vesselReconstructors.get(vesselId);
+}
+
+export function releasePotteryReconstructor(vesselId) {
+  vesselReconstructors.delete(vesselId);
 }
 
 export function buildPotteryMesh(fragments = []) {
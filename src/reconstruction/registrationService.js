@@ -0,0 +1,73 @@
+import { registerFragments, prunePairCache } from "./globalRegistration";
+import { subsamplePoints } from "../icp";
+
+/**
+ * Fragment registration in a Web Worker
+ * All-pairs ICP grows quadratically with the fragment count, so it never
+ * runs on the render path; reconstructions are rebuilt when poses arrive.
+ * Without worker support (tests, old browsers) it runs inline.
+ */
+
+// registerFragments aligns this many points per fragment; sending more
+// would only cost structured-clone time
+const SAMPLE_SIZE = 1000;
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+const inlinePairCache = new Map();
+
+function getWorker() {
+  if (worker || typeof Worker === "undefined") return worker;
+
+  worker = new Worker(new URL("./registrationWorker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.requestId);
+    if (!request) return;
+    pending.delete(data.requestId);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.registration);
+    }
+  };
+  worker.onerror = (event) => {
+    console.error("Registration worker failed:", event.message);
+    for (const request of pending.values()) request.reject(new Error("Registration worker failed"));
+    pending.clear();
+    worker = null;
+  };
+  return worker;
+}
+
+/**
+ * Register fragments into a common frame (see registerFragments)
+ * @param {Array<{points: Array<{x, y, z}>, id?: string}>} fragments
+ * @returns {Promise<Object>} The registerFragments result
+ */
+export function registerFragmentsAsync(fragments) {
+  const payload = fragments.map(f => ({ id: f.id || null, points: subsamplePoints(f.points, SAMPLE_SIZE) }));
+  const options = { sampleSize: SAMPLE_SIZE };
+  const target = getWorker();
+
+  if (!target) {
+    return new Promise(resolve => {
+      resolve(registerFragments(payload, { ...options, pairCache: inlinePairCache }));
+    });
+  }
+
+  const requestId = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { resolve, reject });
+    target.postMessage({ type: "register", requestId, fragments: payload, options });
+  });
+}
+
+/**
+ * Forget cached pairwise alignments of fragments not in `ids`
+ * @param {Array<string>} ids Ids of all fragments that still exist
+ */
+export function pruneRegistrationCache(ids) {
+  prunePairCache(inlinePairCache, ids);
+  getWorker()?.postMessage({ type: "prune", ids });
+}
@@ -0,0 +1,25 @@
+import { registerFragments, prunePairCache } from "./globalRegistration";
+
+/**
+ * Runs fragment registration off the main thread
+ * Messages: { type: "register", requestId, fragments, options } answered
+ * with { requestId, registration } or { requestId, error }, and
+ * { type: "prune", ids } to drop cached pairs of fragments that are gone.
+ * Pairwise results are cached by fragment ids across requests.
+ */
+
+const pairCache = new Map();
+
+self.onmessage = ({ data }) => {
+  if (data.type === "prune") {
+    prunePairCache(pairCache, data.ids);
+    return;
+  }
+
+  try {
+    const registration = registerFragments(data.fragments, { ...data.options, pairCache });
+    self.postMessage({ requestId: data.requestId, registration });
+  } catch (err) {
+    self.postMessage({ requestId: data.requestId, error: err.message });
+  }
+};
@@ -0,0 +1,227 @@
+import { solveLinear } from "./linalg";
+import { estimateRotationAxis, axisFrameTransform } from "./axisEstimation";
+import { applyTransformToPoint, subsamplePoints } from "../icp";
+import { DEFAULT_MM_PER_UNIT } from "./units";
+
+/**
+ * Rim diameter and preserved arc for rim sherds (the digital rim chart)
+ * The top band of the sherd along its rotation axis is projected onto the
+ * plane perpendicular to the axis and a circle is fitted to it. The spread
+ * of bootstrap refits gives the confidence interval; it covers the circle
+ * fit only, so an axis the rim circle is not centred on is dropped for +Y
+ * rather than trusted. Diameters are in mm only for metric clouds (scans);
+ * photo depth maps have no true scale, so theirs are relative to the
+ * fragment size.
+ */
+
+const MIN_BAND_POINTS = 20;
+// Rim circle centre further than this (× radius) off the axis: wrong axis
+const MAX_AXIS_OFFSET = 0.25;
+
+const VERTICAL_AXIS = { direction: { x: 0, y: 1, z: 0 }, point: { x: 0, y: 0, z: 0 } };
+
+function percentile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lo = Math.floor(position);
+  const hi = Math.ceil(position);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+}
+
+/**
+ * Least-squares circle through 2D points: algebraic (Kåsa) start,
+ * refined with Gauss-Newton on the geometric distances
+ * @returns {{cx: number, cy: number, r: number}|null}
+ */
+export function fitCircle(points, refineIterations = 10) {
+  if (points.length < 3) return null;
+
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const b = [0, 0, 0];
+  for (const { x, y } of points) {
+    const row = [x, y, 1];
+    const rhs = -(x * x + y * y);
+    for (let i = 0; i < 3; i++) {
+      b[i] += row[i] * rhs;
+      for (let j = 0; j < 3; j++) A[i][j] += row[i] * row[j];
+    }
+  }
+  const algebraic = solveLinear(A, b);
+  if (!algebraic) return null;
+
+  let cx = -algebraic[0] / 2;
+  let cy = -algebraic[1] / 2;
+  let r = Math.sqrt(Math.max(cx * cx + cy * cy - algebraic[2], 0));
+
+  for (let iteration = 0; iteration < refineIterations; iteration++) {
+    const JtJ = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const Jtr = [0, 0, 0];
+    for (const { x, y } of points) {
+      const d = Math.hypot(x - cx, y - cy) || 1e-12;
+      const J = [-(x - cx) / d, -(y - cy) / d, -1];
+      const residual = d - r;
+      for (let i = 0; i < 3; i++) {
+        Jtr[i] -= J[i] * residual;
+        for (let j = 0; j < 3; j++) JtJ[i][j] += J[i] * J[j];
+      }
+    }
+    const step = solveLinear(JtJ, Jtr);
+    if (!step) break;
+
+    cx += step[0];
+    cy += step[1];
+    r += step[2];
+    if (Math.hypot(step[0], step[1], step[2]) < 1e-9 * Math.max(Math.abs(r), 1)) break;
+  }
+
+  return Number.isFinite(r) && r > 0 ? { cx, cy, r } : null;
+}
+
+/**
+ * Angle of circumference covered by points around a centre: 2π minus the
+ * largest angular gap
+ */
+function coveredArc(points, { cx, cy }) {
+  const angles = points.map(p => Math.atan2(p.y - cy, p.x - cx)).sort((a, b) => a - b);
+  let largestGap = angles[0] + 2 * Math.PI - angles[angles.length - 1];
+  for (let i = 1; i < angles.length; i++) {
+    largestGap = Math.max(largestGap, angles[i] - angles[i - 1]);
+  }
+  return 2 * Math.PI - largestGap;
+}
+
+/**
+ * Circle through the top band of the sherd in the frame of an axis
+ * @returns {{band: Array, planar: Array<{x, y}>, circle}|null}
+ */
+function fitRimBand(sample, axis, bandFraction) {
+  const frame = axisFrameTransform(axis);
+  const local = sample.map(p => applyTransformToPoint(frame, p));
+
+  // Robust height range, then the band just below the top
+  const heights = Float64Array.from(local, p => p.y).sort();
+  const top = percentile(heights, 0.99);
+  const bottom = percentile(heights, 0.01);
+  let bandDepth = Math.max((top - bottom) * bandFraction, 1e-9);
+
+  let band = [];
+  while (band.length < MIN_BAND_POINTS && bandDepth <= top - bottom + 1e-9) {
+    band = local.filter(p => p.y >= top - bandDepth && p.y <= top);
+    bandDepth *= 2;
+  }
+  if (band.length < MIN_BAND_POINTS) return null;
+
+  const planar = subsamplePoints(band, 2000).map(p => ({ x: p.x, y: p.z }));
+  const circle = fitCircle(planar);
+  return circle ? { band, planar, circle } : null;
+}
+
+/**
+ * Estimate rim diameter from a rim sherd point cloud
+ * The rim is assumed to be the highest part of the sherd along its axis
+ * (or +Y when no axis can be estimated), as in a rim-up capture.
+ * @param {Array<{x, y, z}>} points
+ * @param {Object} options
+ * @param {number} [options.bandFraction=0.08] Rim band depth as a fraction of sherd height
+ * @param {number} [options.bootstrapSamples=200]
+ * @param {number} [options.confidence=0.95]
+ * @param {number} [options.mmPerUnit=DEFAULT_MM_PER_UNIT]
+ * @param {boolean} [options.metric=true] Whether the cloud has true scale
+ *   (scans); without it (photo depth maps) no mm values are given
+ * @param {number} [options.minAxisQuality=0.2] Below this the +Y axis is used
+ * @returns {{
+ *   diameterMm: number|null, confidenceInterval: [number, number]|null,
+ *   relativeDiameter: number, relativeInterval: [number, number], confidence: number,
+ *   preservedPercent: number, arcDegrees: number, rmsResidualMm: number|null,
+ *   bandPoints: number, axisQuality: number|null
+ * }|null} null when no circle could be fitted; relative values are
+ *   diameters over the fragment size, mm values null for non-metric clouds
+ */
+export function estimateRimDiameter(points, options = {}) {
+  const {
+    bandFraction = 0.08,
+    bootstrapSamples = 200,
+    confidence = 0.95,
+    mmPerUnit = DEFAULT_MM_PER_UNIT,
+    metric = true,
+    minAxisQuality = 0.2
+  } = options;
+
+  if (!points || points.length < MIN_BAND_POINTS) return null;
+
+  const sample = subsamplePoints(points, 20000);
+  const axis = estimateRotationAxis(sample);
+  let useAxis = axis && axis.quality >= minAxisQuality;
+  let fit = fitRimBand(sample, useAxis ? axis : VERTICAL_AXIS, bandFraction);
+
+  // The rim circle of a surface of revolution is centred on its axis
+  if (useAxis && fit && Math.hypot(fit.circle.cx, fit.circle.cy) > fit.circle.r * MAX_AXIS_OFFSET) {
+    console.warn("Rim circle is not centred on the estimated axis; assuming the rim was captured level");
+    useAxis = false;
+    fit = fitRimBand(sample, VERTICAL_AXIS, bandFraction);
+  }
+  if (!fit) return null;
+  const { band, planar, circle } = fit;
+
+  // Fragment size: diagonal of the robust bounding box
+  const size = Math.hypot(...["x", "y", "z"].map(axisName => {
+    const values = Float64Array.from(sample, p => p[axisName]).sort();
+    return percentile(values, 0.99) - percentile(values, 0.01);
+  })) || 1;
+
+  const residuals = planar.map(p => Math.hypot(p.x - circle.cx, p.y - circle.cy) - circle.r);
+  const rmsResidual = Math.sqrt(residuals.reduce((sum, d) => sum + d * d, 0) / residuals.length);
+  const arc = coveredArc(planar, circle);
+
+  // Bootstrap: refit on resampled band points
+  const diameters = [];
+  for (let i = 0; i < bootstrapSamples; i++) {
+    const resample = planar.map(() => planar[Math.floor(Math.random() * planar.length)]);
+    const refit = fitCircle(resample, 5);
+    if (refit) diameters.push(refit.r * 2);
+  }
+  diameters.sort((a, b) => a - b);
+
+  const diameter = circle.r * 2;
+  const tail = (1 - confidence) / 2;
+  const interval = diameters.length >= 10
+    ? [percentile(diameters, tail), percentile(diameters, 1 - tail)]
+    : [diameter, diameter];
+
+  const preservedPercent = arc / (2 * Math.PI) * 100;
+  console.log(metric
+    ? `✅ Rim diameter ${(diameter * mmPerUnit).toFixed(0)} mm, ${preservedPercent.toFixed(0)}% preserved`
+    : `✅ Rim diameter ${(diameter / size).toFixed(1)}× fragment size, ${preservedPercent.toFixed(0)}% preserved`);
+
+  return {
+    diameterMm: metric ? diameter * mmPerUnit : null,
+    confidenceInterval: metric ? interval.map(d => d * mmPerUnit) : null,
+    relativeDiameter: diameter / size,
+    relativeInterval: interval.map(d => d / size),
+    confidence,
+    preservedPercent,
+    arcDegrees: arc * 180 / Math.PI,
+    rmsResidualMm: metric ? rmsResidual * mmPerUnit : null,
+    bandPoints: band.length,
+    axisQuality: useAxis ? axis.quality : null
+  };
+}
+
+/**
+ * Rim measurement text for the fragment panel
+ */
+export function formatRimMeasurement(rim) {
+  const ci = `${Math.round(rim.confidence * 100)}% CI`;
+  // Photo depth is only relative, so no millimetres
+  let diameter;
+  if (rim.diameterMm !== null && rim.diameterMm !== undefined) {
+    const [low, high] = rim.confidenceInterval;
+    diameter = `${rim.diameterMm.toFixed(0)} mm (${ci} ${low.toFixed(0)}–${high.toFixed(0)})`;
+  } else {
+    const [low, high] = rim.relativeInterval;
+    diameter = `${rim.relativeDiameter.toFixed(1)}× fragment size (relative, ${ci} ${low.toFixed(1)}–${high.toFixed(1)})`;
+  }
+  return {
+    diameter,
+    preserved: `${rim.preservedPercent.toFixed(0)}% (${rim.arcDegrees.toFixed(0)}°)`
+  };
+}
@@ -0,0 +1,408 @@
+import { KDTree } from "./kdTree";
+import { symmetricEigen, pointCovariance, solveLinear, dot } from "./linalg";
+import { estimateRotationAxis, axisFrameTransform } from "./axisEstimation";
+import { applyTransformToPoint, subsamplePoints, estimateNormal } from "../icp";
+import { DEFAULT_MM_PER_UNIT } from "./units";
+
+/**
+ * Measured surface curvature and rotational symmetry of a sherd
+ * Curvature: at sampled points a quadric height field is fitted to the
+ * neighbourhood in its PCA frame and the principal curvatures are read off
+ * the shape operator. Signs follow the viewer: convex (bulging towards the
+ * camera) is positive, concave negative. The fit radius scales with the
+ * fragment so depth noise averages out. Per-point values are summarised
+ * by their medians, split into the major (tighter) and minor direction.
+ * Radii are in mm only for metric clouds (scans); photo depth maps have no
+ * true scale, so theirs are given relative to the fragment size.
+ *
+ * Symmetry: in the frame of the estimated rotation axis a surface of
+ * revolution has one radius per height. The score is how closely the
+ * points keep to the profile radius of their height band. Walls of
+ * constant radius leave the line-complex axis fit undetermined (sliding
+ * along the axis fits too); their axis comes from circles fitted per
+ * height band instead.
+ */
+
+const MIN_POINTS = 50;
+const PROFILE_BINS = 16;
+const MIN_FIT_POINTS = 12;
+const NORMAL_SAMPLES = 500;
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = Float64Array.from(values).sort();
+  return sorted[sorted.length >> 1];
+}
+
+function percentile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lo = Math.floor(position);
+  const hi = Math.ceil(position);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (position - lo);
+}
+
+/**
+ * Principal curvatures at `center` from its neighbours
+ * @param {{x, y, z}} center
+ * @param {Array<{x, y, z}>} neighbours
+ * @param {{x, y, z}} towards Normals are turned to face this direction
+ * @returns {[number, number]|null} k1 ≥ k2, positive when convex towards `towards`
+ */
+function principalCurvatures(center, neighbours, towards) {
+  const { covariance } = pointCovariance(neighbours);
+  const { vectors } = symmetricEigen(covariance);
+  const toVector = v => ({ x: v[0], y: v[1], z: v[2] });
+  const t1 = toVector(vectors[0]);
+  const t2 = toVector(vectors[1]);
+  let normal = toVector(vectors[2]);
+  if (dot(normal, towards) < 0) normal = { x: -normal.x, y: -normal.y, z: -normal.z };
+
+  // h = a u² + b uv + c v² + d u + e v + f by least squares
+  const A = [[0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0], [0, 0, 0, 0, 0, 0]];
+  const b = [0, 0, 0, 0, 0, 0];
+  for (const p of neighbours) {
+    const offset = { x: p.x - center.x, y: p.y - center.y, z: p.z - center.z };
+    const u = dot(offset, t1);
+    const v = dot(offset, t2);
+    const h = dot(offset, normal);
+    const row = [u * u, u * v, v * v, u, v, 1];
+    for (let i = 0; i < 6; i++) {
+      b[i] += row[i] * h;
+      for (let j = 0; j < 6; j++) A[i][j] += row[i] * row[j];
+    }
+  }
+  const coefficients = solveLinear(A, b);
+  if (!coefficients) return null;
+
+  // Shape operator of the graph at u = v = 0
+  const [a, bb, c, d, e] = coefficients;
+  const E = 1 + d * d;
+  const F = d * e;
+  const G = 1 + e * e;
+  const w = Math.sqrt(1 + d * d + e * e);
+  const L = 2 * a / w;
+  const M = bb / w;
+  const N = 2 * c / w;
+  const denominator = E * G - F * F;
+  const H = (E * N - 2 * F * M + G * L) / (2 * denominator);
+  const K = (L * N - M * M) / denominator;
+  const root = Math.sqrt(Math.max(H * H - K, 0));
+
+  // A surface bulging towards the viewer bends away from its normal
+  return [-(H - root), -(H + root)];
+}
+
+/**
+ * Radii and orientation from the median principal curvatures
+ */
+function summariseCurvature(samples, size, mmPerUnit, metric, flatTolerance) {
+  const byMagnitude = samples.map(([k1, k2]) => (Math.abs(k1) >= Math.abs(k2) ? [k1, k2] : [k2, k1]));
+  const describe = k => {
+    const flat = Math.abs(k) * size < flatTolerance;
+    return {
+      curvaturePerMm: metric ? k / mmPerUnit : null,
+      radiusMm: flat || !metric ? null : mmPerUnit / Math.abs(k),
+      relativeRadius: flat ? null : 1 / (Math.abs(k) * size),
+      orientation: flat ? "flat" : k > 0 ? "convex" : "concave"
+    };
+  };
+
+  const major = describe(median(byMagnitude.map(k => k[0])));
+  const minor = describe(median(byMagnitude.map(k => k[1])));
+
+  let orientation;
+  let surface;
+  if (major.orientation === "flat") {
+    orientation = "flat";
+    surface = "flat";
+  } else if (minor.orientation === "flat") {
+    orientation = major.orientation;
+    surface = "cylindrical";
+  } else if (minor.orientation === major.orientation) {
+    orientation = major.orientation;
+    surface = "doubly-curved";
+  } else {
+    orientation = "saddle";
+    surface = "saddle";
+  }
+
+  return { major, minor, orientation, surface };
+}
+
+/**
+ * Points in the axis frame, split into PROFILE_BINS height bands
+ * @returns {Array<Array<{x, y, z}>>}
+ */
+function heightBands(points, axis) {
+  const frame = axisFrameTransform(axis);
+  const local = points.map(p => applyTransformToPoint(frame, p));
+
+  const heights = Float64Array.from(local, p => p.y).sort();
+  const bottom = percentile(heights, 0.01);
+  const top = percentile(heights, 0.99);
+  const binHeight = Math.max((top - bottom) / PROFILE_BINS, 1e-9);
+
+  const bands = Array.from({ length: PROFILE_BINS }, () => []);
+  for (const p of local) {
+    const index = Math.floor((p.y - bottom) / binHeight);
+    if (index >= 0 && index < PROFILE_BINS) bands[index].push(p);
+  }
+  return bands;
+}
+
+/**
+ * Centre and radius of the circle through points in the x-z plane
+ * (algebraic fit of x² + z² + a x + b z + c = 0)
+ */
+function fitCircle(points) {
+  const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const b = [0, 0, 0];
+  for (const p of points) {
+    const row = [p.x, p.z, 1];
+    const target = -(p.x * p.x + p.z * p.z);
+    for (let i = 0; i < 3; i++) {
+      b[i] += row[i] * target;
+      for (let j = 0; j < 3; j++) A[i][j] += row[i] * row[j];
+    }
+  }
+  const solution = solveLinear(A, b);
+  if (!solution) return null;
+
+  const [a, bb, c] = solution;
+  const x = -a / 2;
+  const z = -bb / 2;
+  const radiusSq = x * x + z * z - c;
+  return radiusSq > 0 ? { x, z, radius: Math.sqrt(radiusSq) } : null;
+}
+
+/**
+ * Axis of a wall that keeps one radius around it (cylinders and near
+ * cylinders): along the direction every normal is perpendicular to,
+ * through the mean centre of circles fitted per height band
+ * @returns {{direction, point}|null} null unless the normals sweep an arc
+ *   around one direction and enough bands give a circle
+ */
+function circleFitAxis(cloud, tree, size, neighbourhood) {
+  const M = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (const center of subsamplePoints(cloud, NORMAL_SAMPLES)) {
+    const neighbours = tree.radiusSearch(center, neighbourhood).map(index => cloud[index]);
+    if (neighbours.length < MIN_FIT_POINTS) continue;
+    const n = estimateNormal(neighbours);
+    const v = [n.x, n.y, n.z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) M[i][j] += v[i] * v[j];
+    }
+  }
+
+  // Normals spread over ~20° of arc or more, and (nearly) all in one plane
+  const { values, vectors } = symmetricEigen(M);
+  if (values[1] < 0.01 * values[0] || values[2] > 0.25 * values[1]) return null;
+
+  let direction = { x: vectors[2][0], y: vectors[2][1], z: vectors[2][2] };
+  if (direction.y < 0) direction = { x: -direction.x, y: -direction.y, z: -direction.z };
+  const { centroid } = pointCovariance(cloud);
+
+  let x = 0;
+  let z = 0;
+  let radius = 0;
+  let weight = 0;
+  for (const band of heightBands(cloud, { direction, point: centroid })) {
+    if (band.length < MIN_FIT_POINTS) continue;
+    const circle = fitCircle(band);
+    if (!circle) continue;
+    x += circle.x * band.length;
+    z += circle.z * band.length;
+    radius += circle.radius * band.length;
+    weight += band.length;
+  }
+  // A huge radius is a nearly flat sherd, not a wall around an axis
+  if (weight === 0 || radius / weight > 5 * size) return null;
+
+  // Back from the frame (rows u, direction, w) to cloud coordinates
+  const [u, , w] = axisFrameTransform({ direction, point: centroid }).rotation;
+  return {
+    direction,
+    point: {
+      x: centroid.x + (u[0] * x + w[0] * z) / weight,
+      y: centroid.y + (u[1] * x + w[1] * z) / weight,
+      z: centroid.z + (u[2] * x + w[2] * z) / weight
+    }
+  };
+}
+
+/**
+ * How well the sherd keeps one radius per height around its axis
+ * @param {Object|null} axis
+ * @param {"line-complex"|"circle-fit"|null} axisMethod How the axis was found
+ */
+function measureSymmetry(points, axis, axisMethod, axisQuality, mmPerUnit, metric, symmetryTolerance) {
+  const undetermined = {
+    type: "undetermined",
+    score: null,
+    axisQuality,
+    axisMethod: null,
+    profileResidualMm: null,
+    relativeResidual: null
+  };
+  if (!axis) return undetermined;
+
+  const bins = heightBands(points, axis).map(band => band.map(q => ({ height: q.y, radius: Math.hypot(q.x, q.z) })));
+
+  // Within a band the profile may slope (necks, flaring walls): residuals
+  // are taken from a line r = α + β·height through the band
+  let squared = 0;
+  let count = 0;
+  let radiusSum = 0;
+  for (const band of bins) {
+    if (band.length < 5) continue;
+    const meanHeight = band.reduce((sum, p) => sum + p.height, 0) / band.length;
+    const meanRadius = band.reduce((sum, p) => sum + p.radius, 0) / band.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const p of band) {
+      covariance += (p.height - meanHeight) * (p.radius - meanRadius);
+      variance += (p.height - meanHeight) ** 2;
+    }
+    const slope = variance > 0 ? covariance / variance : 0;
+    for (const p of band) {
+      squared += (p.radius - meanRadius - slope * (p.height - meanHeight)) ** 2;
+      radiusSum += p.radius;
+      count++;
+    }
+  }
+  if (count === 0 || radiusSum === 0) return undetermined;
+
+  const residual = Math.sqrt(squared / count);
+  const relative = residual / (radiusSum / count);
+  const score = Math.max(0, 1 - relative / symmetryTolerance);
+
+  return {
+    type: score >= 0.5 ? "radial" : "irregular",
+    score,
+    axisQuality,
+    axisMethod,
+    profileResidualMm: metric ? residual * mmPerUnit : null,
+    relativeResidual: relative
+  };
+}
+
+/**
+ * Measure curvature and rotational symmetry of a fragment point cloud
+ * @param {Array<{x, y, z}>} points
+ * @param {Object} options
+ * @param {number} [options.sampleSize=1500] Points the curvature is evaluated at
+ * @param {number} [options.fitRadius=0.1] Neighbourhood of each quadric fit as a fraction of the fragment size
+ * @param {number} [options.mmPerUnit=DEFAULT_MM_PER_UNIT]
+ * @param {boolean} [options.metric=true] Whether the cloud has true scale
+ *   (scans); without it (photo depth maps) no mm values are given
+ * @param {{x, y, z}|null} [options.viewpoint={0, 0, 0}] Camera position that
+ *   convex and concave refer to; with null (scans) they refer to the outside
+ *   of the vessel, i.e. normals pointing away from the rotation axis
+ * @param {number} [options.flatTolerance=0.1] Curvature × fragment size below which a direction counts as flat
+ * @param {number} [options.minAxisQuality=0.2] Below this the line-complex
+ *   axis is not used; a circle fit is tried instead
+ * @param {number} [options.symmetryTolerance=0.1] Relative profile residual that scores 0
+ * @returns {{
+ *   curvature: {major, minor, orientation: string, surface: string, samples: number},
+ *   symmetry: {type: string, score: number|null, axisQuality: number|null,
+ *     axisMethod: string|null, profileResidualMm: number|null, relativeResidual: number|null}
+ * }|null} null when there are too few points; `major`/`minor` are
+ *   `{ curvaturePerMm, radiusMm, relativeRadius, orientation }` with radii
+ *   null when flat, and mm values null for non-metric clouds
+ */
+export function measureSurfaceGeometry(points, options = {}) {
+  const {
+    sampleSize = 1500,
+    fitRadius = 0.1,
+    mmPerUnit = DEFAULT_MM_PER_UNIT,
+    metric = true,
+    viewpoint = { x: 0, y: 0, z: 0 },
+    flatTolerance = 0.1,
+    minAxisQuality = 0.2,
+    symmetryTolerance = 0.1
+  } = options;
+
+  if (!points || points.length < MIN_POINTS) return null;
+
+  const cloud = subsamplePoints(points, 20000);
+
+  // Fragment size: diagonal of the robust bounding box
+  const extent = ["x", "y", "z"].map(axisName => {
+    const values = Float64Array.from(cloud, p => p[axisName]).sort();
+    return percentile(values, 0.99) - percentile(values, 0.01);
+  });
+  const size = Math.hypot(...extent);
+
+  const fitCloud = subsamplePoints(cloud, 5000);
+  const tree = new KDTree(fitCloud);
+
+  const estimated = estimateRotationAxis(cloud);
+  let axis = null;
+  let axisMethod = null;
+  if (estimated && estimated.quality >= minAxisQuality) {
+    axis = estimated;
+    axisMethod = "line-complex";
+  } else {
+    axis = circleFitAxis(fitCloud, tree, size, fitRadius * size);
+    axisMethod = axis ? "circle-fit" : null;
+  }
+  const symmetry = measureSymmetry(
+    cloud, axis, axisMethod, estimated ? estimated.quality : null, mmPerUnit, metric, symmetryTolerance
+  );
+
+  // Without a camera the axis (or, lacking one, the centroid) is "inside"
+  const outward = !viewpoint;
+  const useAxis = outward && axis;
+  const inside = viewpoint || pointCovariance(cloud).centroid;
+  const towards = p => {
+    let origin = inside;
+    if (useAxis) {
+      const along = dot({ x: p.x - axis.point.x, y: p.y - axis.point.y, z: p.z - axis.point.z }, axis.direction);
+      origin = {
+        x: axis.point.x + axis.direction.x * along,
+        y: axis.point.y + axis.direction.y * along,
+        z: axis.point.z + axis.direction.z * along
+      };
+    }
+    const sign = outward ? 1 : -1;
+    return { x: sign * (p.x - origin.x), y: sign * (p.y - origin.y), z: sign * (p.z - origin.z) };
+  };
+
+  const samples = [];
+  for (const center of subsamplePoints(fitCloud, sampleSize)) {
+    const neighbours = tree.radiusSearch(center, fitRadius * size).map(index => fitCloud[index]);
+    if (neighbours.length < MIN_FIT_POINTS) continue;
+    const k = principalCurvatures(center, neighbours, towards(center));
+    if (k && Number.isFinite(k[0]) && Number.isFinite(k[1])) samples.push(k);
+  }
+  if (samples.length === 0) return null;
+
+  const curvature = { ...summariseCurvature(samples, size, mmPerUnit, metric, flatTolerance), samples: samples.length };
+
+  console.log(`✅ Surface ${curvature.surface} (${curvature.orientation}), symmetry ${symmetry.type}`);
+
+  return { curvature, symmetry };
+}
+
+/**
+ * Curvature and symmetry text for the fragment panel
+ */
+export function formatSurfaceGeometry(geometry) {
+  const radius = ({ radiusMm, relativeRadius, orientation }) => {
+    if (orientation === "flat") return "flat";
+    // Photo depth is only relative, so no millimetres
+    return radiusMm !== null && radiusMm !== undefined
+      ? `R ${radiusMm.toFixed(0)} mm ${orientation}`
+      : `R ${relativeRadius.toFixed(1)}× fragment size ${orientation} (relative)`;
+  };
+  const { curvature, symmetry } = geometry;
+  const minor = curvature.surface === "cylindrical" || curvature.surface === "flat" ? "" : `, ${radius(curvature.minor)}`;
+  const method = symmetry.axisMethod === "circle-fit" ? ", constant-radius wall" : "";
+
+  return {
+    curvature: curvature.surface === "flat" ? "flat" : `${curvature.surface}: ${radius(curvature.major)}${minor}`,
+    symmetry: symmetry.score === null
+      ? "undetermined (no rotation axis)"
+      : `${symmetry.type} (${(symmetry.score * 100).toFixed(0)}%${method})`
+  };
+}
@@ -0,0 +1,10 @@
+/**
+ * Real-world scale of reconstruction units
+ * DepthEstimator point clouds are in arbitrary units; until a capture is
+ * calibrated against a scale bar we assume 1 unit = 1 cm.
+ */
+export const DEFAULT_MM_PER_UNIT = 10;
+
+export function toMillimetres(value, mmPerUnit = DEFAULT_MM_PER_UNIT) {
+  return value * mmPerUnit;
+}
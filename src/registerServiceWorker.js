@@ -0,0 +1,23 @@
+/**
+ * Register public/sw.js, which keeps the app shell and models available
+ * offline. Production builds only: the dev server serves unbundled modules
+ * that change on every edit.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+      console.log("✅ Service worker registered");
+
+      // Pick up files of a new build while we have a connection
+      await navigator.serviceWorker.ready;
+      if (navigator.onLine && registration.active) {
+        registration.active.postMessage({ type: "refresh-precache" });
+      }
+    } catch (err) {
+      console.warn("Service worker registration failed:", err);
+    }
+  });
+}
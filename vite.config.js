@@ -1,7 +1,48 @@
+import fs from 'node:fs'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name)
+    return entry.isDirectory()
+      ? listFiles(full, base)
+      : [path.relative(base, full).split(path.sep).join('/')]
+  })
+}
+
+// Writes precache-manifest.json for public/sw.js: the built app shell and
+// the bundled model files (public/models/, see scripts/download-models.js)
+function precacheManifest() {
+  let publicDir
+  return {
+    name: 'archia-precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = publicDir ? listFiles(publicDir) : []
+      const shell = [
+        './',
+        ...Object.keys(bundle).filter(file => !file.endsWith('.map')),
+        ...publicFiles.filter(file => !file.startsWith('models/') && file !== 'sw.js')
+      ]
+      const models = publicFiles.filter(file => file.startsWith('models/'))
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify({ shell: [...new Set(shell)], models }, null, 2)
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })